@@ -0,0 +1,227 @@
+/**
+ * Event Bus - In-process publish/subscribe channel between game systems
+ * Has no DOM dependency so the game core can run headless (tests, simulations)
+ */
+
+/**
+ * Known game event types
+ * Emitting a type that is not listed here is a programming error
+ */
+export const GameEvents = Object.freeze({
+    SWORD_MERGED: 'sword:merged',
+    SWORD_MOVED: 'sword:moved',
+    SWORD_SWAPPED: 'sword:swapped',
+    SWORD_PURCHASED: 'sword:purchased',
+    SWORD_SOLD: 'sword:sold',
+    ENHANCEMENT_ATTEMPTED: 'enhancement:attempted',
+    SWORD_ENHANCED: 'sword:enhanced',
+    SWORD_DESTROYED: 'sword:destroyed',
+    INVENTORY_SORTED: 'inventory:sorted',
+    GOLD_CHANGED: 'gold:changed',
+    INCOME_CHANGED: 'income:changed',
+    OFFLINE_EARNINGS: 'income:offline',
+    STATS_CHANGED: 'stats:changed',
+    QUEST_COMPLETED: 'quest:completed',
+    QUEST_CLAIMED: 'quest:claimed',
+    QUESTS_RESET: 'quest:reset',
+    QUEST_REROLLED: 'quest:rerolled',
+    REWARD_GRANTED: 'reward:granted',
+    PENDING_REWARD_COLLECTED: 'reward:collected',
+    ACHIEVEMENT_UNLOCKED: 'achievement:unlocked',
+    GAME_LOADED: 'game:loaded',
+    GAME_SAVED: 'game:saved',
+    SAVE_FAILED: 'game:saveFailed',
+    SAVE_CONFLICT: 'game:saveConflict',
+    STORAGE_WARNING: 'storage:warning'
+});
+
+/**
+ * Where a gold change came from, used as GoldChangedPayload.source
+ */
+export const GoldSource = Object.freeze({
+    INCOME: 'income',
+    OFFLINE: 'offline',
+    SALE: 'sale',
+    REWARD: 'reward',
+    PURCHASE: 'purchase',
+    ENHANCEMENT: 'enhancement',
+    REROLL: 'reroll'
+});
+
+/**
+ * @typedef {Object} SwordMergedPayload
+ * @property {number} sourcePosition - Position the dragged sword came from (now empty)
+ * @property {number} targetPosition - Position holding the merged sword
+ * @property {Object} sword - The merged sword
+ *
+ * @typedef {Object} SwordMovedPayload
+ * @property {number} fromPosition - Source position
+ * @property {number} toPosition - Target position
+ *
+ * @typedef {Object} SwordPurchasedPayload
+ * @property {string} itemType - 'basic' or 'luckybox'
+ * @property {Object} sword - The purchased sword
+ * @property {number} cost - Gold spent (0 for a free lucky box)
+ *
+ * @typedef {Object} SwordSoldPayload
+ * @property {Object[]} swords - The swords that were sold
+ * @property {number} gold - Gold received
+ *
+ * @typedef {Object} EnhancementPayload
+ * @property {number} position - Inventory position of the sword
+ * @property {Object} sword - The sword that was enhanced
+ * @property {string} result - EnhancementResult (SUCCESS, MAINTAIN, DESTROY)
+ * @property {Object} before - Sword level, enhancement and goldValue before the attempt
+ * @property {Object|null} after - The same fields after the attempt (null if destroyed)
+ * @property {boolean} protected - Whether a protection item turned a destruction into MAINTAIN
+ *
+ * @typedef {Object} GoldChangedPayload
+ * @property {number} gold - New gold amount
+ * @property {number} delta - Change applied
+ * @property {string} [source] - One of GoldSource
+ *
+ * @typedef {Object} IncomeChangedPayload
+ * @property {number} goldPerSecond - New total income rate
+ *
+ * @typedef {Object} OfflineEarningsPayload
+ * @property {number} awaySeconds - Time since the last save
+ * @property {number} paidSeconds - Time actually paid out (after the cap)
+ * @property {number} gold - Gold granted
+ * @property {boolean} capped - Whether the cap was hit
+ *
+ * @typedef {Object} StatsChangedPayload
+ * @property {string} statType - The stat that changed
+ * @property {Object} stats - The full PlayerStats object
+ *
+ * @typedef {Object} QuestPayload
+ * @property {Object} quest - The quest
+ * @property {number} [reward] - Reward granted (quest:claimed only)
+ *
+ * @typedef {Object} QuestRerolledPayload
+ * @property {Object} quest - The new quest
+ * @property {Object} replaced - The quest it replaced
+ * @property {number} cost - Gold paid (0 for a free reroll)
+ *
+ * @typedef {Object} RewardGrantedPayload
+ * @property {Object} bundle - The RewardBundle granted
+ * @property {string} source - What granted it (quest title)
+ * @property {Object[]} swords - Reward swords placed in the inventory
+ * @property {Object[]} pending - Reward swords moved to the pending-rewards inbox, the inventory was full
+ *
+ * @typedef {Object} PendingRewardCollectedPayload
+ * @property {Object} reward - The PendingReward collected
+ * @property {Object} sword - The sword now in the inventory
+ *
+ * @typedef {Object} QuestsResetPayload
+ * @property {string} pool - ID of the quest pool that was reset
+ * @property {string|null} period - Period the new quests belong to, null when an event ended
+ * @property {Object[]} inboxed - Completed but unclaimed quests moved to the claim-later inbox
+ *
+ * @typedef {Object} AchievementPayload
+ * @property {Object} achievement - The unlocked achievement
+ *
+ * @typedef {Object} SaveFailedPayload
+ * @property {Error} error - Why the save failed
+ * @property {boolean} quotaExceeded - Whether the storage backend was full
+ *
+ * @typedef {Object} SaveConflictPayload
+ * @property {number} generation - Save generation this tab last loaded or wrote
+ * @property {number} storedGeneration - Newer generation found in storage, written by another tab
+ *
+ * @typedef {Object} StorageWarningPayload
+ * @property {'quota' | 'mirror' | 'low'} reason - Full mirror, failed mirror, or quota nearly used up
+ * @property {string} message - Text to show the player
+ */
+
+const KNOWN_EVENTS = new Set(Object.values(GameEvents));
+
+export class EventBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event type
+     * @param {string} type - One of GameEvents
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, listener) {
+        this.assertKnownEvent(type);
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event type only
+     * @param {string} type - One of GameEvents
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    once(type, listener) {
+        const unsubscribe = this.on(type, (payload) => {
+            unsubscribe();
+            listener(payload);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Remove a listener
+     * @param {string} type - One of GameEvents
+     * @param {Function} listener - The listener passed to on()
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Emit an event to all current listeners
+     * A throwing listener is logged and does not stop the others
+     * @param {string} type - One of GameEvents
+     * @param {Object} payload - Event payload
+     */
+    emit(type, payload = {}) {
+        this.assertKnownEvent(type);
+
+        const listeners = this.listeners.get(type);
+        if (!listeners) {
+            return;
+        }
+
+        // Copy so listeners can unsubscribe while being notified
+        [...listeners].forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Listener for ${type} failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Remove all listeners
+     */
+    clear() {
+        this.listeners.clear();
+    }
+
+    /**
+     * Throw if the event type is not a known GameEvents value
+     * @private
+     * @param {string} type - Event type
+     */
+    assertKnownEvent(type) {
+        if (!KNOWN_EVENTS.has(type)) {
+            throw new Error(`Unknown game event: ${type}`);
+        }
+    }
+}
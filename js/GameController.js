@@ -5,62 +5,338 @@
 
 import { InventoryManager } from './systems/InventoryManager.js';
 import { MergeSystem } from './systems/MergeSystem.js';
-import { EnhancementSystem } from './systems/EnhancementSystem.js';
+import { EnhancementSystem, EnhancementResult } from './systems/EnhancementSystem.js';
 import { ShopSystem } from './systems/ShopSystem.js';
 import { QuestSystem } from './systems/QuestSystem.js';
+import { RewardSystem, describeBundle } from './systems/RewardSystem.js';
 import { AchievementSystem } from './systems/AchievementSystem.js';
-import { StorageManager } from './systems/StorageManager.js';
+import { IncomeSystem } from './systems/IncomeSystem.js';
+import { StorageManager, MAX_SLOT_NAME_LENGTH } from './systems/StorageManager.js';
+import { AutoSaveScheduler, SaveParts } from './systems/AutoSaveScheduler.js';
+import { TabCoordinator } from './systems/TabCoordinator.js';
+import { EventBus, GameEvents, GoldSource } from './EventBus.js';
+import { GAME_CONFIG } from './config.js';
+import { Random } from './Random.js';
 import { UIRenderer } from './ui/UIRenderer.js';
 import { DragDropHandler } from './ui/DragDropHandler.js';
 
 export class GameController {
     constructor() {
+        // Shared event bus, systems subscribe to what they care about
+        this.events = new EventBus();
+
+        // Shared RNG, its state is saved so outcomes can be replayed
+        this.random = new Random();
+
         // Initialize all subsystems
         this.inventory = new InventoryManager();
         this.mergeSystem = new MergeSystem();
-        this.enhancementSystem = new EnhancementSystem();
-        this.shopSystem = new ShopSystem();
-        this.questSystem = new QuestSystem();
+        this.enhancementSystem = new EnhancementSystem(GAME_CONFIG.enhancementTable, this.random);
+        this.shopSystem = new ShopSystem(this.random);
+        this.questSystem = new QuestSystem(this.random);
+        this.rewardSystem = new RewardSystem();
         this.achievementSystem = new AchievementSystem();
+        this.incomeSystem = new IncomeSystem();
         this.storageManager = new StorageManager();
         this.uiRenderer = new UIRenderer();
         this.dragDropHandler = new DragDropHandler();
 
+        this.questSystem.connect(this.events, () => ({ inventory: this.inventory, stats: this.gameState.stats }));
+        this.achievementSystem.connect(this.events);
+        this.incomeSystem.connect(this.events);
+        this.storageManager.connect(this.events);
+
+        // Coalesces saves, see triggerAutoSave()
+        this.autoSave = new AutoSaveScheduler(() => this.writeGameState());
+        this.events.on(GameEvents.ACHIEVEMENT_UNLOCKED, () => this.autoSave.markDirty(SaveParts.ACHIEVEMENTS));
+
+        // Only one tab may write a save slot, the others show it read-only
+        this.tabs = new TabCoordinator();
+        this.tabs.onTakeoverRequested(async () => {
+            await this.saveGameState();
+            this.enterReadOnly();
+        });
+        this.tabs.onLost(() => this.enterReadOnly());
+        this.events.on(GameEvents.SAVE_CONFLICT, () => this.enterReadOnly());
+
         // Game state
         this.gameState = null;
+        // Set while a corrupted save waits for the player's recovery choice, saving is blocked meanwhile
+        this.recoveryOptions = null;
+        // Set while another tab plays the active slot, saving and income are paused meanwhile
+        this.readOnly = false;
+        // Slot metadata shown in the save panel, refreshed after saves and slot changes
+        this.saveSlots = [];
         this.autoSaveInterval = null;
+        this.incomeInterval = null;
+        // performance.now() of the last income interval, the next one pays for the time since
+        this.lastIncomeTickAt = 0;
+        // Page lifecycle listeners that flush pending saves, removed by dispose()
+        this.lifecycleListeners = [];
     }
 
     /**
      * Initialize the game
      * Requirements: 12.1, 12.4
      * Loads saved state or creates new game, initializes all systems
+     * @returns {Promise<void>} Resolves once the game is loaded and running
      */
-    init() {
+    async init() {
         // Load game state from storage or create new
-        this.loadGameState();
+        await this.storageManager.open();
+        this.claimActiveSlot();
+        await this.loadGameState();
 
         // Initialize subsystems with loaded state
         this.initializeSubsystems();
 
+        // Render initial UI and bind user input
+        this.renderAll();
+        this.attachEventHandlers();
+
+        // Recover a damaged save or pay out offline income
+        this.resumeSession();
+        await this.refreshSaveSlots();
+        this.storageManager.checkQuota();
+
         // Set up auto-save
         this.setupAutoSave();
 
+        // Start idle income
+        this.startIncomeLoop();
+
         console.log('Game Controller initialized');
     }
 
+    /**
+     * Finish loading a slot once the UI is ready
+     * @private
+     */
+    resumeSession() {
+        this.uiRenderer.setReadOnly(this.readOnly);
+
+        if (this.readOnly) {
+            // The other tab owns recovery and offline income for this slot
+            return;
+        }
+        if (this.recoveryOptions) {
+            // Ask before anything overwrites the damaged save
+            this.uiRenderer.showRecoveryPrompt(this.recoveryOptions, async (option) => {
+                await this.resolveRecovery(option);
+                this.renderAll();
+            });
+        } else {
+            const { integrityIssues, repairs } = this.storageManager.lastLoadReport;
+            if (integrityIssues.length > 0) {
+                this.uiRenderer.showNotification('This save was edited outside the game and is marked as modded', 'error');
+            }
+            if (repairs && repairs.repaired && GAME_CONFIG.showSaveRepairs) {
+                this.uiRenderer.showNotification(`Fixed ${repairs.entries.length} problem(s) in your save`, 'info');
+            }
+            // Pay out income earned while the game was closed
+            this.applyOfflineEarnings();
+        }
+    }
+
+    /**
+     * Save the current slot and continue in another one, without a page reload
+     * @param {string} slotId - Slot ID from listSaveSlots()
+     * @returns {Promise<boolean>} True if switched
+     */
+    async switchSaveSlot(slotId) {
+        if (slotId === this.storageManager.activeSlotId) {
+            return true;
+        }
+        if (!(await this.storageManager.hasSlot(slotId))) {
+            console.error('Unknown save slot:', slotId);
+            return false;
+        }
+
+        // Nothing may earn or save between the last save of this slot and loading the next one,
+        // it would change the old state or write it into the new slot
+        this.stopIncomeLoop();
+        this.stopAutoSave();
+
+        try {
+            await this.autoSave.flush();
+            this.autoSave.cancel();
+            if (!(await this.storageManager.setActiveSlot(slotId))) {
+                return false;
+            }
+
+            this.claimActiveSlot();
+            this.recoveryOptions = null;
+            await this.loadGameState();
+            this.initializeSubsystems();
+            this.renderAll();
+            this.resumeSession();
+            await this.refreshSaveSlots();
+        } finally {
+            this.setupAutoSave();
+            this.startIncomeLoop();
+        }
+
+        console.log('Switched to save slot', slotId);
+        return true;
+    }
+
+    /**
+     * Become the writer of the active slot, or show it read-only if another tab is playing it
+     * @private
+     */
+    claimActiveSlot() {
+        this.readOnly = !this.tabs.acquire(this.storageManager.activeSlotId);
+        if (this.readOnly) {
+            console.warn('Save slot is open in another tab, continuing read-only');
+        }
+    }
+
+    /**
+     * Stop writing because another tab now plays the active slot
+     * @private
+     */
+    enterReadOnly() {
+        if (this.readOnly) {
+            return;
+        }
+
+        this.readOnly = true;
+        this.autoSave.cancel();
+        this.tabs.release();
+        this.uiRenderer.setReadOnly(true);
+        console.warn('Save slot taken over by another tab, continuing read-only');
+    }
+
+    /**
+     * Take the active slot over from the tab playing it and continue from its latest save
+     * The other tab saves and turns read-only before the slot is reloaded here.
+     * @returns {Promise<boolean>} True if this tab now plays the slot
+     */
+    async takeOverSlot() {
+        try {
+            const handedOver = await this.tabs.takeOver(this.storageManager.activeSlotId);
+
+            this.recoveryOptions = null;
+            await this.loadGameState();
+            // Stay read-only until the other tab's latest save is loaded, nothing older may be written over it
+            this.readOnly = false;
+            this.initializeSubsystems();
+            this.renderAll();
+            this.resumeSession();
+
+            if (!handedOver) {
+                // The other tab did not answer and may save late: write the next generation now,
+                // so its late save is the one refused as a conflict and this tab keeps playing
+                await this.saveGameState();
+            }
+            await this.refreshSaveSlots();
+        } catch (error) {
+            console.error('Failed to take over save slot:', error);
+            this.tabs.release();
+            this.uiRenderer.showNotification('Could not take over the save, try again', 'error');
+            return false;
+        }
+
+        console.log('Took over save slot', this.storageManager.activeSlotId);
+        return true;
+    }
+
+    /**
+     * Get all save slots
+     * @returns {Promise<Array>} SaveSlot metadata
+     */
+    listSaveSlots() {
+        return this.storageManager.listSlots();
+    }
+
+    /**
+     * Create an empty save slot
+     * @param {string} name - Slot name
+     * @returns {Promise<Object|null>} The new SaveSlot, or null if the name is invalid
+     */
+    async createSaveSlot(name) {
+        const slot = await this.storageManager.createSlot(name);
+        await this.refreshSaveSlots();
+        return slot;
+    }
+
+    /**
+     * Rename a save slot
+     * @param {string} slotId - Slot ID
+     * @param {string} name - New name
+     * @returns {Promise<boolean>} True if renamed
+     */
+    async renameSaveSlot(slotId, name) {
+        const renamed = await this.storageManager.renameSlot(slotId, name);
+        await this.refreshSaveSlots();
+        return renamed;
+    }
+
+    /**
+     * Copy a save slot, the active slot is saved first so the copy is up to date
+     * @param {string} slotId - Slot ID
+     * @param {string} name - Name of the copy
+     * @returns {Promise<Object|null>} The new SaveSlot, or null on failure
+     */
+    async duplicateSaveSlot(slotId, name) {
+        if (slotId === this.storageManager.activeSlotId) {
+            await this.autoSave.flush();
+        }
+        const slot = await this.storageManager.duplicateSlot(slotId, name);
+        await this.refreshSaveSlots();
+        return slot;
+    }
+
+    /**
+     * Delete a save slot that is not active
+     * @param {string} slotId - Slot ID
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async deleteSaveSlot(slotId) {
+        const deleted = await this.storageManager.deleteSlot(slotId);
+        await this.refreshSaveSlots();
+        return deleted;
+    }
+
+    /**
+     * Reload the slot metadata and redraw the save panel
+     * @private
+     */
+    async refreshSaveSlots() {
+        this.saveSlots = await this.storageManager.listSlots();
+        this.uiRenderer.renderSaveSlots(this.saveSlots, this.storageManager.activeSlotId);
+    }
+
     /**
      * Load game state from storage or create new
      * Requirements: 12.1
      */
-    loadGameState() {
-        // Try to load saved game
-        const savedState = this.storageManager.loadGame();
+    async loadGameState() {
+        // Try to load saved game, a tab without the slot's lease must not write anything while loading
+        const savedState = await this.storageManager.loadGame({ readOnly: !this.tabs.holds(this.storageManager.activeSlotId) });
 
         if (savedState) {
             // Use saved state
             this.gameState = savedState;
             console.log('Loaded saved game state');
+
+            const { migrations, backupKey, integrityIssues, repairs } = this.storageManager.lastLoadReport;
+            if (migrations.length > 0) {
+                console.log('Save migrated:', migrations.map(m => `${m.from} → ${m.to}`).join(', '), 'backup:', backupKey);
+            }
+            if (integrityIssues.length > 0) {
+                console.warn('Save failed integrity checks, marked as modded:', integrityIssues);
+            }
+            if (repairs.repaired) {
+                console.warn('Save repaired:', repairs.entries.map(entry => entry.message));
+                // Write the fixes back with the next save
+                this.autoSave.markDirty(SaveParts.INVENTORY, SaveParts.QUESTS, SaveParts.ACHIEVEMENTS, SaveParts.STATS);
+            }
+        } else if (this.storageManager.lastLoadReport.corrupted) {
+            // Play on a blank state until the player decides how to recover
+            this.recoveryOptions = await this.storageManager.getRecoveryOptions();
+            this.gameState = this.storageManager.createNewGameState();
+            console.warn('Saved game is corrupted, recovery options:', this.recoveryOptions.length);
         } else {
             // Create new game state
             this.gameState = this.storageManager.createNewGameState();
@@ -68,45 +344,98 @@ export class GameController {
         }
     }
 
+    /**
+     * Finish recovering from a corrupted save
+     * Requirements: 12.3
+     * @param {Object|null} option - A RecoveryOption from StorageManager.getRecoveryOptions, or null to start over
+     * @returns {Promise<void>}
+     */
+    async resolveRecovery(option) {
+        this.gameState = option ? option.state : this.storageManager.createNewGameState();
+        this.recoveryOptions = null;
+
+        this.initializeSubsystems();
+
+        // The damaged save has been copied aside by StorageManager, now it can be replaced
+        await this.saveGameState();
+
+        console.log('Recovered game state:', option ? option.type : 'new game');
+    }
+
     /**
      * Initialize all subsystems with loaded game state
      * Requirements: 12.1
      * @private
      */
     initializeSubsystems() {
+        // Resume the saved RNG sequence, new games keep the fresh seed
+        if (this.gameState.rng) {
+            this.random.setState(this.gameState.rng);
+        }
+
         // Initialize inventory with saved slots
         this.inventory.slots = this.gameState.inventory;
+        this.incomeSystem.invalidate();
 
-        // Initialize quest system with saved quests
-        if (this.gameState.quests.length === 0) {
-            // Generate daily quests if none exist
-            this.gameState.quests = this.questSystem.generateDailyQuests();
-        } else {
-            this.questSystem.activeQuests = this.gameState.quests;
+        // Apply saved configuration, saves from before config existed get the defaults
+        this.gameState.config = { enhancementTable: GAME_CONFIG.enhancementTable, ...this.gameState.config };
+        if (!this.enhancementSystem.setTable(this.gameState.config.enhancementTable)) {
+            this.gameState.config.enhancementTable = this.enhancementSystem.activeTableName;
         }
 
-        // Initialize achievement system with saved achievements
-        if (this.gameState.achievements.length === 0) {
-            // Initialize achievements if none exist
-            this.gameState.achievements = this.achievementSystem.achievements;
-        } else {
-            this.achievementSystem.achievements = this.gameState.achievements;
+        // Restore the saved quests, pools whose period ended since the last save get new ones
+        this.questSystem.restore(
+            this.gameState.quests,
+            this.gameState.questPeriods || {},
+            this.gameState.questInbox || [],
+            this.gameState.questRerollsUsed || 0
+        );
+        if (this.questSystem.refreshQuests().length > 0) {
+            this.triggerAutoSave(SaveParts.QUESTS);
         }
+        this.gameState.quests = this.questSystem.activeQuests;
+
+        // Reward swords still waiting for room in the inventory
+        this.rewardSystem.restore(this.gameState.pendingRewards || []);
+
+        // Rebuild achievements from the current catalog and apply the saved progress
+        const dropped = this.achievementSystem.restoreProgress(this.gameState.achievements);
+        if (dropped.length > 0) {
+            console.warn('Dropped progress of unknown achievements:', dropped);
+        }
+        // Fill in progress and unlock achievements added since the last save that are already earned
+        this.achievementSystem.checkAchievements(this.gameState.stats);
     }
 
     /**
-     * Save current game state to storage
+     * Save current game state to storage now, whether or not anything is marked as changed
+     * Any scheduled auto-save is folded into this one.
      * Requirements: 12.4
+     * @returns {Promise<boolean>} True if saved
      */
     saveGameState() {
-        // Update game state with current subsystem states
-        this.gameState.inventory = this.inventory.slots;
-        this.gameState.quests = this.questSystem.activeQuests;
-        this.gameState.achievements = this.achievementSystem.achievements;
-        this.gameState.lastSaved = new Date();
+        return this.autoSave.flush(true);
+    }
+
+    /**
+     * Write the game state, called by the auto-save scheduler
+     * The state is captured immediately, the write itself finishes asynchronously.
+     * @private
+     * @returns {Promise<boolean>} True if saved
+     */
+    async writeGameState() {
+        if (this.recoveryOptions) {
+            console.warn('Save skipped: waiting for save recovery choice');
+            return false;
+        }
+        if (this.readOnly) {
+            return false;
+        }
+
+        this.syncGameState();
 
         // Save to storage
-        const success = this.storageManager.saveGame(this.gameState);
+        const success = await this.storageManager.saveGame(this.gameState);
         
         if (success) {
             console.log('Game state saved successfully');
@@ -118,12 +447,83 @@ export class GameController {
     }
 
     /**
-     * Trigger auto-save after state changes
+     * Copy the current subsystem states into gameState
+     * @private
+     */
+    syncGameState() {
+        this.gameState.inventory = this.inventory.slots;
+        this.gameState.quests = this.questSystem.activeQuests;
+        this.gameState.questPeriods = { ...this.questSystem.periods };
+        this.gameState.questInbox = this.questSystem.inbox;
+        this.gameState.questRerollsUsed = this.questSystem.rerollsUsed;
+        this.gameState.pendingRewards = this.rewardSystem.pending;
+        this.gameState.achievements = this.achievementSystem.exportProgress();
+        this.gameState.rng = this.random.getState();
+        this.gameState.lastSaved = new Date();
+        // Latest clock reading ever saved, setting the clock back cannot lower it
+        this.gameState.lastSeenAt = Math.max(this.gameState.lastSeenAt || 0, this.gameState.lastSaved.getTime());
+    }
+
+    /**
+     * Export the current game as a checksummed text code
+     * @returns {string} Save code
+     */
+    exportSave() {
+        this.syncGameState();
+        return this.storageManager.exportCode(this.gameState);
+    }
+
+    /**
+     * Export the current game as a .json file
+     * @returns {Object} SaveFile with filename and contents
+     */
+    exportSaveFile() {
+        this.syncGameState();
+        return this.storageManager.exportFile(this.gameState);
+    }
+
+    /**
+     * Check an exported save code or file before importing it
+     * Nothing changes until applyImport() is called with the preview.
+     * @param {string} text - Save code or .json file contents
+     * @returns {Object} ImportPreview from StorageManager.importSave
+     */
+    previewImport(text) {
+        return this.storageManager.importSave(text);
+    }
+
+    /**
+     * Replace the current game with a previewed import
+     * The previous game stays available in the rotating backups.
+     * @param {Object} preview - A successful ImportPreview
+     * @returns {Promise<boolean>} True if the import was applied
+     */
+    async applyImport(preview) {
+        if (!preview || !preview.success) {
+            return false;
+        }
+
+        this.gameState = preview.state;
+        // The export may come from a machine with a different clock, don't trust its high-water mark
+        this.gameState.lastSeenAt = Date.now();
+        this.recoveryOptions = null;
+
+        this.initializeSubsystems();
+        await this.saveGameState();
+
+        console.log('Imported game state');
+        return true;
+    }
+
+    /**
+     * Mark parts of the state as changed and schedule a debounced save
+     * Gold and stats mark themselves in changeGold() and updateStats().
      * Requirements: 12.4
      * @private
+     * @param {...string} parts - SaveParts values that changed
      */
-    triggerAutoSave() {
-        this.saveGameState();
+    triggerAutoSave(...parts) {
+        this.autoSave.schedule(...parts);
     }
 
     /**
@@ -142,7 +542,7 @@ export class GameController {
         }
 
         // Add gold value to player
-        this.gameState.player.gold += sword.goldValue;
+        this.changeGold(sword.goldValue, GoldSource.SALE);
 
         // Update statistics
         this.updateStats('totalSales', 1);
@@ -151,14 +551,10 @@ export class GameController {
         // Remove sword from inventory
         this.inventory.removeSword(position);
 
-        // Update quest progress
-        this.questSystem.updateProgress('sell', 1);
-
-        // Check achievements
-        this.checkAchievements();
+        this.events.emit(GameEvents.SWORD_SOLD, { swords: [sword], gold: sword.goldValue });
 
         // Trigger auto-save
-        this.triggerAutoSave();
+        this.triggerAutoSave(SaveParts.INVENTORY, SaveParts.QUESTS);
 
         return true;
     }
@@ -176,27 +572,23 @@ export class GameController {
             return 0;
         }
 
-        // Count swords for statistics
-        const swordCount = this.inventory.countSwords();
+        // Collect swords for statistics
+        const swords = this.inventory.getAllSwords();
 
         // Add gold to player
-        this.gameState.player.gold += totalValue;
+        this.changeGold(totalValue, GoldSource.SALE);
 
         // Update statistics
-        this.updateStats('totalSales', swordCount);
+        this.updateStats('totalSales', swords.length);
         this.updateStats('totalGoldEarned', totalValue);
 
         // Clear inventory
         this.inventory.clear();
 
-        // Update quest progress
-        this.questSystem.updateProgress('sell', swordCount);
-
-        // Check achievements
-        this.checkAchievements();
+        this.events.emit(GameEvents.SWORD_SOLD, { swords, gold: totalValue });
 
         // Trigger auto-save
-        this.triggerAutoSave();
+        this.triggerAutoSave(SaveParts.INVENTORY, SaveParts.QUESTS);
 
         return totalValue;
     }
@@ -232,27 +624,91 @@ export class GameController {
 
         // Update statistics
         this.updateStats('totalMerges', 1);
-        if (mergedSword.level > this.gameState.stats.maxLevel) {
-            this.gameState.stats.maxLevel = mergedSword.level;
+        this.updateStats('maxLevel', mergedSword.level);
+
+        this.events.emit(GameEvents.SWORD_MERGED, { sourcePosition: sourcePos, targetPosition: targetPos, sword: mergedSword });
+
+        // Trigger auto-save
+        this.triggerAutoSave(SaveParts.INVENTORY, SaveParts.QUESTS, SaveParts.RNG);
+
+        return true;
+    }
+
+    /**
+     * Handle moving a sword to an empty slot
+     * Requirements: 2.3
+     * @param {number} fromPos - Source position
+     * @param {number} toPos - Target position (must be empty)
+     * @returns {boolean} True if successful
+     */
+    handleMove(fromPos, toPos) {
+        if (!this.inventory.moveSword(fromPos, toPos)) {
+            return false;
         }
 
-        // Update quest progress
-        this.questSystem.updateProgress('merge', 1);
+        this.events.emit(GameEvents.SWORD_MOVED, { fromPosition: fromPos, toPosition: toPos });
+
+        // Trigger auto-save
+        this.triggerAutoSave(SaveParts.INVENTORY);
+
+        return true;
+    }
 
-        // Check achievements
-        this.checkAchievements();
+    /**
+     * Handle swapping two swords
+     * Requirements: 2.4
+     * @param {number} pos1 - First position
+     * @param {number} pos2 - Second position
+     * @returns {boolean} True if successful
+     */
+    handleSwap(pos1, pos2) {
+        if (!this.inventory.swapSwords(pos1, pos2)) {
+            return false;
+        }
+
+        this.events.emit(GameEvents.SWORD_SWAPPED, { fromPosition: pos1, toPosition: pos2 });
 
         // Trigger auto-save
-        this.triggerAutoSave();
+        this.triggerAutoSave(SaveParts.INVENTORY);
 
         return true;
     }
 
+    /**
+     * Resolve a drag-and-drop into a move, swap or merge
+     * Requirements: 2.3, 2.4, 2.5
+     * @param {number} sourcePos - Dragged sword position
+     * @param {number} targetPos - Drop target position
+     * @returns {string|null} 'move', 'swap' or 'merge' if performed, null otherwise
+     */
+    handleDrop(sourcePos, targetPos) {
+        if (sourcePos === targetPos) {
+            return null;
+        }
+
+        const sourceSword = this.inventory.getSword(sourcePos);
+        const targetSword = this.inventory.getSword(targetPos);
+
+        if (!sourceSword) {
+            return null;
+        }
+
+        if (!targetSword) {
+            return this.handleMove(sourcePos, targetPos) ? 'move' : null;
+        }
+
+        if (this.mergeSystem.canMerge(sourceSword, targetSword)) {
+            return this.handleMerge(sourcePos, targetPos) ? 'merge' : null;
+        }
+
+        return this.handleSwap(sourcePos, targetPos) ? 'swap' : null;
+    }
+
     /**
      * Handle enhancement operation
      * Requirements: 4.1, 4.2, 4.3, 4.4
      * @param {number} position - Inventory position
-     * @returns {Object} Enhancement result with outcome and sword (if not destroyed)
+     * @returns {Object} Enhancement result with outcome, cost, sword (if not destroyed) and before/after diff
      */
     handleEnhancement(position) {
         const sword = this.inventory.getSword(position);
@@ -261,34 +717,53 @@ export class GameController {
             return { success: false, error: 'No sword at position' };
         }
 
-        // Perform enhancement
-        const result = this.enhancementSystem.enhance(sword);
+        const cost = this.enhancementSystem.getEnhancementCost(sword);
+        const gold = this.gameState.player.gold;
+
+        if (gold < cost) {
+            return { success: false, error: `Insufficient gold. Need ${cost}, have ${gold}`, cost };
+        }
+
+        // Pay and roll together, nothing between them can fail
+        this.changeGold(-cost, GoldSource.ENHANCEMENT);
+        let result = this.enhancementSystem.enhance(sword);
+
+        // A protection item is used up to keep the sword instead of losing it
+        const isProtected = result === EnhancementResult.DESTROY && this.gameState.player.protections > 0;
+        if (isProtected) {
+            this.gameState.player.protections--;
+            result = EnhancementResult.MAINTAIN;
+        }
+
+        const { before, after } = this.enhancementSystem.applyResult(sword, result);
 
         // Update statistics
         this.updateStats('totalEnhancements', 1);
 
         // Handle result
-        if (result === 'SUCCESS') {
-            // Sword was enhanced, update in inventory
-            this.inventory.removeSword(position);
-            this.inventory.addSword(sword, position);
-        } else if (result === 'MAINTAIN') {
-            // Sword unchanged, no action needed
-        } else if (result === 'DESTROY') {
+        const payload = { position, sword, result, before, after, protected: isProtected };
+        if (result === EnhancementResult.SUCCESS) {
+            this.events.emit(GameEvents.SWORD_ENHANCED, payload);
+        } else if (result === EnhancementResult.DESTROY) {
             // Remove sword from inventory
             this.inventory.removeSword(position);
+            this.events.emit(GameEvents.SWORD_DESTROYED, payload);
         }
 
-        // Update quest progress
-        this.questSystem.updateProgress('enhance', 1);
-
-        // Check achievements
-        this.checkAchievements();
+        this.events.emit(GameEvents.ENHANCEMENT_ATTEMPTED, payload);
 
         // Trigger auto-save
-        this.triggerAutoSave();
-
-        return { success: true, result, sword: result !== 'DESTROY' ? sword : null };
+        this.triggerAutoSave(SaveParts.PLAYER, SaveParts.INVENTORY, SaveParts.QUESTS, SaveParts.RNG);
+
+        return {
+            success: true,
+            result,
+            cost,
+            sword: result !== EnhancementResult.DESTROY ? sword : null,
+            before,
+            after,
+            protected: isProtected
+        };
     }
 
     /**
@@ -310,25 +785,196 @@ export class GameController {
 
         if (result.success) {
             // Deduct cost
-            const cost = itemType === 'basic' ? 20 : 100;
-            this.gameState.player.gold -= cost;
+            const cost = itemType === 'basic' ? this.shopSystem.BASIC_SWORD_COST : this.shopSystem.LUCKY_BOX_COST;
+            this.changeGold(-cost, GoldSource.PURCHASE);
 
             // Update statistics
             this.updateStats('totalPurchases', 1);
+            this.updateStats('maxLevel', result.sword.level);
+
+            this.events.emit(GameEvents.SWORD_PURCHASED, { itemType, sword: result.sword, cost });
+
+            // Trigger auto-save
+            this.triggerAutoSave(SaveParts.INVENTORY, SaveParts.QUESTS, SaveParts.RNG);
+        }
+
+        return result;
+    }
+
+    /**
+     * Open one of the player's free lucky boxes
+     * Counts as opening a lucky box for quests, not as a purchase.
+     * @returns {Object} Purchase result
+     */
+    handleOpenLuckyBox() {
+        if (!(this.gameState.player.luckyBoxes > 0)) {
+            return { success: false, error: 'No free lucky boxes' };
+        }
 
-            // Update quest progress
-            this.questSystem.updateProgress('purchase', 1);
+        const result = this.shopSystem.openLuckyBox(this.inventory);
 
-            // Check achievements
-            this.checkAchievements();
+        if (result.success) {
+            this.gameState.player.luckyBoxes--;
+            this.updateStats('maxLevel', result.sword.level);
+
+            this.events.emit(GameEvents.SWORD_PURCHASED, { itemType: 'luckybox', sword: result.sword, cost: 0 });
 
             // Trigger auto-save
-            this.triggerAutoSave();
+            this.triggerAutoSave(SaveParts.PLAYER, SaveParts.INVENTORY, SaveParts.QUESTS, SaveParts.RNG);
         }
 
         return result;
     }
 
+    /**
+     * Credit idle income for elapsed time
+     * PRD: 4.2.2
+     * @param {number} seconds - Elapsed time in seconds
+     * @returns {number} Gold earned
+     */
+    handleIncomeTick(seconds) {
+        // The tab playing this slot earns the income
+        if (this.readOnly) {
+            return 0;
+        }
+
+        const earned = this.incomeSystem.tick(this.inventory, seconds);
+
+        if (earned > 0) {
+            this.changeGold(earned, GoldSource.INCOME);
+            this.updateStats('totalGoldEarned', earned);
+        }
+
+        return earned;
+    }
+
+    /**
+     * Grant income for the time since the last save
+     * PRD: 5.2
+     * @param {Date} [now] - Current time
+     * @returns {Object} OfflineEarnings summary (gold is 0 if nothing was granted)
+     */
+    applyOfflineEarnings(now = new Date()) {
+        // Measure from the latest time ever saved so a clock moved back and then
+        // forward again does not count the same hours twice
+        const lastSaved = Math.max(new Date(this.gameState.lastSaved).getTime(), this.gameState.lastSeenAt || 0);
+
+        return this.creditOfflineEarnings((now.getTime() - lastSaved) / 1000);
+    }
+
+    /**
+     * Pay income for an absence at the offline rate
+     * PRD: 5.2
+     * @param {number} awaySeconds - Length of the absence in seconds
+     * @returns {Object} OfflineEarnings summary (gold is 0 if nothing was granted)
+     */
+    creditOfflineEarnings(awaySeconds) {
+        const earnings = this.incomeSystem.calculateOfflineEarnings(this.inventory, awaySeconds, {
+            capSeconds: GAME_CONFIG.offlineCapSeconds,
+            efficiency: GAME_CONFIG.offlineEfficiency,
+            minSeconds: GAME_CONFIG.offlineMinSeconds
+        });
+
+        if (earnings.gold > 0) {
+            this.changeGold(earnings.gold, GoldSource.OFFLINE);
+            this.updateStats('totalGoldEarned', earnings.gold);
+            this.events.emit(GameEvents.OFFLINE_EARNINGS, earnings);
+
+            // Save right away so a reload cannot pay the same absence twice
+            this.autoSave.flush();
+        }
+
+        return earnings;
+    }
+
+    /**
+     * Start the idle income loop
+     * Income is not saved on every tick, the auto-save interval picks it up
+     */
+    startIncomeLoop() {
+        this.stopIncomeLoop();
+
+        this.lastIncomeTickAt = performance.now();
+        this.incomeInterval = setInterval(() => {
+            this.handleIncomeInterval();
+            this.handleQuestClock();
+        }, GAME_CONFIG.incomeTickMs);
+    }
+
+    /**
+     * Credit income for the time measured since the previous interval
+     * Browsers throttle timers in background tabs, so intervals can fire far apart. Gaps shorter than
+     * offlineMinSeconds earn the full rate; a longer gap (tab hidden, device asleep) is an absence and is
+     * paid like offline time.
+     * PRD: 4.2.2, 5.2
+     * @param {number} [now] - Current performance.now() timestamp
+     * @returns {number} Gold earned
+     */
+    handleIncomeInterval(now = performance.now()) {
+        const seconds = Math.max(0, (now - this.lastIncomeTickAt) / 1000);
+        this.lastIncomeTickAt = now;
+
+        if (seconds < GAME_CONFIG.offlineMinSeconds) {
+            return this.handleIncomeTick(seconds);
+        }
+
+        return this.readOnly ? 0 : this.creditOfflineEarnings(seconds).gold;
+    }
+
+    /**
+     * Replace the quests of pools whose period ended and update the reset countdowns
+     * Runs on every income tick so a tab left open past midnight resets too.
+     * @param {Date} [now] - Current time
+     * @returns {boolean} True if the quests were reset
+     */
+    handleQuestClock(now = new Date()) {
+        // Only the tab writing the slot resets, a read-only tab picks the new quests up when it takes over
+        const reset = !this.readOnly && this.questSystem.refreshQuests(now).length > 0;
+
+        if (reset) {
+            this.triggerAutoSave(SaveParts.QUESTS);
+            this.renderQuests();
+        }
+        this.uiRenderer.renderQuestTimers(this.questSystem.getResetTimers(now));
+
+        return reset;
+    }
+
+    /**
+     * Stop the idle income loop
+     */
+    stopIncomeLoop() {
+        if (this.incomeInterval) {
+            clearInterval(this.incomeInterval);
+            this.incomeInterval = null;
+        }
+    }
+
+    /**
+     * Stop all timers and listeners, used when tearing the game down
+     * Pending changes are still saved.
+     */
+    dispose() {
+        this.stopIncomeLoop();
+        this.stopAutoSave();
+        this.autoSave.flush();
+        // The save above has captured the state already, the slot can be handed on
+        this.tabs.dispose();
+    }
+
+    /**
+     * Sort the inventory by sword level
+     * Requirements: 9.1
+     */
+    handleSort() {
+        this.inventory.sortByLevel();
+
+        this.events.emit(GameEvents.INVENTORY_SORTED, {});
+
+        // Trigger auto-save
+        this.triggerAutoSave(SaveParts.INVENTORY);
+    }
+
     /**
      * Handle quest claim
      * Requirements: 7.3
@@ -339,18 +985,126 @@ export class GameController {
         const reward = this.questSystem.claimReward(questId);
 
         if (reward > 0) {
-            // Add reward gold
-            this.gameState.player.gold += reward;
+            const quest = this.questSystem.activeQuests.find(q => q.id === questId);
+            return this.grantQuestReward(quest, reward);
+        }
+
+        return { success: false, error: 'Quest cannot be claimed' };
+    }
+
+    /**
+     * Pay out a claimed quest: its gold and its reward bundle
+     * @private
+     * @param {Object} quest - The claimed quest
+     * @param {number} reward - Gold reward
+     * @returns {Object} Claim result with reward, bundle and the swords placed or left pending
+     */
+    grantQuestReward(quest, reward) {
+        // Add reward gold
+        this.changeGold(reward, GoldSource.REWARD);
+
+        const { swords, pending } = this.rewardSystem.grant(quest.bundle, this.inventory, this.gameState.player, quest.title);
+        swords.forEach(sword => this.updateStats('maxLevel', sword.level));
+        if (quest.bundle) {
+            this.events.emit(GameEvents.REWARD_GRANTED, { bundle: quest.bundle, source: quest.title, swords, pending });
+        }
+
+        this.events.emit(GameEvents.QUEST_CLAIMED, { quest, reward });
+
+        // Trigger auto-save
+        this.triggerAutoSave(SaveParts.PLAYER, SaveParts.INVENTORY, SaveParts.QUESTS);
+
+        return { success: true, reward, bundle: quest.bundle || null, swords, pending };
+    }
+
+    /**
+     * Move a reward sword from the pending-rewards inbox into the inventory
+     * @param {string} rewardId - PendingReward ID
+     * @returns {Object} { success, sword } or { success: false, error }
+     */
+    handleCollectReward(rewardId) {
+        const reward = this.rewardSystem.pending.find(entry => entry.id === rewardId);
+        const result = this.rewardSystem.collectPending(rewardId, this.inventory);
+
+        if (result.success) {
+            this.updateStats('maxLevel', result.sword.level);
+            this.events.emit(GameEvents.PENDING_REWARD_COLLECTED, { reward, sword: result.sword });
 
             // Trigger auto-save
-            this.triggerAutoSave();
+            this.triggerAutoSave(SaveParts.INVENTORY, SaveParts.RNG);
+        }
+
+        return result;
+    }
+
+    /**
+     * Swap an unstarted daily quest for another one, paying the reroll price if it is not free
+     * @param {string} questId - Quest ID to reroll
+     * @returns {Object} Reroll result from QuestSystem.rerollQuest
+     */
+    handleQuestReroll(questId) {
+        const result = this.questSystem.rerollQuest(questId, this.gameState.player.gold);
+
+        if (result.success) {
+            if (result.cost > 0) {
+                this.changeGold(-result.cost, GoldSource.REROLL);
+            }
+            this.updateStats('questRerolls', 1);
 
-            return { success: true, reward };
+            this.events.emit(GameEvents.QUEST_REROLLED, { quest: result.quest, replaced: result.replaced, cost: result.cost });
+
+            this.triggerAutoSave(SaveParts.QUESTS);
+        }
+
+        return result;
+    }
+
+    /**
+     * Claim the reward of a quest from an earlier day kept in the inbox
+     * @param {string} questId - Quest ID to claim
+     * @returns {Object} Claim result
+     */
+    handleInboxClaim(questId) {
+        const quest = this.questSystem.inbox.find(q => q.id === questId);
+        const reward = this.questSystem.claimInboxReward(questId);
+
+        if (reward > 0) {
+            return this.grantQuestReward(quest, reward);
         }
 
         return { success: false, error: 'Quest cannot be claimed' };
     }
 
+    /**
+     * Restart the shared RNG from a known seed (bug reproduction, daily challenges)
+     * @param {number} seed - 32-bit seed
+     */
+    reseed(seed) {
+        this.random.reseed(seed);
+
+        // Trigger auto-save
+        this.triggerAutoSave(SaveParts.RNG);
+    }
+
+    /**
+     * Switch the enhancement probability table and remember it in the save
+     * Requirements: 4.2
+     * @param {string} tableName - Registered table name
+     * @returns {boolean} True if the table was applied
+     */
+    setEnhancementTable(tableName) {
+        if (!this.enhancementSystem.setTable(tableName)) {
+            return false;
+        }
+
+        this.gameState.config.enhancementTable = tableName;
+
+        // Trigger auto-save
+        this.triggerAutoSave(SaveParts.CONFIG);
+
+        return true;
+    }
+
     /**
      * Update player statistics
      * Requirements: 3.5, 7.5, 8.1
@@ -370,20 +1124,23 @@ export class GameController {
             // For other stats, add value
             this.gameState.stats[statType] += value;
         }
+        this.autoSave.markDirty(SaveParts.STATS);
+
+        // Achievement checks subscribe to this
+        this.events.emit(GameEvents.STATS_CHANGED, { statType, stats: this.gameState.stats });
     }
 
     /**
-     * Check and unlock achievements
-     * Requirements: 8.1, 8.2
-     * @private
+     * Add (or with a negative delta, remove) player gold
+     * Requirements: 5.2, 6.1
+     * @param {number} delta - Gold to add
+     * @param {string} [source] - One of GoldSource, what the gold was gained or spent on
      */
-    checkAchievements() {
-        const unlockedAchievements = this.achievementSystem.checkAchievements(this.gameState.stats);
-        
-        // Notify about newly unlocked achievements
-        if (unlockedAchievements.length > 0) {
-            console.log('Achievements unlocked:', unlockedAchievements.map(a => a.title));
-        }
+    changeGold(delta, source) {
+        this.gameState.player.gold += delta;
+        this.autoSave.markDirty(SaveParts.PLAYER);
+
+        this.events.emit(GameEvents.GOLD_CHANGED, { gold: this.gameState.player.gold, delta, source });
     }
 
     /**
@@ -391,31 +1148,393 @@ export class GameController {
      * Requirements: 12.4
      */
     setupAutoSave() {
-        // Clear existing interval if any
+        // Clear existing interval and listeners if any
+        this.stopAutoSave();
+
+        // Background save, only written if something changed (idle income usually has)
+        this.autoSaveInterval = setInterval(() => {
+            this.autoSave.flush();
+        }, GAME_CONFIG.autoSaveIntervalMs);
+
+        // Flush pending changes when the page is hidden or closed. Mobile browsers often
+        // skip beforeunload, pagehide and visibilitychange are the reliable signals there.
+        const flush = () => this.autoSave.flush();
+        this.addLifecycleListener(window, 'beforeunload', flush);
+        this.addLifecycleListener(window, 'pagehide', () => {
+            // Let another tab claim the slot right away instead of waiting for the claim to expire
+            flush();
+            this.tabs.release();
+        });
+        this.addLifecycleListener(window, 'pageshow', (event) => {
+            // Back from the back/forward cache: another tab may have claimed the slot meanwhile
+            if (event.persisted && !this.readOnly && !this.tabs.acquire(this.storageManager.activeSlotId)) {
+                this.enterReadOnly();
+            }
+        });
+        this.addLifecycleListener(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                flush();
+            }
+        });
+    }
+
+    /**
+     * Listen to a page lifecycle event until dispose()
+     * @private
+     * @param {EventTarget} target - window or document
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener
+     */
+    addLifecycleListener(target, type, listener) {
+        target.addEventListener(type, listener);
+        this.lifecycleListeners.push({ target, type, listener });
+    }
+
+    /**
+     * Stop the auto-save interval and lifecycle listeners
+     * @private
+     */
+    stopAutoSave() {
         if (this.autoSaveInterval) {
             clearInterval(this.autoSaveInterval);
+            this.autoSaveInterval = null;
         }
 
-        // Set up auto-save every 30 seconds
-        this.autoSaveInterval = setInterval(() => {
-            this.saveGameState();
-        }, 30000);
+        this.lifecycleListeners.forEach(({ target, type, listener }) => target.removeEventListener(type, listener));
+        this.lifecycleListeners = [];
+    }
 
-        // Set up beforeunload handler for final save
-        window.addEventListener('beforeunload', () => {
-            this.saveGameState();
+    /**
+     * Re-render every UI panel from the current game state
+     * Requirements: 11.1, 11.2
+     */
+    renderAll() {
+        const gold = this.gameState.player.gold;
+
+        this.uiRenderer.renderGold(gold);
+        this.uiRenderer.renderIncome(this.incomeSystem.getGoldPerSecond(this.inventory));
+        this.uiRenderer.renderInventory(this.inventory);
+        this.uiRenderer.renderShop(gold);
+        this.uiRenderer.renderItems(this.gameState.player);
+        this.renderQuests();
+        this.uiRenderer.renderAchievements(this.achievementSystem.achievements);
+        this.uiRenderer.renderSaveSlots(this.saveSlots, this.storageManager.activeSlotId);
+
+        // Inventory slots are recreated on every render, so rebind drag and drop
+        this.dragDropHandler.initializeDragDrop((sourcePos, targetPos) => {
+            if (this.handleDrop(sourcePos, targetPos)) {
+                this.renderAll();
+            }
         });
     }
 
+    /**
+     * Re-render the quest panel: quests by pool with reroll options, the inbox and the reset countdowns
+     */
+    renderQuests() {
+        const quests = this.questSystem.activeQuests;
+        const reroll = {
+            remaining: this.questSystem.getRerollsRemaining(),
+            cost: this.questSystem.getRerollCost(),
+            questIds: quests.filter(quest => this.questSystem.canReroll(quest)).map(quest => quest.id)
+        };
+
+        this.uiRenderer.renderQuests(quests, this.questSystem.pools, reroll);
+        this.uiRenderer.renderQuestInbox(this.questSystem.inbox);
+        this.uiRenderer.renderPendingRewards(this.rewardSystem.pending, !this.inventory.isFull());
+        this.uiRenderer.renderQuestTimers(this.questSystem.getResetTimers());
+    }
+
     /**
      * Attach event handlers for user actions
-     * Requirements: 12.1
-     * This will be fully implemented in task 17
+     * Requirements: 2.1, 4.1, 5.1, 6.1, 7.3, 9.1, 9.2, 12.1
      */
     attachEventHandlers() {
-        // Placeholder for event handler attachment
-        // Will be implemented in task 17
-        console.log('Event handlers will be attached in task 17');
+        // Game events the UI reacts to outside of explicit re-renders
+        this.events.on(GameEvents.GOLD_CHANGED, ({ gold }) => {
+            this.uiRenderer.renderGold(gold);
+            this.uiRenderer.renderShop(gold);
+        });
+        this.events.on(GameEvents.INCOME_CHANGED, ({ goldPerSecond }) => {
+            this.uiRenderer.renderIncome(goldPerSecond);
+        });
+        this.events.on(GameEvents.OFFLINE_EARNINGS, (earnings) => {
+            this.uiRenderer.showWelcomeBack(earnings);
+        });
+        this.events.on(GameEvents.QUEST_COMPLETED, ({ quest }) => {
+            this.uiRenderer.showNotification(`Quest complete: ${quest.title}`, 'success');
+        });
+        this.events.on(GameEvents.QUESTS_RESET, ({ pool, period, inboxed }) => {
+            const title = this.questSystem.getPool(pool).title;
+            const inboxNote = inboxed.length > 0 ? `, ${inboxed.length} unclaimed reward(s) moved to your inbox` : '';
+            const message = period === null ? `${title} quests ended` : `New ${title.toLowerCase()} quests`;
+            this.uiRenderer.showNotification(`${message}${inboxNote}`, 'info');
+        });
+        this.events.on(GameEvents.ACHIEVEMENT_UNLOCKED, ({ achievement }) => {
+            console.log('Achievement unlocked:', achievement.title);
+            this.uiRenderer.showNotification(`Achievement unlocked: ${achievement.title}`, 'success');
+        });
+        this.events.on(GameEvents.GAME_SAVED, () => {
+            this.refreshSaveSlots();
+        });
+        this.events.on(GameEvents.SAVE_FAILED, ({ quotaExceeded }) => {
+            this.uiRenderer.showNotification(
+                quotaExceeded ? 'Save failed: browser storage is full. Export your save to keep it safe.' : 'Save failed',
+                'error'
+            );
+        });
+        this.events.on(GameEvents.STORAGE_WARNING, ({ message }) => {
+            this.uiRenderer.showNotification(message, 'error');
+        });
+        this.events.on(GameEvents.SAVE_CONFLICT, () => {
+            this.uiRenderer.showNotification('This save was changed in another tab, changes here are no longer saved', 'error');
+        });
+
+        // Read-only banner
+        this.bindClick('take-over-btn', () => {
+            this.takeOverSlot();
+        });
+
+        // Shop buttons
+        this.bindClick('buy-sword-btn', () => {
+            this.onPurchaseClick('basic');
+        });
+        this.bindClick('buy-lucky-box-btn', () => {
+            this.onPurchaseClick('luckybox');
+        });
+        this.bindClick('open-lucky-box-btn', () => {
+            this.onPurchaseClick('freebox');
+        });
+
+        // Inventory utility buttons
+        this.bindClick('sort-btn', () => {
+            this.handleSort();
+            this.renderAll();
+        });
+        this.bindClick('sell-all-btn', () => {
+            if (this.inventory.countSwords() === 0) {
+                this.uiRenderer.showNotification('No swords to sell', 'info');
+                return;
+            }
+
+            this.uiRenderer.showConfirmation(
+                `Sell all swords for ${this.uiRenderer.formatNumber(this.inventory.getTotalValue())}G?`,
+                () => {
+                    const earned = this.sellAllSwords();
+                    this.uiRenderer.showNotification(`Sold all swords for ${this.uiRenderer.formatNumber(earned)}G`, 'success');
+                    this.renderAll();
+                }
+            );
+        });
+
+        // Per-sword enhance and sell buttons (delegated, the grid is re-rendered often)
+        this.bindClick('inventory-grid', (event) => {
+            const button = event.target.closest('[data-action]');
+            const slotElement = event.target.closest('.inventory-slot');
+            if (!button || !slotElement) {
+                return;
+            }
+
+            const position = parseInt(slotElement.dataset.position);
+
+            if (button.dataset.action === 'enhance') {
+                const result = this.handleEnhancement(position);
+                if (result.success) {
+                    this.uiRenderer.showEnhancementResult(result.result, result.sword, result);
+                } else {
+                    this.uiRenderer.showNotification(result.error, 'error');
+                }
+            } else if (button.dataset.action === 'sell') {
+                const sword = this.inventory.getSword(position);
+                if (sword && this.sellSword(position)) {
+                    this.uiRenderer.showNotification(`Sold for ${this.uiRenderer.formatNumber(sword.goldValue)}G`, 'success');
+                }
+            }
+
+            this.renderAll();
+        });
+
+        // Save export and import
+        this.bindClick('export-save-btn', () => {
+            this.uiRenderer.showExportDialog(this.exportSave(), () => {
+                this.uiRenderer.downloadFile(this.exportSaveFile());
+            });
+        });
+        this.bindClick('import-save-btn', () => {
+            this.uiRenderer.showImportDialog((text) => {
+                const preview = this.previewImport(text);
+                if (!preview.success) {
+                    return preview.error;
+                }
+
+                this.uiRenderer.showImportPreview(preview, async () => {
+                    await this.applyImport(preview);
+                    this.uiRenderer.showNotification('Save imported', 'success');
+                    this.renderAll();
+                });
+                return null;
+            });
+        });
+
+        // Save slot buttons (delegated, the slot list is re-rendered often)
+        this.bindClick('new-slot-btn', () => {
+            this.uiRenderer.showPrompt('Name the new save slot', `Slot ${this.saveSlots.length + 1}`, async (name) => {
+                if (!(await this.createSaveSlot(name))) {
+                    return `Use 1-${MAX_SLOT_NAME_LENGTH} characters`;
+                }
+                return null;
+            });
+        });
+        this.bindClick('slot-list', (event) => {
+            const button = event.target.closest('[data-slot-action]');
+            const slotElement = event.target.closest('.slot-item[data-slot-id]');
+            if (!button || !slotElement) {
+                return;
+            }
+
+            this.onSlotAction(button.dataset.slotAction, slotElement.dataset.slotId);
+        });
+
+        // Quest claim and reroll buttons (delegated, the quest list is re-rendered often)
+        this.bindClick('quest-list', (event) => {
+            const rerollButton = event.target.closest('.quest-reroll-btn[data-quest-id]');
+            if (rerollButton) {
+                const result = this.handleQuestReroll(rerollButton.dataset.questId);
+                if (result.success) {
+                    this.uiRenderer.showNotification(`New quest: ${result.quest.title}`, 'success');
+                } else {
+                    this.uiRenderer.showNotification(result.error, 'error');
+                }
+
+                this.renderAll();
+                return;
+            }
+
+            const button = event.target.closest('.quest-claim-btn[data-quest-id]');
+            if (!button) {
+                return;
+            }
+
+            this.onClaimResult(this.handleQuestClaim(button.dataset.questId));
+            this.renderAll();
+        });
+
+        // Claim buttons of rewards kept from earlier days
+        this.bindClick('quest-inbox', (event) => {
+            const button = event.target.closest('.inbox-claim-btn[data-quest-id]');
+            if (!button) {
+                return;
+            }
+
+            this.onClaimResult(this.handleInboxClaim(button.dataset.questId));
+            this.renderAll();
+        });
+
+        // Collect buttons of reward swords that did not fit the inventory
+        this.bindClick('pending-rewards', (event) => {
+            const button = event.target.closest('.pending-collect-btn[data-reward-id]');
+            if (!button) {
+                return;
+            }
+
+            const result = this.handleCollectReward(button.dataset.rewardId);
+            if (result.success) {
+                this.uiRenderer.showNotification(`Got a Lv.${result.sword.level} sword!`, 'success');
+            } else {
+                this.uiRenderer.showNotification(result.error, 'error');
+            }
+
+            this.renderAll();
+        });
+    }
+
+    /**
+     * Tell the player what a quest claim paid out
+     * @private
+     * @param {Object} result - Result of handleQuestClaim or handleInboxClaim
+     */
+    onClaimResult(result) {
+        if (!result.success) {
+            return;
+        }
+
+        const contents = [`${result.reward}G`, ...describeBundle(result.bundle)];
+        this.uiRenderer.showNotification(`Quest reward claimed: ${contents.join(', ')}`, 'success');
+
+        if (result.pending.length > 0) {
+            this.uiRenderer.showNotification(`Inventory full: ${result.pending.length} sword(s) wait in pending rewards`, 'info');
+        }
+    }
+
+    /**
+     * Attach a click listener to an element by ID
+     * @private
+     * @param {string} elementId - The element ID
+     * @param {Function} handler - Click handler
+     */
+    bindClick(elementId, handler) {
+        const element = document.getElementById(elementId);
+        if (!element) {
+            console.error('Element not found:', elementId);
+            return;
+        }
+
+        element.addEventListener('click', handler);
+    }
+
+    /**
+     * Handle a save slot button click
+     * @private
+     * @param {string} action - 'switch', 'rename', 'duplicate' or 'delete'
+     * @param {string} slotId - Slot ID
+     * @returns {Promise<void>}
+     */
+    async onSlotAction(action, slotId) {
+        const slot = this.saveSlots.find(s => s.id === slotId);
+        if (!slot) {
+            return;
+        }
+
+        if (action === 'switch') {
+            if (await this.switchSaveSlot(slotId)) {
+                this.uiRenderer.showNotification(`Playing ${slot.name}`, 'success');
+            }
+        } else if (action === 'rename') {
+            this.uiRenderer.showPrompt('Rename save slot', slot.name, async (name) => {
+                if (!(await this.renameSaveSlot(slotId, name))) {
+                    return `Use 1-${MAX_SLOT_NAME_LENGTH} characters`;
+                }
+                return null;
+            });
+        } else if (action === 'duplicate') {
+            this.uiRenderer.showPrompt('Name the copy', `${slot.name} (copy)`.slice(0, MAX_SLOT_NAME_LENGTH), async (name) => {
+                if (!(await this.duplicateSaveSlot(slotId, name))) {
+                    return `Use 1-${MAX_SLOT_NAME_LENGTH} characters`;
+                }
+                return null;
+            });
+        } else if (action === 'delete') {
+            this.uiRenderer.showConfirmation(`Delete ${slot.name}? Its progress cannot be restored.`, () => {
+                this.deleteSaveSlot(slotId);
+            });
+        }
+    }
+
+    /**
+     * Handle a shop button click and report the outcome
+     * @private
+     * @param {string} itemType - 'basic', 'luckybox' or 'freebox' (one of the player's free lucky boxes)
+     */
+    onPurchaseClick(itemType) {
+        const result = itemType === 'freebox' ? this.handleOpenLuckyBox() : this.handlePurchase(itemType);
+
+        if (result.success) {
+            this.uiRenderer.showNotification(`Got a Lv.${result.sword.level} sword!`, 'success');
+        } else {
+            this.uiRenderer.showNotification(result.error, 'error');
+        }
+
+        this.renderAll();
     }
 
     /**
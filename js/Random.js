@@ -0,0 +1,99 @@
+/**
+ * Random - Seedable pseudo-random number generator shared by all game systems
+ * Uses mulberry32: small, fast and good enough for game rolls. Its whole state is
+ * one 32-bit integer, so it can be stored in the save and resumed exactly.
+ */
+
+/**
+ * @typedef {Object} RandomState
+ * @property {number} seed - Seed the generator was created with
+ * @property {number} state - Current internal state
+ */
+
+export class Random {
+    /**
+     * @param {number} [seed] - 32-bit seed, a fresh one is generated if omitted
+     */
+    constructor(seed = Random.createSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Create a seed from the best entropy source available
+     * @returns {number} 32-bit unsigned seed
+     */
+    static createSeed() {
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            return crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return (Date.now() ^ (Date.now() / 0x100000000)) >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1)
+     * @returns {number} Random number
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Random integer
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Return a shuffled copy of an array (Fisher–Yates, unbiased)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} Shuffled copy
+     */
+    shuffle(array) {
+        const result = [...array];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Restart the sequence from a new seed
+     * @param {number} seed - 32-bit seed
+     */
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the generator state for saving
+     * @returns {RandomState} Seed and current state
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Resume from a saved state
+     * @param {RandomState} saved - State from getState()
+     * @returns {boolean} True if the state was valid and applied
+     */
+    setState(saved) {
+        if (!saved || !Number.isInteger(saved.seed) || !Number.isInteger(saved.state)) {
+            return false;
+        }
+
+        this.seed = saved.seed >>> 0;
+        this.state = saved.state >>> 0;
+        return true;
+    }
+}
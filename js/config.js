@@ -0,0 +1,61 @@
+/**
+ * Game configuration defaults
+ * Values marked as per-save seed new saves; the value stored in a save's `config` takes precedence.
+ */
+
+export const GAME_CONFIG = {
+    // Per-save: name of the active table in data/enhancementTables.js
+    enhancementTable: 'classic',
+
+    // Idle income tick interval in milliseconds (PRD 4.9.2: gold updates every 100ms)
+    incomeTickMs: 100,
+
+    // Offline earnings: at most this much time away is paid out
+    offlineCapSeconds: 8 * 60 * 60,
+
+    // Offline earnings: fraction of the normal income rate paid while away
+    offlineEfficiency: 0.5,
+
+    // Offline earnings: shorter absences (e.g. a page reload) earn nothing
+    offlineMinSeconds: 60,
+
+    // Number of rotating backups of known-good saves kept for corruption recovery
+    saveBackupCount: 3,
+
+    // Minimum time between two rotating backups, so they span more than a few minutes of play
+    saveBackupIntervalMs: 5 * 60 * 1000,
+
+    // Share of the browser's storage quota in use at which the player is warned
+    storageWarningRatio: 0.9,
+
+    // Quiet time after the last change before it is auto-saved
+    autoSaveDebounceMs: 1000,
+
+    // Longest a change may wait for its auto-save while changes keep coming
+    autoSaveMaxDelayMs: 5000,
+
+    // Interval of the background save, skipped when nothing changed (idle income marks gold as changed)
+    autoSaveIntervalMs: 30000,
+
+    // Tell the player when small inconsistencies in their save were fixed on load (always logged to the console)
+    showSaveRepairs: true,
+
+    // Interval at which the tab playing a save slot refreshes its claim on it
+    tabHeartbeatMs: 5000,
+
+    // A claim not refreshed for this long belongs to a closed or crashed tab and can be taken
+    tabLeaseTimeoutMs: 15000,
+
+    // How long "Play here" waits for the other tab to save and let go before taking the slot anyway
+    tabTakeoverTimeoutMs: 3000,
+
+    // Language of quest texts, texts without a translation fall back to English
+    locale: 'en',
+
+    // Daily quest rerolls: allowed per day, how many of them are free, and the price of the first paid one,
+    // which is multiplied by the growth factor for every further reroll that day
+    questRerollsPerDay: 4,
+    questRerollsFreePerDay: 1,
+    questRerollBaseCost: 100,
+    questRerollCostGrowth: 2
+};
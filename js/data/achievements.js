@@ -0,0 +1,55 @@
+/**
+ * Achievement definitions
+ * Requirements: 8.1, 8.2
+ *
+ * Saves only store progress ({ id, unlocked, unlockedAt }), titles and thresholds always come from here,
+ * so edits to this list reach existing players on their next load.
+ * Never reuse an ID; rename or remove one through ACHIEVEMENT_ALIASES instead.
+ */
+
+export const ACHIEVEMENT_DEFINITIONS = [
+    {
+        id: 'first_merge',
+        title: 'First Merge',
+        description: 'Merge your first sword',
+        condition: { type: 'total_merges', threshold: 1 }
+    },
+    {
+        id: 'merge_master',
+        title: 'Merge Master',
+        description: 'Perform 100 merges',
+        condition: { type: 'total_merges', threshold: 100 }
+    },
+    {
+        id: 'level_10',
+        title: 'Level 10 Sword',
+        description: 'Create a level 10 sword',
+        condition: { type: 'max_level', threshold: 10 }
+    },
+    {
+        id: 'gold_millionaire',
+        title: 'Millionaire',
+        description: 'Accumulate 1,000,000 gold',
+        condition: { type: 'total_gold', threshold: 1000000 }
+    }
+];
+
+/**
+ * Old achievement IDs found in saves, mapped to their current ID or to null if the achievement was removed
+ * Progress of a renamed achievement carries over; progress of a removed one is dropped on load.
+ * @type {Object<string, string|null>}
+ */
+export const ACHIEVEMENT_ALIASES = {};
+
+/**
+ * Create an achievement with no progress from its definition
+ * @param {Object} definition - Entry of ACHIEVEMENT_DEFINITIONS
+ * @returns {Object} Achievement
+ */
+export function createAchievement(definition) {
+    return {
+        ...definition,
+        condition: { ...definition.condition, current: 0 },
+        unlocked: false
+    };
+}
@@ -0,0 +1,51 @@
+/**
+ * Enhancement probability tables
+ * Requirements: 4.2
+ *
+ * EnhancementSystem registers every table below under its key; saves pick one by name in `config`.
+ * A table is either:
+ * - segmented: `segments` is a list of { upTo, success, destroy } checked in order, the first
+ *   segment whose `upTo` is >= the current enhancement (or has no `upTo`) applies
+ * - per-level: `levels[E]` gives { success, destroy } for enhancement E, the last entry
+ *   repeats for higher levels
+ *
+ * A rate is either a fixed number or a capped linear formula
+ * { base, perLevel, min, max } = clamp(base + perLevel * E, min, max).
+ * Maintain rate is always the remainder: 1 - success - destroy.
+ */
+
+export const ENHANCEMENT_TABLES = {
+    // Original tuning: success max(30%, 90% - 10E), destroy min(50%, 10E)
+    classic: {
+        title: 'Classic',
+        segments: [
+            {
+                success: { base: 0.9, perLevel: -0.1, min: 0.3 },
+                destroy: { base: 0, perLevel: 0.1, max: 0.5 }
+            }
+        ]
+    },
+
+    // PRD 4.3.2: success max(30%, 70% - 10E), destroy fixed 10%
+    prd: {
+        title: 'PRD',
+        segments: [
+            {
+                success: { base: 0.7, perLevel: -0.1, min: 0.3 },
+                destroy: 0.1
+            }
+        ]
+    },
+
+    // Safe early levels, then the PRD curve
+    gentle: {
+        title: 'Gentle',
+        segments: [
+            { upTo: 2, success: 0.8, destroy: 0 },
+            {
+                success: { base: 0.7, perLevel: -0.1, min: 0.3 },
+                destroy: 0.1
+            }
+        ]
+    }
+};
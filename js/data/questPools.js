@@ -0,0 +1,42 @@
+/**
+ * Quest pools
+ * Requirements: 7.1, 7.2
+ * PRD: 10.2
+ *
+ * Whenever a pool's schedule starts a new period, the pool's quests are replaced by `slots` quests drawn
+ * from the templates in questTemplates.js that name the pool, with template rewards multiplied by
+ * `rewardMultiplier`. Pools reset independently of each other.
+ *
+ * A schedule is one of:
+ * - { type: 'daily' }: a new period at every local midnight
+ * - { type: 'weekly' }: a new period at the local midnight starting Monday
+ * - { type: 'event', windows }: one period per window { id, start, end } (local days "YYYY-MM-DD", both
+ *   included), the pool has no quests outside its windows
+ *
+ * Pools are shown in this order. Never reuse a pool or window ID, saves refer to them.
+ */
+
+export const QUEST_POOLS = [
+    {
+        id: 'daily',
+        title: 'Daily',
+        schedule: { type: 'daily' },
+        slots: 3,
+        rewardMultiplier: 1
+    },
+    {
+        id: 'weekly',
+        title: 'Weekly',
+        schedule: { type: 'weekly' },
+        slots: 2,
+        rewardMultiplier: 3
+    },
+    {
+        id: 'event',
+        title: 'Event',
+        // Add a window here to run an event, e.g. { id: 'harvest-2026', start: '2026-10-01', end: '2026-10-14' }
+        schedule: { type: 'event', windows: [] },
+        slots: 2,
+        rewardMultiplier: 2
+    }
+];
@@ -0,0 +1,237 @@
+/**
+ * Quest templates
+ * Each entry is one quest the pool named in `pool` can draw. Format in questTemplates.schema.json.
+ * Kept as a module instead of a .json file: browsers without JSON module support could not start the game.
+ * PRD: 10.2
+ */
+
+export const QUEST_TEMPLATE_CONTENT = {
+    templates: [
+        {
+            id: 'merge_master',
+            pool: 'daily',
+            type: 'merge',
+            target: 10,
+            weight: 3,
+            reward: { base: 100, perLevel: 10 },
+            title: { en: 'Merge Master' },
+            description: { en: 'Merge 10 swords' }
+        },
+        {
+            id: 'merge_expert',
+            pool: 'daily',
+            type: 'merge',
+            target: 25,
+            weight: 2,
+            minMaxLevel: 5,
+            reward: { base: 250, perLevel: 25 },
+            title: { en: 'Merge Expert' },
+            description: { en: 'Merge 25 swords' }
+        },
+        {
+            id: 'enhancement_novice',
+            pool: 'daily',
+            type: 'enhance',
+            target: 5,
+            weight: 3,
+            reward: { base: 150, perLevel: 15 },
+            title: { en: 'Enhancement Novice' },
+            description: { en: 'Enhance 5 swords' }
+        },
+        {
+            id: 'enhancement_expert',
+            pool: 'daily',
+            type: 'enhance',
+            target: 10,
+            weight: 2,
+            minMaxLevel: 3,
+            reward: { base: 300, perLevel: 30 },
+            title: { en: 'Enhancement Expert' },
+            description: { en: 'Enhance 10 swords' }
+        },
+        {
+            id: 'merchant',
+            pool: 'daily',
+            type: 'sell',
+            target: 20,
+            weight: 3,
+            reward: { base: 80, perLevel: 8 },
+            title: { en: 'Merchant' },
+            description: { en: 'Sell 20 swords' }
+        },
+        {
+            id: 'master_merchant',
+            pool: 'daily',
+            type: 'sell',
+            target: 50,
+            weight: 2,
+            minMaxLevel: 3,
+            reward: { base: 200, perLevel: 20 },
+            title: { en: 'Master Merchant' },
+            description: { en: 'Sell 50 swords' }
+        },
+        {
+            id: 'collector',
+            pool: 'daily',
+            type: 'purchase',
+            target: 15,
+            weight: 3,
+            reward: { base: 120, perLevel: 12 },
+            title: { en: 'Collector' },
+            description: { en: 'Purchase 15 items' }
+        },
+        {
+            id: 'master_collector',
+            pool: 'daily',
+            type: 'purchase',
+            target: 30,
+            weight: 2,
+            minMaxLevel: 3,
+            reward: { base: 280, perLevel: 28 },
+            title: { en: 'Master Collector' },
+            description: { en: 'Purchase 30 items' }
+        },
+        {
+            id: 'master_smith',
+            pool: 'daily',
+            type: 'reach_level',
+            target: 7,
+            weight: 1,
+            minMaxLevel: 5,
+            reward: { base: 300, perLevel: 50 },
+            bundle: { swords: [{ level: 5, count: 1 }] },
+            title: { en: 'Master Smith' },
+            description: { en: 'Create a level 7 sword' }
+        },
+        {
+            id: 'fine_edge',
+            pool: 'daily',
+            type: 'reach_enhancement',
+            target: 5,
+            weight: 1,
+            minMaxLevel: 3,
+            reward: { base: 250, perLevel: 25 },
+            title: { en: 'Fine Edge' },
+            description: { en: 'Reach +5 on any sword' }
+        },
+        {
+            id: 'payday',
+            pool: 'daily',
+            type: 'earn_gold',
+            target: 10000,
+            weight: 1,
+            minMaxLevel: 5,
+            reward: { base: 200, perLevel: 20 },
+            title: { en: 'Payday' },
+            description: { en: 'Earn 10,000 gold today' }
+        },
+        {
+            id: 'feeling_lucky',
+            pool: 'daily',
+            type: 'open_lucky_box',
+            target: 5,
+            weight: 2,
+            reward: { base: 150, perLevel: 15 },
+            bundle: { luckyBoxes: 1 },
+            title: { en: 'Feeling Lucky' },
+            description: { en: 'Open 5 lucky boxes' }
+        },
+        {
+            id: 'steady_hands',
+            pool: 'daily',
+            type: 'enhance_streak',
+            target: 3,
+            weight: 2,
+            reward: { base: 200, perLevel: 20 },
+            bundle: { protections: 1 },
+            title: { en: 'Steady Hands' },
+            description: { en: 'Survive 3 enhancement attempts in a row without destruction' }
+        },
+        {
+            id: 'packed_armory',
+            pool: 'daily',
+            type: 'full_grid',
+            target: 1,
+            weight: 1,
+            reward: { base: 150, perLevel: 15 },
+            title: { en: 'Packed Armory' },
+            description: { en: 'End the day with a full grid' }
+        },
+        {
+            id: 'forge_week',
+            pool: 'weekly',
+            type: 'merge',
+            target: 100,
+            weight: 1,
+            reward: { base: 400, perLevel: 40 },
+            bundle: { swords: [{ level: 6, count: 1 }], gems: 5 },
+            title: { en: 'Forge Week' },
+            description: { en: 'Merge 100 swords' }
+        },
+        {
+            id: 'tempered_steel',
+            pool: 'weekly',
+            type: 'enhance',
+            target: 40,
+            weight: 1,
+            reward: { base: 500, perLevel: 50 },
+            bundle: { protections: 2, gems: 5 },
+            title: { en: 'Tempered Steel' },
+            description: { en: 'Enhance 40 swords' }
+        },
+        {
+            id: 'market_week',
+            pool: 'weekly',
+            type: 'sell',
+            target: 200,
+            weight: 1,
+            reward: { base: 300, perLevel: 30 },
+            title: { en: 'Market Week' },
+            description: { en: 'Sell 200 swords' }
+        },
+        {
+            id: 'armory_restock',
+            pool: 'weekly',
+            type: 'purchase',
+            target: 100,
+            weight: 1,
+            reward: { base: 450, perLevel: 45 },
+            bundle: { luckyBoxes: 3, gems: 5 },
+            title: { en: 'Armory Restock' },
+            description: { en: 'Purchase 100 items' }
+        },
+        {
+            id: 'festival_forge',
+            pool: 'event',
+            type: 'merge',
+            target: 50,
+            weight: 1,
+            reward: { base: 300, perLevel: 30 },
+            bundle: { gems: 10 },
+            title: { en: 'Festival Forge' },
+            description: { en: 'Merge 50 swords during the event' }
+        },
+        {
+            id: 'festival_sparks',
+            pool: 'event',
+            type: 'enhance',
+            target: 20,
+            weight: 1,
+            reward: { base: 350, perLevel: 35 },
+            bundle: { protections: 1, gems: 10 },
+            title: { en: 'Festival Sparks' },
+            description: { en: 'Enhance 20 swords during the event' }
+        },
+        {
+            id: 'festival_market',
+            pool: 'event',
+            type: 'purchase',
+            target: 40,
+            weight: 1,
+            reward: { base: 250, perLevel: 25 },
+            bundle: { luckyBoxes: 2, gems: 10 },
+            title: { en: 'Festival Market' },
+            description: { en: 'Purchase 40 items during the event' }
+        }
+    ]
+};
@@ -10,7 +10,9 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Create and initialize the game controller
     const game = new GameController();
-    game.init();
+    game.init().catch(error => {
+        console.error('Failed to start the game:', error);
+    });
     
     // Make game controller available globally for debugging
     window.game = game;
@@ -20,9 +20,30 @@
  * @property {Date} [unlockedAt] - When the achievement was unlocked (if unlocked)
  */
 
+/**
+ * @typedef {Object} AchievementProgress
+ * @property {string} id - Achievement ID
+ * @property {boolean} unlocked - Whether the achievement has been unlocked
+ * @property {Date|string} [unlockedAt] - When it was unlocked (if unlocked)
+ */
+
+import { GameEvents } from '../EventBus.js';
+import { ACHIEVEMENT_DEFINITIONS, ACHIEVEMENT_ALIASES, createAchievement } from '../data/achievements.js';
+
 export class AchievementSystem {
     constructor() {
         this.achievements = this.initializeAchievements();
+        this.events = null;
+    }
+
+    /**
+     * Subscribe to game events so achievements are checked whenever stats change
+     * @param {EventBus} events - The game event bus
+     */
+    connect(events) {
+        this.events = events;
+
+        events.on(GameEvents.STATS_CHANGED, ({ stats }) => this.checkAchievements(stats));
     }
 
     /**
@@ -31,36 +52,55 @@ export class AchievementSystem {
      * @private
      */
     initializeAchievements() {
-        return [
-            {
-                id: 'first_merge',
-                title: 'First Merge',
-                description: 'Merge your first sword',
-                condition: { type: 'total_merges', threshold: 1, current: 0 },
-                unlocked: false
-            },
-            {
-                id: 'merge_master',
-                title: 'Merge Master',
-                description: 'Perform 100 merges',
-                condition: { type: 'total_merges', threshold: 100, current: 0 },
-                unlocked: false
-            },
-            {
-                id: 'level_10',
-                title: 'Level 10 Sword',
-                description: 'Create a level 10 sword',
-                condition: { type: 'max_level', threshold: 10, current: 0 },
-                unlocked: false
-            },
-            {
-                id: 'gold_millionaire',
-                title: 'Millionaire',
-                description: 'Accumulate 1,000,000 gold',
-                condition: { type: 'total_gold', threshold: 1000000, current: 0 },
-                unlocked: false
+        return ACHIEVEMENT_DEFINITIONS.map(createAchievement);
+    }
+
+    /**
+     * Rebuild the achievement list from the current definitions and apply saved progress
+     * Old IDs are translated through ACHIEVEMENT_ALIASES; progress for unknown or removed IDs is dropped.
+     * `condition.current` is not saved, checkAchievements() recomputes it from the stats.
+     * @param {AchievementProgress[]} saved - Progress from the save
+     * @returns {string[]} Saved IDs that were dropped
+     */
+    restoreProgress(saved) {
+        this.achievements = this.initializeAchievements();
+        const byId = new Map(this.achievements.map(achievement => [achievement.id, achievement]));
+        const dropped = [];
+
+        saved.forEach(progress => {
+            if (!progress || typeof progress.id !== 'string') {
+                return;
             }
-        ];
+
+            const id = Object.prototype.hasOwnProperty.call(ACHIEVEMENT_ALIASES, progress.id)
+                ? ACHIEVEMENT_ALIASES[progress.id]
+                : progress.id;
+            const achievement = id ? byId.get(id) : null;
+
+            if (!achievement) {
+                dropped.push(progress.id);
+                return;
+            }
+            // Renamed IDs may have been merged into one, an unlock from any of them counts
+            if (progress.unlocked === true && !achievement.unlocked) {
+                achievement.unlocked = true;
+                if (progress.unlockedAt) {
+                    achievement.unlockedAt = progress.unlockedAt;
+                }
+            }
+        });
+
+        return dropped;
+    }
+
+    /**
+     * Get the progress to store in the save
+     * @returns {AchievementProgress[]} One entry per achievement
+     */
+    exportProgress() {
+        return this.achievements.map(({ id, unlocked, unlockedAt }) => (
+            unlockedAt ? { id, unlocked, unlockedAt } : { id, unlocked }
+        ));
     }
 
     /**
@@ -100,6 +140,12 @@ export class AchievementSystem {
             }
         }
 
+        if (this.events) {
+            newlyUnlocked.forEach(achievement => {
+                this.events.emit(GameEvents.ACHIEVEMENT_UNLOCKED, { achievement });
+            });
+        }
+
         return newlyUnlocked;
     }
 
@@ -0,0 +1,112 @@
+/**
+ * Auto-Save Scheduler - Tracks unsaved changes and coalesces saves
+ * Changes are grouped by the part of the game state they touch. A burst of changes is written
+ * once after it settles (debounce), but never later than a maximum delay after the first change.
+ * Requirements: 12.4
+ */
+
+import { GAME_CONFIG } from '../config.js';
+
+/**
+ * Parts of the game state that can be marked as changed
+ */
+export const SaveParts = Object.freeze({
+    PLAYER: 'player',
+    INVENTORY: 'inventory',
+    QUESTS: 'quests',
+    ACHIEVEMENTS: 'achievements',
+    STATS: 'stats',
+    CONFIG: 'config',
+    RNG: 'rng'
+});
+
+export class AutoSaveScheduler {
+    /**
+     * @param {Function} save - (parts) => Promise<boolean>, writes the whole state
+     * @param {Object} [options] - Timing
+     * @param {number} [options.debounceMs] - Quiet time after the last change before saving
+     * @param {number} [options.maxDelayMs] - Longest time a change may stay unsaved while changes keep coming
+     */
+    constructor(save, { debounceMs = GAME_CONFIG.autoSaveDebounceMs, maxDelayMs = GAME_CONFIG.autoSaveMaxDelayMs } = {}) {
+        this.save = save;
+        this.debounceMs = debounceMs;
+        this.maxDelayMs = maxDelayMs;
+        this.dirtyParts = new Set();
+        this.timer = null;
+        // When the oldest change waiting for the scheduled save was made
+        this.pendingSince = null;
+    }
+
+    /**
+     * Record changed parts without scheduling a save, the next flush picks them up
+     * @param {...string} parts - SaveParts values
+     */
+    markDirty(...parts) {
+        parts.forEach(part => this.dirtyParts.add(part));
+    }
+
+    /**
+     * Record changed parts and schedule a save
+     * @param {...string} parts - SaveParts values
+     */
+    schedule(...parts) {
+        this.markDirty(...parts);
+
+        const now = Date.now();
+        if (this.pendingSince === null) {
+            this.pendingSince = now;
+        }
+
+        const remaining = this.maxDelayMs - (now - this.pendingSince);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), Math.max(0, Math.min(this.debounceMs, remaining)));
+    }
+
+    /**
+     * Check for unsaved changes
+     * @returns {boolean} True if something changed since the last save
+     */
+    isDirty() {
+        return this.dirtyParts.size > 0;
+    }
+
+    /**
+     * Get the parts changed since the last save
+     * @returns {string[]} SaveParts values
+     */
+    getDirtyParts() {
+        return [...this.dirtyParts];
+    }
+
+    /**
+     * Save now if anything changed
+     * A failed save keeps its parts dirty so the next flush retries them.
+     * @param {boolean} [force] - Save even if nothing is marked as changed
+     * @returns {Promise<boolean>} True if a save was written
+     */
+    async flush(force = false) {
+        this.cancel();
+
+        if (!force && !this.isDirty()) {
+            return false;
+        }
+
+        const parts = this.getDirtyParts();
+        this.dirtyParts.clear();
+
+        const saved = await this.save(parts);
+        if (!saved) {
+            this.markDirty(...parts);
+        }
+        return saved;
+    }
+
+    /**
+     * Drop the scheduled save, changes stay marked
+     */
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pendingSince = null;
+    }
+}
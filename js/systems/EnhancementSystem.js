@@ -3,6 +3,11 @@
  * Requirements: 4.1, 4.2, 4.3, 4.4
  */
 
+import { calculateGoldValue } from '../utils.js';
+import { GAME_CONFIG } from '../config.js';
+import { ENHANCEMENT_TABLES } from '../data/enhancementTables.js';
+import { Random } from '../Random.js';
+
 /**
  * Enhancement result enum
  */
@@ -12,23 +17,124 @@ export const EnhancementResult = {
     DESTROY: 'DESTROY'
 };
 
+/**
+ * @typedef {Object} SwordSnapshot
+ * @property {number} level - Sword level
+ * @property {number} enhancement - Enhancement level
+ * @property {number} goldValue - Gold value
+ *
+ * @typedef {Object} EnhancementHistoryEntry
+ * @property {string} result - EnhancementResult of the attempt
+ * @property {number} from - Enhancement level before the attempt
+ * @property {number} to - Enhancement level after the attempt
+ * @property {Date} at - When the attempt happened
+ *
+ * @typedef {Object} EnhancementDiff
+ * @property {SwordSnapshot} before - Sword before the attempt
+ * @property {SwordSnapshot|null} after - Sword after the attempt (null if destroyed)
+ */
+
+/**
+ * Maximum number of history entries kept per sword
+ */
+export const MAX_ENHANCEMENT_HISTORY = 20;
+
+/**
+ * Enhancement levels checked when validating a table
+ */
+const TABLE_VALIDATION_LEVELS = 30;
+
 export class EnhancementSystem {
+    /**
+     * @param {string} [tableName] - Name of the probability table to start with
+     * @param {Random} [random] - Game RNG
+     */
+    constructor(tableName = GAME_CONFIG.enhancementTable, random = new Random()) {
+        this.random = random;
+        this.BASE_ENHANCEMENT_COST = 50;
+        this.tables = {};
+        this.activeTableName = null;
+
+        Object.entries(ENHANCEMENT_TABLES).forEach(([name, table]) => {
+            this.registerTable(name, table);
+        });
+
+        if (!this.setTable(tableName)) {
+            this.setTable(GAME_CONFIG.enhancementTable);
+        }
+    }
+
+    /**
+     * Add or replace a named probability table
+     * @param {string} name - Table name
+     * @param {Object} table - Table data (see data/enhancementTables.js)
+     * @throws {Error} If the table is malformed or yields invalid probabilities
+     */
+    registerTable(name, table) {
+        const hasSegments = Array.isArray(table?.segments) && table.segments.length > 0;
+        const hasLevels = Array.isArray(table?.levels) && table.levels.length > 0;
+
+        if (hasSegments === hasLevels) {
+            throw new Error(`Enhancement table "${name}" needs either segments or levels`);
+        }
+
+        // Check every level a player could realistically reach
+        for (let enhancement = 0; enhancement <= TABLE_VALIDATION_LEVELS; enhancement++) {
+            const { successRate, destroyRate } = this.resolveRates(table, enhancement);
+
+            if (!(successRate >= 0 && successRate <= 1 && destroyRate >= 0 && destroyRate <= 1) ||
+                successRate + destroyRate > 1 + 1e-9) {
+                throw new Error(`Enhancement table "${name}" has invalid rates at +${enhancement}`);
+            }
+        }
+
+        this.tables[name] = table;
+    }
+
+    /**
+     * Switch the active probability table
+     * @param {string} name - Registered table name
+     * @returns {boolean} True if the table exists and is now active
+     */
+    setTable(name) {
+        if (!this.tables[name]) {
+            console.error('Unknown enhancement table:', name);
+            return false;
+        }
+
+        this.activeTableName = name;
+        return true;
+    }
+
+    /**
+     * Get the names of all registered tables
+     * @returns {string[]} Table names
+     */
+    getTableNames() {
+        return Object.keys(this.tables);
+    }
+
+    /**
+     * Get the gold cost of the next enhancement attempt for a sword
+     * Formula: 50 * 2^enhancement (PRD 4.3.2)
+     * @param {Object} sword - The sword to enhance
+     * @returns {number} Gold cost
+     */
+    getEnhancementCost(sword) {
+        return this.BASE_ENHANCEMENT_COST * Math.pow(2, sword.enhancement);
+    }
+
     /**
      * Get enhancement configuration (probabilities) for a given enhancement level
+     * Rates come from the active probability table
      * @param {number} enhancement - Current enhancement level
      * @returns {Object} Configuration with successRate, maintainRate, destroyRate
      */
     getEnhancementConfig(enhancement) {
-        // Success rate decreases as enhancement increases
-        // Formula: max(0.3, 0.9 - (enhancement * 0.1))
-        const successRate = Math.max(0.3, 0.9 - (enhancement * 0.1));
-        
-        // Destroy rate increases as enhancement increases
-        // Formula: min(0.5, enhancement * 0.1)
-        const destroyRate = Math.min(0.5, enhancement * 0.1);
+        const { successRate, destroyRate } = this.resolveRates(this.tables[this.activeTableName], enhancement);
         
         // Maintain rate is the remainder
-        const maintainRate = 1 - successRate - destroyRate;
+        const maintainRate = Math.max(0, 1 - successRate - destroyRate);
         
         return {
             successRate,
@@ -37,6 +143,49 @@ export class EnhancementSystem {
         };
     }
 
+    /**
+     * Look up success and destroy rates for an enhancement level in a table
+     * @private
+     * @param {Object} table - Table data
+     * @param {number} enhancement - Current enhancement level
+     * @returns {Object} successRate and destroyRate
+     */
+    resolveRates(table, enhancement) {
+        let entry;
+
+        if (table.levels) {
+            entry = table.levels[Math.min(enhancement, table.levels.length - 1)];
+        } else {
+            entry = table.segments.find(segment => segment.upTo === undefined || enhancement <= segment.upTo) ||
+                table.segments[table.segments.length - 1];
+        }
+
+        return {
+            successRate: this.evaluateRate(entry.success, enhancement),
+            destroyRate: this.evaluateRate(entry.destroy, enhancement)
+        };
+    }
+
+    /**
+     * Evaluate a fixed or capped linear rate
+     * @private
+     * @param {number|Object} rate - Fixed rate or { base, perLevel, min, max }
+     * @param {number} enhancement - Current enhancement level
+     * @returns {number} Rate
+     */
+    evaluateRate(rate, enhancement) {
+        if (typeof rate === 'number') {
+            return rate;
+        }
+
+        if (!rate || typeof rate !== 'object') {
+            return NaN;
+        }
+
+        const { base = 0, perLevel = 0, min = -Infinity, max = Infinity } = rate;
+        return Math.min(max, Math.max(min, base + perLevel * enhancement));
+    }
+
     /**
      * Attempt to enhance a sword
      * @param {Object} sword - The sword to enhance
@@ -47,6 +196,63 @@ export class EnhancementSystem {
         return this.rollEnhancement(config);
     }
 
+    /**
+     * Apply an enhancement outcome to a sword
+     * On SUCCESS the enhancement level goes up by one and the gold value is recalculated.
+     * Every attempt is recorded in the sword's enhancement history.
+     * @param {Object} sword - The sword that was enhanced (mutated in place)
+     * @param {string} result - EnhancementResult (SUCCESS, MAINTAIN, or DESTROY)
+     * @returns {EnhancementDiff} Before/after snapshots of the sword
+     */
+    applyResult(sword, result) {
+        const before = this.snapshot(sword);
+
+        if (result === EnhancementResult.SUCCESS) {
+            sword.enhancement += 1;
+            sword.goldValue = calculateGoldValue(sword.level, sword.enhancement);
+        }
+
+        this.recordHistory(sword, result, before.enhancement);
+
+        return {
+            before,
+            after: result === EnhancementResult.DESTROY ? null : this.snapshot(sword)
+        };
+    }
+
+    /**
+     * Append an attempt to the sword's enhancement history, keeping the newest entries
+     * @private
+     * @param {Object} sword - The sword
+     * @param {string} result - EnhancementResult of the attempt
+     * @param {number} from - Enhancement level before the attempt
+     */
+    recordHistory(sword, result, from) {
+        if (!Array.isArray(sword.enhancementHistory)) {
+            sword.enhancementHistory = [];
+        }
+
+        sword.enhancementHistory.push({ result, from, to: sword.enhancement, at: new Date() });
+
+        if (sword.enhancementHistory.length > MAX_ENHANCEMENT_HISTORY) {
+            sword.enhancementHistory.splice(0, sword.enhancementHistory.length - MAX_ENHANCEMENT_HISTORY);
+        }
+    }
+
+    /**
+     * Capture the value-relevant fields of a sword
+     * @private
+     * @param {Object} sword - The sword
+     * @returns {SwordSnapshot} Snapshot
+     */
+    snapshot(sword) {
+        return {
+            level: sword.level,
+            enhancement: sword.enhancement,
+            goldValue: sword.goldValue
+        };
+    }
+
     /**
      * Execute enhancement with random outcome based on probabilities
      * @private
@@ -54,7 +260,7 @@ export class EnhancementSystem {
      * @returns {string} EnhancementResult (SUCCESS, MAINTAIN, or DESTROY)
      */
     rollEnhancement(config) {
-        const roll = Math.random();
+        const roll = this.random.next();
         
         if (roll < config.successRate) {
             return EnhancementResult.SUCCESS;
@@ -0,0 +1,100 @@
+/**
+ * Income System - Idle gold generated by swords in the inventory
+ * PRD: 4.2.2, 4.9.2
+ */
+
+import { calculateGoldPerSecond } from '../utils.js';
+import { GameEvents } from '../EventBus.js';
+
+export class IncomeSystem {
+    constructor() {
+        this.goldPerSecond = 0;
+        this.dirty = true;
+        // Fractional gold not yet paid out, gold is always credited in whole units
+        this.carry = 0;
+        this.events = null;
+    }
+
+    /**
+     * Subscribe to game events that change which swords are held
+     * @param {EventBus} events - The game event bus
+     */
+    connect(events) {
+        this.events = events;
+
+        [
+            GameEvents.SWORD_MERGED,
+            GameEvents.SWORD_PURCHASED,
+            GameEvents.SWORD_SOLD,
+            GameEvents.SWORD_ENHANCED,
+            GameEvents.SWORD_DESTROYED,
+            GameEvents.REWARD_GRANTED,
+            GameEvents.PENDING_REWARD_COLLECTED
+        ].forEach(type => events.on(type, () => this.invalidate()));
+    }
+
+    /**
+     * Mark the cached rate as stale, it is recomputed on the next read
+     */
+    invalidate() {
+        this.dirty = true;
+    }
+
+    /**
+     * Get the total income of the inventory
+     * @param {Object} inventory - InventoryManager instance
+     * @returns {number} Gold per second
+     */
+    getGoldPerSecond(inventory) {
+        if (this.dirty) {
+            const previous = this.goldPerSecond;
+
+            this.goldPerSecond = inventory.getAllSwords()
+                .reduce((total, sword) => total + calculateGoldPerSecond(sword.level, sword.enhancement), 0);
+            this.dirty = false;
+
+            if (this.events && this.goldPerSecond !== previous) {
+                this.events.emit(GameEvents.INCOME_CHANGED, { goldPerSecond: this.goldPerSecond });
+            }
+        }
+
+        return this.goldPerSecond;
+    }
+
+    /**
+     * Calculate gold earned while the game was closed
+     * @param {Object} inventory - InventoryManager instance
+     * @param {number} awaySeconds - Time since the last save
+     * @param {Object} options - Offline rules
+     * @param {number} options.capSeconds - Longest absence that is paid out
+     * @param {number} options.efficiency - Fraction of the normal rate paid
+     * @param {number} options.minSeconds - Shorter absences earn nothing
+     * @returns {Object} OfflineEarnings with awaySeconds, paidSeconds, gold and capped
+     */
+    calculateOfflineEarnings(inventory, awaySeconds, { capSeconds, efficiency, minSeconds }) {
+        // A clock set backwards or a corrupt timestamp must not pay anything
+        if (!Number.isFinite(awaySeconds) || awaySeconds < minSeconds) {
+            return { awaySeconds: Math.max(0, awaySeconds || 0), paidSeconds: 0, gold: 0, capped: false };
+        }
+
+        const paidSeconds = Math.min(awaySeconds, capSeconds);
+        const gold = Math.floor(this.getGoldPerSecond(inventory) * paidSeconds * efficiency);
+
+        return { awaySeconds, paidSeconds, gold, capped: awaySeconds > capSeconds };
+    }
+
+    /**
+     * Accrue income for elapsed time
+     * @param {Object} inventory - InventoryManager instance
+     * @param {number} seconds - Elapsed time in seconds
+     * @returns {number} Whole gold earned (fractions carry over to the next tick)
+     */
+    tick(inventory, seconds) {
+        const accrued = this.getGoldPerSecond(inventory) * seconds + this.carry;
+        // Tolerance so repeated fractional ticks (10 x 0.1) reach the whole unit
+        const earned = Math.floor(accrued + 1e-9);
+
+        this.carry = accrued - earned;
+        return earned;
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Quest Objectives - Objective types and how game events and state move their progress
+ * An objective is a predicate over the game, not a plain counter: its type lists the events that can
+ * change it and computes the new `current` value from the event payload, the objective so far and the
+ * game state. A quest completes once `current` reaches `target`.
+ * Types with `onPeriodEnd` are evaluated once more just before their pool resets, for goals about
+ * how a day or week ends.
+ * Requirements: 7.2, 7.4
+ * PRD: 10.2
+ */
+
+import { GameEvents, GoldSource } from '../EventBus.js';
+import { EnhancementResult } from './EnhancementSystem.js';
+
+/**
+ * @typedef {Object} QuestGameState
+ * @property {Object} inventory - InventoryManager instance
+ * @property {Object} stats - PlayerStats
+ *
+ * @typedef {Object} ObjectiveType
+ * @property {Object<string, Function>} events - Event type -> (objective, payload, state) => new current value
+ * @property {Function} [onPeriodEnd] - (objective, state) => current value when the quest's period ends
+ */
+
+/**
+ * Count one per event
+ * @param {Function} [amount] - (payload) => how much the event counts, default 1
+ * @returns {Function} Event handler adding the amount to the progress
+ */
+const count = (amount = () => 1) => (objective, payload) => objective.current + amount(payload);
+
+/**
+ * Registered objective types by QuestObjective.type
+ * The `type` enum in data/questTemplates.schema.json lists the same keys.
+ * @type {Object<string, ObjectiveType>}
+ */
+export const OBJECTIVE_TYPES = {
+    merge: {
+        events: { [GameEvents.SWORD_MERGED]: count() }
+    },
+    enhance: {
+        events: { [GameEvents.ENHANCEMENT_ATTEMPTED]: count() }
+    },
+    sell: {
+        events: { [GameEvents.SWORD_SOLD]: count(({ swords }) => swords.length) }
+    },
+    // Free lucky boxes from rewards are not purchases
+    purchase: {
+        events: { [GameEvents.SWORD_PURCHASED]: count(({ cost }) => (cost > 0 ? 1 : 0)) }
+    },
+
+    // Highest sword level created by merging or bought, swords held from before do not count
+    reach_level: {
+        events: {
+            [GameEvents.SWORD_MERGED]: (objective, { sword }) => Math.max(objective.current, sword.level),
+            [GameEvents.SWORD_PURCHASED]: (objective, { sword }) => Math.max(objective.current, sword.level)
+        }
+    },
+
+    // Highest enhancement reached by a successful attempt
+    reach_enhancement: {
+        events: {
+            [GameEvents.SWORD_ENHANCED]: (objective, { after }) => Math.max(objective.current, after.enhancement)
+        }
+    },
+
+    // Gold earned by playing while the quest is active: idle income and sales. Quest rewards and
+    // offline earnings do not count, claiming a quest could otherwise complete another one.
+    earn_gold: {
+        events: {
+            [GameEvents.GOLD_CHANGED]: (objective, { delta, source }) => (
+                source === GoldSource.INCOME || source === GoldSource.SALE ? objective.current + Math.max(0, delta) : objective.current
+            )
+        }
+    },
+
+    open_lucky_box: {
+        events: { [GameEvents.SWORD_PURCHASED]: count(({ itemType }) => (itemType === 'luckybox' ? 1 : 0)) }
+    },
+
+    // Enhancement attempts in a row without a destruction
+    enhance_streak: {
+        events: {
+            [GameEvents.ENHANCEMENT_ATTEMPTED]: (objective, { result }) => (
+                result === EnhancementResult.DESTROY ? 0 : objective.current + 1
+            )
+        }
+    },
+
+    // 1 if every inventory slot holds a sword when the period ends
+    full_grid: {
+        events: {},
+        onPeriodEnd: (objective, { inventory }) => (inventory.isFull() ? 1 : 0)
+    }
+};
+
+/**
+ * Get an objective type
+ * @param {string} type - QuestObjective.type
+ * @returns {ObjectiveType|null} The type, null if unknown
+ */
+export function getObjectiveType(type) {
+    return Object.prototype.hasOwnProperty.call(OBJECTIVE_TYPES, type) ? OBJECTIVE_TYPES[type] : null;
+}
+
+/**
+ * All events that can move an objective
+ * @returns {string[]} Event types
+ */
+export function getObjectiveEvents() {
+    return [...new Set(Object.values(OBJECTIVE_TYPES).flatMap(type => Object.keys(type.events)))];
+}
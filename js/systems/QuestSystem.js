@@ -1,13 +1,24 @@
 /**
- * Quest System - Manages daily quests and objectives
+ * Quest System - Manages quest pools and objectives
+ * Quests come from pools (daily, weekly, event, see data/questPools.js) that each replace their quests when
+ * their schedule starts a new period. Rewards of quests that were completed but not claimed before a reset
+ * are kept in a claim-later inbox.
  * Requirements: 7.1, 7.2, 7.3, 7.4, 7.5
+ * PRD: 10.2
  */
 
-import { generateUUID } from '../utils.js';
+import { generateUUID, getLocalDayKey, getDayStart, getNextDayStart } from '../utils.js';
+import { GameEvents } from '../EventBus.js';
+import { Random } from '../Random.js';
+import { QUEST_POOLS } from '../data/questPools.js';
+import { getObjectiveType, getObjectiveEvents } from './QuestObjectives.js';
+import { loadQuestTemplates, resolveReward, localize } from './QuestTemplates.js';
+import { GAME_CONFIG } from '../config.js';
+import { QUEST_TEMPLATE_CONTENT } from '../data/questTemplates.js';
 
 /**
  * @typedef {Object} QuestObjective
- * @property {string} type - Quest type: 'merge', 'enhance', 'sell', or 'purchase'
+ * @property {string} type - Objective type, a key of OBJECTIVE_TYPES in QuestObjectives.js
  * @property {number} target - Target amount to complete the quest
  * @property {number} current - Current progress toward the target
  */
@@ -15,86 +26,423 @@ import { generateUUID } from '../utils.js';
 /**
  * @typedef {Object} Quest
  * @property {string} id - Unique identifier for the quest
+ * @property {string} pool - ID of the quest pool the quest was drawn from
+ * @property {string} templateId - ID of the template the quest was created from
  * @property {string} title - Display title of the quest
  * @property {string} description - Description of what the quest requires
  * @property {QuestObjective} objective - The quest objective with progress tracking
  * @property {number} reward - Gold reward for completing the quest
+ * @property {RewardBundle} [bundle] - Swords and items granted along with the gold
  * @property {boolean} completed - Whether the quest objective has been met
  * @property {boolean} claimed - Whether the quest reward has been claimed
  */
 
+/**
+ * @typedef {Object} QuestPeriod
+ * @property {string|null} key - Identifies the period (day, week start or event window), null outside event windows
+ * @property {number} endsAt - When the next period starts (ms), Infinity if never
+ */
+
+/**
+ * Find the schedule period a time falls into
+ * @param {Object} schedule - Pool schedule
+ * @param {Date} now - The time
+ * @returns {QuestPeriod} The period
+ */
+function getPeriod(schedule, now) {
+    const today = getLocalDayKey(now);
+
+    switch (schedule.type) {
+        case 'daily':
+            return { key: today, endsAt: getPeriodEnd(schedule, today) };
+
+        case 'weekly': {
+            // getDay() is 0 on Sunday, weeks start on Monday
+            const weekStart = getLocalDayKey(getDayStart(today, -((now.getDay() + 6) % 7)));
+            return { key: weekStart, endsAt: getPeriodEnd(schedule, weekStart) };
+        }
+
+        case 'event': {
+            const window = schedule.windows.find(w => w.start <= today && today <= w.end);
+            if (window) {
+                return { key: window.id, endsAt: getPeriodEnd(schedule, window.id) };
+            }
+            const upcoming = schedule.windows.filter(w => w.start > today).map(w => getDayStart(w.start).getTime());
+            return { key: null, endsAt: Math.min(Infinity, ...upcoming) };
+        }
+
+        default:
+            console.error('Unknown quest schedule type:', schedule.type);
+            return { key: null, endsAt: Infinity };
+    }
+}
+
+/**
+ * Find when a period ends
+ * @param {Object} schedule - Pool schedule
+ * @param {string} key - Period key from getPeriod
+ * @returns {number} Start of the next period (ms), 0 if the period is unknown
+ */
+function getPeriodEnd(schedule, key) {
+    switch (schedule.type) {
+        case 'daily':
+            return getNextDayStart(key).getTime();
+
+        case 'weekly':
+            return getDayStart(key, 7).getTime();
+
+        case 'event': {
+            // A window removed from the data ends right away
+            const window = schedule.windows.find(w => w.id === key);
+            return window ? getNextDayStart(window.end).getTime() : 0;
+        }
+
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Pool whose quests can be rerolled
+ */
+const REROLL_POOL = 'daily';
+
 export class QuestSystem {
-    constructor() {
+    /**
+     * @param {Random} [random] - Game RNG
+     * @param {Object[]} [pools] - Quest pools, see data/questPools.js
+     * @param {QuestTemplate[]} [templates] - Valid quest templates, by default loaded from data/questTemplates.js
+     */
+    constructor(random = new Random(), pools = QUEST_POOLS, templates = loadQuestTemplates(QUEST_TEMPLATE_CONTENT, pools)) {
+        this.random = random;
+        this.pools = pools;
+        this.templates = templates;
+        this.locale = GAME_CONFIG.locale;
         this.activeQuests = [];
+        // Pool ID -> key of the period the pool's quests belong to
+        this.periods = {};
+        // Pool ID -> when the pool's period ends (ms)
+        this.nextResetAt = {};
+        this.inbox = [];
+        // Rerolls used in the current daily period, the count sets the price of the next one
+        this.rerollsUsed = 0;
+        this.events = null;
+        this.getState = () => null;
+    }
+
+    /**
+     * Restore quest state from a save
+     * Quests of pools that no longer exist are dropped.
+     * @param {Quest[]} quests - Saved active quests
+     * @param {Object<string, string|null>} [periods] - Saved period key of each pool
+     * @param {Quest[]} [inbox] - Saved claim-later inbox
+     * @param {number} [rerollsUsed] - Rerolls used in the saved daily period
+     */
+    restore(quests, periods = {}, inbox = [], rerollsUsed = 0) {
+        this.activeQuests = this.restoreQuests(quests);
+        this.periods = { ...periods };
+        this.inbox = this.restoreQuests(inbox);
+        this.rerollsUsed = rerollsUsed;
+        this.nextResetAt = {};
+
+        this.pools.forEach(pool => {
+            const key = this.periods[pool.id];
+            this.nextResetAt[pool.id] = typeof key === 'string' ? getPeriodEnd(pool.schedule, key) : 0;
+        });
+    }
+
+    /**
+     * Rebuild saved quests from their templates
+     * Texts and bundles always come from the template, a save cannot change what is shown or granted.
+     * Quests of unknown pools or templates are dropped.
+     * @private
+     * @param {Quest[]} quests - Saved quests
+     * @returns {Quest[]} Restored quests
+     */
+    restoreQuests(quests) {
+        return quests.filter(quest => {
+            const template = this.templates.find(t => t.id === quest.templateId);
+            if (!template || template.pool !== quest.pool || !this.getPool(quest.pool)) {
+                return false;
+            }
+
+            quest.title = localize(template.title, this.locale);
+            quest.description = localize(template.description, this.locale);
+            if (template.bundle) {
+                quest.bundle = template.bundle;
+            } else {
+                delete quest.bundle;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Get a quest pool by ID
+     * @param {string} poolId - Pool ID
+     * @returns {Object|null} The pool, null if unknown
+     */
+    getPool(poolId) {
+        return this.pools.find(pool => pool.id === poolId) || null;
+    }
+
+    /**
+     * Replace the quests of every pool whose schedule started a new period
+     * Completed quests that were not claimed move to the inbox. A clock set back to an earlier
+     * period does not reset anything, quests only ever move forward.
+     * @param {Date} [now] - Current time
+     * @returns {string[]} IDs of the pools that were reset
+     */
+    refreshQuests(now = new Date()) {
+        const reset = [];
+
+        this.pools.forEach(pool => {
+            if (now.getTime() < this.nextResetAt[pool.id]) {
+                return;
+            }
+
+            const period = getPeriod(pool.schedule, now);
+            const previous = this.periods[pool.id];
+            this.periods[pool.id] = period.key;
+            this.nextResetAt[pool.id] = period.endsAt;
+
+            // Still outside any event window, nothing to replace
+            if (period.key === (previous === undefined ? null : previous)) {
+                return;
+            }
+
+            // Goals about how the period ends are decided now, a reached one goes to the inbox below
+            this.evaluatePeriodEnd(pool);
+
+            const inboxed = this.activeQuests.filter(quest => quest.pool === pool.id && quest.completed && !quest.claimed);
+            this.inbox.push(...inboxed);
+            this.replacePoolQuests(pool, period.key === null ? [] : this.createQuests(pool));
+            reset.push(pool.id);
+            if (pool.id === REROLL_POOL) {
+                this.rerollsUsed = 0;
+            }
+
+            if (this.events) {
+                this.events.emit(GameEvents.QUESTS_RESET, { pool: pool.id, period: period.key, inboxed });
+            }
+        });
+
+        return reset;
+    }
+
+    /**
+     * Time left until each pool replaces its quests
+     * @param {Date} [now] - Current time
+     * @returns {Object<string, number>} Pool ID -> milliseconds until the reset (0 if due, Infinity if never)
+     */
+    getResetTimers(now = new Date()) {
+        const timers = {};
+        this.pools.forEach(pool => {
+            timers[pool.id] = Math.max(0, (this.nextResetAt[pool.id] || 0) - now.getTime());
+        });
+        return timers;
+    }
+
+    /**
+     * Subscribe to game events so quest progress follows player actions
+     * Progress counts toward the quests of every pool.
+     * @param {EventBus} events - The game event bus
+     * @param {Function} [getState] - () => QuestGameState, for objectives that look at the game state
+     */
+    connect(events, getState = () => null) {
+        this.events = events;
+        this.getState = getState;
+
+        getObjectiveEvents().forEach(type => {
+            events.on(type, payload => this.handleGameEvent(type, payload));
+        });
+    }
+
+    /**
+     * Re-evaluate the objectives that depend on a game event
+     * Completed quests keep the progress they were completed with.
+     * @param {string} type - One of GameEvents
+     * @param {Object} payload - The event payload
+     */
+    handleGameEvent(type, payload) {
+        const state = this.getState();
+
+        this.activeQuests.forEach(quest => {
+            const objectiveType = getObjectiveType(quest.objective.type);
+            const evaluate = objectiveType && objectiveType.events[type];
+            if (!evaluate || quest.completed || quest.claimed) {
+                return;
+            }
+
+            quest.objective.current = evaluate(quest.objective, payload, state);
+            this.completeIfMet(quest);
+        });
     }
 
     /**
-     * Generate daily quests with random selection
-     * @returns {Quest[]} Array of 3 randomly selected Quest objects
+     * Evaluate end-of-period objectives of a pool that is about to reset
+     * @private
+     * @param {Object} pool - Quest pool
+     */
+    evaluatePeriodEnd(pool) {
+        const state = this.getState();
+        if (!state) {
+            return;
+        }
+
+        this.activeQuests.forEach(quest => {
+            const objectiveType = getObjectiveType(quest.objective.type);
+            if (quest.pool !== pool.id || quest.completed || !objectiveType || !objectiveType.onPeriodEnd) {
+                return;
+            }
+
+            quest.objective.current = objectiveType.onPeriodEnd(quest.objective, state);
+            this.completeIfMet(quest);
+        });
+    }
+
+    /**
+     * Replace the daily quests with a new random selection, other pools keep their quests
+     * @returns {Quest[]} The new daily quests
      */
     generateDailyQuests() {
-        const templates = [
-            { type: 'merge', target: 10, reward: 100, title: 'Merge Master', description: 'Merge 10 swords' },
-            { type: 'merge', target: 25, reward: 250, title: 'Merge Expert', description: 'Merge 25 swords' },
-            { type: 'enhance', target: 5, reward: 150, title: 'Enhancement Novice', description: 'Enhance 5 swords' },
-            { type: 'enhance', target: 10, reward: 300, title: 'Enhancement Expert', description: 'Enhance 10 swords' },
-            { type: 'sell', target: 20, reward: 80, title: 'Merchant', description: 'Sell 20 swords' },
-            { type: 'sell', target: 50, reward: 200, title: 'Master Merchant', description: 'Sell 50 swords' },
-            { type: 'purchase', target: 15, reward: 120, title: 'Collector', description: 'Purchase 15 items' },
-            { type: 'purchase', target: 30, reward: 280, title: 'Master Collector', description: 'Purchase 30 items' }
-        ];
-
-        // Select 3 random quests
-        const selectedQuests = this.selectRandomQuests(templates, 3);
-        
-        // Create Quest objects from templates
-        this.activeQuests = selectedQuests.map(template => ({
+        const pool = this.getPool('daily');
+        const quests = this.createQuests(pool);
+        this.replacePoolQuests(pool, quests);
+        return quests;
+    }
+
+    /**
+     * Draw new quests for a pool
+     * Only templates the player has progressed far enough for are offered, rewards scale with their best level.
+     * @private
+     * @param {Object} pool - Quest pool
+     * @returns {Quest[]} Up to `pool.slots` quests
+     */
+    createQuests(pool) {
+        const maxLevel = this.getMaxLevel();
+        return this.selectRandomQuests(this.getEligibleTemplates(pool, maxLevel), pool.slots)
+            .map(template => this.createQuest(pool, template, maxLevel));
+    }
+
+    /**
+     * Best sword level of the player, 0 before the game state is connected
+     * @private
+     * @returns {number} stats.maxLevel
+     */
+    getMaxLevel() {
+        const state = this.getState();
+        return state && state.stats ? state.stats.maxLevel : 0;
+    }
+
+    /**
+     * Templates of a pool the player has progressed far enough for
+     * @private
+     * @param {Object} pool - Quest pool
+     * @param {number} maxLevel - The player's best sword level
+     * @returns {QuestTemplate[]} Eligible templates
+     */
+    getEligibleTemplates(pool, maxLevel) {
+        return this.templates.filter(template => template.pool === pool.id && maxLevel >= template.minMaxLevel);
+    }
+
+    /**
+     * Create a quest from a template
+     * @private
+     * @param {Object} pool - Quest pool
+     * @param {QuestTemplate} template - Template
+     * @param {number} maxLevel - The player's best sword level, scales the reward
+     * @returns {Quest} New quest without progress
+     */
+    createQuest(pool, template, maxLevel) {
+        return {
             id: generateUUID(),
-            title: template.title,
-            description: template.description,
+            pool: pool.id,
+            templateId: template.id,
+            title: localize(template.title, this.locale),
+            description: localize(template.description, this.locale),
             objective: {
                 type: template.type,
                 target: template.target,
                 current: 0
             },
-            reward: template.reward,
+            reward: Math.round(resolveReward(template, maxLevel) * pool.rewardMultiplier),
+            // Bundles are granted as listed, the pool multiplier only scales gold
+            ...(template.bundle ? { bundle: template.bundle } : {}),
             completed: false,
             claimed: false
-        }));
+        };
+    }
 
-        return this.activeQuests;
+    /**
+     * Swap the quests of one pool, keeping active quests grouped in pool order
+     * @private
+     * @param {Object} pool - Quest pool
+     * @param {Quest[]} quests - The pool's new quests
+     */
+    replacePoolQuests(pool, quests) {
+        this.activeQuests = this.pools.flatMap(p => (
+            p.id === pool.id ? quests : this.activeQuests.filter(quest => quest.pool === p.id)
+        ));
     }
 
     /**
      * Select random quests from templates without duplicates
+     * Templates are drawn one at a time with a chance proportional to their weight (default 1).
      * @private
      * @param {Array} templates - Array of quest templates
      * @param {number} count - Number of quests to select
      * @returns {Array} Array of selected quest templates
      */
     selectRandomQuests(templates, count) {
-        const shuffled = [...templates].sort(() => Math.random() - 0.5);
-        return shuffled.slice(0, count);
+        const weightOf = template => (template && template.weight !== undefined ? template.weight : 1);
+        const remaining = [...templates];
+        const selected = [];
+
+        while (selected.length < count && remaining.length > 0) {
+            let roll = this.random.next() * remaining.reduce((sum, template) => sum + weightOf(template), 0);
+            let index = remaining.findIndex(template => (roll -= weightOf(template)) < 0);
+            // Rounding can leave the roll a hair above the last weight
+            if (index === -1) {
+                index = remaining.length - 1;
+            }
+            selected.push(remaining.splice(index, 1)[0]);
+        }
+
+        return selected;
     }
 
     /**
-     * Update progress for quests of a specific type
-     * @param {string} type - Quest type (merge, enhance, sell, purchase)
+     * Add progress to quests of a specific type directly
+     * Game events drive progress through handleGameEvent, this is for counting outside of events.
+     * @param {string} type - Objective type
      * @param {number} amount - Amount to increment by (default: 1)
      */
     updateProgress(type, amount = 1) {
         this.activeQuests.forEach(quest => {
             if (quest.objective.type === type && !quest.claimed) {
                 quest.objective.current += amount;
-                
-                // Check if quest is now completed
-                if (this.isObjectiveMet(quest.objective)) {
-                    quest.completed = true;
-                }
+                this.completeIfMet(quest);
             }
         });
     }
 
+    /**
+     * Mark a quest completed once its objective is met
+     * @private
+     * @param {Quest} quest - The quest
+     */
+    completeIfMet(quest) {
+        if (quest.completed || !this.isObjectiveMet(quest.objective)) {
+            return;
+        }
+
+        quest.completed = true;
+        if (this.events) {
+            this.events.emit(GameEvents.QUEST_COMPLETED, { quest });
+        }
+    }
+
     /**
      * Check if a quest objective is met
      * @private
@@ -145,4 +493,89 @@ export class QuestSystem {
         quest.claimed = true;
         return quest.reward;
     }
+
+    /**
+     * Claim the reward of a quest kept in the inbox
+     * @param {string} questId - The quest ID to claim
+     * @returns {number} The reward amount (0 if the quest is not in the inbox)
+     */
+    claimInboxReward(questId) {
+        const index = this.inbox.findIndex(q => q.id === questId);
+        if (index === -1) {
+            return 0;
+        }
+
+        const [quest] = this.inbox.splice(index, 1);
+        quest.claimed = true;
+        return quest.reward;
+    }
+
+    /**
+     * Check whether a quest can be swapped for another one
+     * Only daily quests without any progress qualify.
+     * @param {Quest} quest - The quest
+     * @returns {boolean} True if the quest can be rerolled
+     */
+    canReroll(quest) {
+        return quest.pool === REROLL_POOL && !quest.completed && !quest.claimed && quest.objective.current === 0;
+    }
+
+    /**
+     * Rerolls left in the current daily period
+     * @returns {number} Remaining rerolls
+     */
+    getRerollsRemaining() {
+        return Math.max(0, GAME_CONFIG.questRerollsPerDay - this.rerollsUsed);
+    }
+
+    /**
+     * Gold price of the next reroll
+     * The first rerolls of a day are free, after that the price grows with every reroll.
+     * @returns {number} Cost in gold (0 if free)
+     */
+    getRerollCost() {
+        const paid = this.rerollsUsed - GAME_CONFIG.questRerollsFreePerDay;
+        if (paid < 0) {
+            return 0;
+        }
+        return Math.round(GAME_CONFIG.questRerollBaseCost * Math.pow(GAME_CONFIG.questRerollCostGrowth, paid));
+    }
+
+    /**
+     * Replace an unstarted daily quest with a different one
+     * The replacement is never a quest that is already active. Gold is not deducted here, the caller pays `cost`.
+     * @param {string} questId - ID of the quest to replace
+     * @param {number} gold - Player's current gold
+     * @returns {Object} { success, quest, replaced, cost } or { success: false, error }
+     */
+    rerollQuest(questId, gold) {
+        const replaced = this.activeQuests.find(q => q.id === questId);
+
+        if (!replaced || !this.canReroll(replaced)) {
+            return { success: false, error: 'Only daily quests without progress can be rerolled' };
+        }
+        if (this.getRerollsRemaining() === 0) {
+            return { success: false, error: 'No rerolls left today' };
+        }
+
+        const cost = this.getRerollCost();
+        if (gold < cost) {
+            return { success: false, error: `Insufficient gold (need ${cost}G)` };
+        }
+
+        const pool = this.getPool(REROLL_POOL);
+        const maxLevel = this.getMaxLevel();
+        const activeTemplates = new Set(this.activeQuests.map(quest => quest.templateId));
+        const candidates = this.getEligibleTemplates(pool, maxLevel).filter(template => !activeTemplates.has(template.id));
+        if (candidates.length === 0) {
+            return { success: false, error: 'No other quests available' };
+        }
+
+        const [template] = this.selectRandomQuests(candidates, 1);
+        const quest = this.createQuest(pool, template, maxLevel);
+        this.activeQuests = this.activeQuests.map(q => (q === replaced ? quest : q));
+        this.rerollsUsed++;
+
+        return { success: true, quest, replaced, cost };
+    }
 }
@@ -0,0 +1,223 @@
+/**
+ * Quest Templates - Validates quest template content and turns templates into quest values
+ * Templates live in data/questTemplates.js so quests can be added and tuned without code changes,
+ * data/questTemplates.schema.json describes the format for editors. The same rules are checked here when
+ * the game loads: an invalid template is left out and reported with its index, ID and every problem found.
+ * PRD: 10.2
+ */
+
+import { getObjectiveType } from './QuestObjectives.js';
+import { REWARD_ITEMS } from './RewardSystem.js';
+
+/**
+ * Fields a template may have, anything else is most likely a typo
+ */
+const TEMPLATE_FIELDS = new Set(['id', 'pool', 'type', 'target', 'weight', 'minMaxLevel', 'reward', 'bundle', 'title', 'description']);
+
+/**
+ * Language used when a text has no translation for the requested locale
+ */
+const FALLBACK_LOCALE = 'en';
+
+/**
+ * @typedef {Object} QuestTemplate
+ * @property {string} id - Unique template ID
+ * @property {string} pool - ID of the quest pool that offers it
+ * @property {string} type - Objective type
+ * @property {number} target - Progress needed
+ * @property {number} weight - Relative chance of being drawn (default 1)
+ * @property {number} minMaxLevel - Best sword level needed before it is offered (default 0)
+ * @property {number|{base: number, perLevel: number}} reward - Gold reward, see resolveReward
+ * @property {RewardBundle} [bundle] - Swords and items granted with the gold, see RewardSystem
+ * @property {Object<string, string>} title - Title by locale
+ * @property {Object<string, string>} description - Description by locale
+ *
+ * @typedef {Object} TemplateLoadResult
+ * @property {QuestTemplate[]} templates - Valid templates with defaults filled in
+ * @property {string[]} errors - One message per rejected template or broken file
+ */
+
+const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isCount = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Check a reward bundle
+ * @param {any} bundle - Value to check
+ * @returns {string[]} Problems, empty if valid
+ */
+function checkBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+        return ['bundle must be an object'];
+    }
+
+    const problems = [];
+
+    if (bundle.swords !== undefined) {
+        if (!Array.isArray(bundle.swords) ||
+            !bundle.swords.every(entry => entry && isCount(entry.level) && isCount(entry.count) && Object.keys(entry).length === 2)) {
+            problems.push('bundle.swords must be a list of { level, count } with positive integers');
+        }
+    }
+    Object.keys(REWARD_ITEMS).filter(key => bundle[key] !== undefined && !isCount(bundle[key])).forEach(key => {
+        problems.push(`bundle.${key} must be a positive integer`);
+    });
+    Object.keys(bundle).filter(key => key !== 'swords' && !REWARD_ITEMS[key]).forEach(key => {
+        problems.push(`bundle.${key} is not a bundle field`);
+    });
+
+    return problems;
+}
+
+/**
+ * Check a localized text object
+ * @param {any} text - Value to check
+ * @returns {string|null} What is wrong, null if valid
+ */
+function checkLocalizedText(text) {
+    if (!text || typeof text !== 'object' || Array.isArray(text)) {
+        return 'must be an object of texts by locale';
+    }
+    if (typeof text[FALLBACK_LOCALE] !== 'string') {
+        return `needs an "${FALLBACK_LOCALE}" text`;
+    }
+    const empty = Object.keys(text).find(locale => typeof text[locale] !== 'string' || text[locale].length === 0);
+    return empty ? `"${empty}" must be a non-empty string` : null;
+}
+
+/**
+ * Find the problems of one template
+ * @param {any} template - Entry of the content file
+ * @param {Set<string>} poolIds - IDs of the known quest pools
+ * @returns {string[]} Problems, empty if the template is valid
+ */
+export function validateQuestTemplate(template, poolIds) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        return ['must be an object'];
+    }
+
+    const problems = [];
+
+    if (typeof template.id !== 'string' || !/^[a-z0-9_]+$/.test(template.id)) {
+        problems.push('id must be lowercase letters, digits and underscores');
+    }
+    if (!poolIds.has(template.pool)) {
+        problems.push(`pool "${template.pool}" is not a known quest pool`);
+    }
+    if (!getObjectiveType(template.type)) {
+        problems.push(`type "${template.type}" is not a known objective type`);
+    }
+    if (!isPositive(template.target)) {
+        problems.push('target must be a positive number');
+    }
+    if (template.weight !== undefined && !isPositive(template.weight)) {
+        problems.push('weight must be a positive number');
+    }
+    if (template.minMaxLevel !== undefined && !(Number.isInteger(template.minMaxLevel) && template.minMaxLevel >= 0)) {
+        problems.push('minMaxLevel must be a non-negative integer');
+    }
+
+    const reward = template.reward;
+    if (reward && typeof reward === 'object' && !Array.isArray(reward)) {
+        if (!isPositive(reward.base)) {
+            problems.push('reward.base must be a positive number');
+        }
+        if (reward.perLevel !== undefined && !(Number.isFinite(reward.perLevel) && reward.perLevel >= 0)) {
+            problems.push('reward.perLevel must be a non-negative number');
+        }
+        Object.keys(reward).filter(key => key !== 'base' && key !== 'perLevel').forEach(key => {
+            problems.push(`reward.${key} is not a reward field`);
+        });
+    } else if (!isPositive(reward)) {
+        problems.push('reward must be a positive number or { base, perLevel }');
+    }
+
+    if (template.bundle !== undefined) {
+        problems.push(...checkBundle(template.bundle));
+    }
+
+    ['title', 'description'].forEach(field => {
+        const problem = checkLocalizedText(template[field]);
+        if (problem) {
+            problems.push(`${field} ${problem}`);
+        }
+    });
+
+    Object.keys(template).filter(key => !TEMPLATE_FIELDS.has(key)).forEach(key => {
+        problems.push(`"${key}" is not a template field`);
+    });
+
+    return problems;
+}
+
+/**
+ * Validate quest template content, keeping the valid templates
+ * @param {any} content - Parsed content file ({ templates: [...] })
+ * @param {Object[]} pools - Known quest pools
+ * @returns {TemplateLoadResult} Valid templates and the reasons others were rejected
+ */
+export function validateQuestTemplates(content, pools) {
+    if (!content || typeof content !== 'object' || !Array.isArray(content.templates)) {
+        return { templates: [], errors: ['Quest templates: the content file must have a "templates" array'] };
+    }
+
+    const poolIds = new Set(pools.map(pool => pool.id));
+    const seenIds = new Set();
+    const templates = [];
+    const errors = [];
+
+    content.templates.forEach((template, index) => {
+        const problems = validateQuestTemplate(template, poolIds);
+        const id = template && typeof template.id === 'string' ? template.id : null;
+
+        if (id && seenIds.has(id)) {
+            problems.push('id is already used by an earlier template');
+        }
+
+        if (problems.length > 0) {
+            errors.push(`Quest template ${index}${id ? ` ("${id}")` : ''} rejected: ${problems.join('; ')}`);
+            return;
+        }
+
+        seenIds.add(id);
+        templates.push({ weight: 1, minMaxLevel: 0, ...template });
+    });
+
+    return { templates, errors };
+}
+
+/**
+ * Validate quest template content and report rejected templates on the console
+ * @param {any} content - Parsed content file
+ * @param {Object[]} pools - Known quest pools
+ * @returns {QuestTemplate[]} Valid templates
+ */
+export function loadQuestTemplates(content, pools) {
+    const { templates, errors } = validateQuestTemplates(content, pools);
+    errors.forEach(error => console.error(error));
+    return templates;
+}
+
+/**
+ * Compute the gold reward of a template for a player
+ * @param {QuestTemplate} template - Valid template
+ * @param {number} maxLevel - The player's best sword level (stats.maxLevel)
+ * @returns {number} base + perLevel * maxLevel, or the fixed reward
+ */
+export function resolveReward(template, maxLevel) {
+    if (typeof template.reward === 'number') {
+        return template.reward;
+    }
+    return template.reward.base + (template.reward.perLevel || 0) * maxLevel;
+}
+
+/**
+ * Pick the text for a locale
+ * Tries the exact locale ("pt-BR"), then its language ("pt"), then English.
+ * @param {Object<string, string>} text - Text by locale
+ * @param {string} locale - Requested locale
+ * @returns {string} The text
+ */
+export function localize(text, locale) {
+    const language = locale.split('-')[0];
+    return text[locale] || text[language] || text[FALLBACK_LOCALE];
+}
@@ -0,0 +1,130 @@
+/**
+ * Reward System - Grants the non-gold part of reward bundles
+ * A bundle can hold swords of given levels, free lucky boxes, enhancement protections and gems (premium
+ * currency). Item counts are kept on the player state; reward swords go into the inventory, or into the
+ * pending-rewards inbox while the inventory is full, where they wait until the player collects them.
+ * PRD: 10.2
+ */
+
+import { createSword } from '../models/Sword.js';
+import { generateUUID } from '../utils.js';
+
+/**
+ * Bundle entries that are counters on PlayerState, with their display names
+ */
+export const REWARD_ITEMS = Object.freeze({
+    luckyBoxes: { singular: 'lucky box', plural: 'lucky boxes' },
+    protections: { singular: 'protection', plural: 'protections' },
+    gems: { singular: 'gem', plural: 'gems' }
+});
+
+/**
+ * @typedef {Object} RewardBundle
+ * @property {Array<{level: number, count: number}>} [swords] - Swords granted, by level
+ * @property {number} [luckyBoxes] - Free lucky boxes
+ * @property {number} [protections] - Enhancement protections, each saves one sword from destruction
+ * @property {number} [gems] - Premium currency
+ *
+ * @typedef {Object} PendingReward
+ * @property {string} id - Unique ID
+ * @property {number} level - Level of the reward sword
+ * @property {string} source - What granted it (quest title)
+ *
+ * @typedef {Object} GrantResult
+ * @property {Object[]} swords - Swords placed in the inventory
+ * @property {PendingReward[]} pending - Swords that did not fit and wait in the inbox
+ */
+
+/**
+ * List the contents of a bundle for display
+ * @param {RewardBundle|null|undefined} bundle - The bundle
+ * @returns {string[]} One line per entry, e.g. "Lv.5 sword x2", "3 lucky boxes"
+ */
+export function describeBundle(bundle) {
+    if (!bundle) {
+        return [];
+    }
+
+    const lines = (bundle.swords || []).map(({ level, count }) => `Lv.${level} sword${count > 1 ? ` x${count}` : ''}`);
+
+    Object.entries(REWARD_ITEMS).forEach(([key, { singular, plural }]) => {
+        if (bundle[key] > 0) {
+            lines.push(`${bundle[key]} ${bundle[key] === 1 ? singular : plural}`);
+        }
+    });
+
+    return lines;
+}
+
+export class RewardSystem {
+    constructor() {
+        this.pending = [];
+    }
+
+    /**
+     * Load the saved pending-rewards inbox
+     * @param {PendingReward[]} pending - Saved entries
+     */
+    restore(pending) {
+        this.pending = pending;
+    }
+
+    /**
+     * Grant a bundle: add its items to the player and its swords to the inventory
+     * @param {RewardBundle|null|undefined} bundle - The bundle, nothing happens without one
+     * @param {Object} inventory - InventoryManager instance
+     * @param {Object} player - PlayerState, item counters are added to it
+     * @param {string} source - What granted the bundle, shown with pending swords
+     * @returns {GrantResult} Where the swords went
+     */
+    grant(bundle, inventory, player, source) {
+        const result = { swords: [], pending: [] };
+        if (!bundle) {
+            return result;
+        }
+
+        Object.keys(REWARD_ITEMS).forEach(key => {
+            if (bundle[key] > 0) {
+                player[key] = (player[key] || 0) + bundle[key];
+            }
+        });
+
+        (bundle.swords || []).forEach(({ level, count }) => {
+            for (let i = 0; i < count; i++) {
+                if (inventory.isFull()) {
+                    result.pending.push({ id: generateUUID(), level, source });
+                } else {
+                    const sword = createSword(level, 0);
+                    inventory.addSword(sword);
+                    result.swords.push(sword);
+                }
+            }
+        });
+
+        this.pending.push(...result.pending);
+        return result;
+    }
+
+    /**
+     * Move a pending reward sword into the inventory
+     * @param {string} id - PendingReward ID
+     * @param {Object} inventory - InventoryManager instance
+     * @returns {Object} { success, sword } or { success: false, error }
+     */
+    collectPending(id, inventory) {
+        const entry = this.pending.find(reward => reward.id === id);
+
+        if (!entry) {
+            return { success: false, error: 'Reward not found' };
+        }
+        if (inventory.isFull()) {
+            return { success: false, error: 'Inventory is full. Sell or merge swords to make space.' };
+        }
+
+        const sword = createSword(entry.level, 0);
+        inventory.addSword(sword);
+        this.pending = this.pending.filter(reward => reward !== entry);
+
+        return { success: true, sword };
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Save Integrity - Tamper evidence for stored and exported saves
+ * Saves are signed with a keyed hash of their JSON. The key ships with the game, so a determined player can
+ * still forge a signature, but edits made in devtools or a text editor are detected. Tampered saves keep
+ * loading; they are marked as modded in their stats so shared features such as leaderboards can leave them out.
+ */
+
+import { calculateGoldValue, hashString } from '../utils.js';
+
+/**
+ * Mixed into every signature so it cannot be recomputed from the save alone
+ */
+const SIGNING_KEY = 'sword-merge/save-signature/v1';
+
+/**
+ * Save versions written before saves were signed, a save of any later version must carry a valid signature
+ */
+const UNSIGNED_VERSIONS = new Set(['1.0.0', '1.1.0']);
+
+/**
+ * @typedef {Object} SignatureCheck
+ * @property {Object} state - The parsed save without its signature field
+ * @property {boolean} signed - Whether the save carried a signature
+ * @property {string[]} issues - Why the signature was not accepted, empty if it was
+ */
+
+/**
+ * Compute the signature of a save's JSON
+ * @param {string} json - Save JSON without a signature field
+ * @returns {string} Signature
+ */
+export function computeSignature(json) {
+    return hashString(`${SIGNING_KEY}:${json}`);
+}
+
+/**
+ * Serialize a state with its signature appended
+ * @param {Object} state - Game state, an existing signature field is replaced
+ * @returns {string} Signed JSON
+ */
+export function signState(state) {
+    const { signature, ...unsigned } = state;
+    return JSON.stringify({ ...unsigned, signature: computeSignature(JSON.stringify(unsigned)) });
+}
+
+/**
+ * Check the signature of parsed save data and strip it
+ * @param {any} parsed - Parsed save JSON
+ * @returns {SignatureCheck} The unsigned state and any signature problem
+ */
+export function checkSignature(parsed) {
+    if (!parsed || typeof parsed !== 'object') {
+        return { state: parsed, signed: false, issues: [] };
+    }
+
+    const { signature, ...state } = parsed;
+
+    if (signature === undefined) {
+        return { state, signed: false, issues: UNSIGNED_VERSIONS.has(state.version) ? [] : ['Signature is missing'] };
+    }
+    if (signature !== computeSignature(JSON.stringify(state))) {
+        return { state, signed: true, issues: ['Signature does not match the save contents'] };
+    }
+    return { state, signed: true, issues: [] };
+}
+
+/**
+ * Find values a normal game can never produce
+ * Gold values and best level are only checked when `strict` is set, for signed saves written by the current
+ * version. An older or unsigned save can hold stale values there, SaveRepairs.js fixes those instead.
+ * Expects a state that passed StorageManager.validateState.
+ * @param {Object} state - Game state
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Also check gold values and best level
+ * @returns {string[]} Human-readable issues, empty if none
+ */
+export function findSemanticIssues(state, { strict = false } = {}) {
+    const issues = [];
+
+    if (!Number.isFinite(state.player.gold) || state.player.gold < 0) {
+        issues.push(`Gold is ${state.player.gold}`);
+    }
+
+    Object.entries(state.stats).forEach(([stat, value]) => {
+        if (typeof value === 'number' && !(Number.isFinite(value) && value >= 0)) {
+            issues.push(`Stat ${stat} is ${value}`);
+        }
+    });
+
+    const seenIds = new Set();
+    let highestLevel = 0;
+
+    state.inventory.forEach(({ sword }) => {
+        if (!sword) {
+            return;
+        }
+
+        if (seenIds.has(sword.id)) {
+            issues.push(`Sword ID ${sword.id} is used more than once`);
+        }
+        seenIds.add(sword.id);
+
+        if (!Number.isInteger(sword.level) || sword.level < 1 || !Number.isInteger(sword.enhancement) || sword.enhancement < 0) {
+            issues.push(`Sword ${sword.id} has level ${sword.level} +${sword.enhancement}`);
+            return;
+        }
+
+        const expected = calculateGoldValue(sword.level, sword.enhancement);
+        if (strict && sword.goldValue !== expected) {
+            issues.push(`Sword ${sword.id} is worth ${sword.goldValue}G instead of ${expected}G`);
+        }
+        highestLevel = Math.max(highestLevel, sword.level);
+    });
+
+    if (strict && state.stats.maxLevel < highestLevel) {
+        issues.push(`Best level ${state.stats.maxLevel} is below the Lv.${highestLevel} sword in the inventory`);
+    }
+
+    return issues;
+}
@@ -0,0 +1,206 @@
+/**
+ * Save Migrations - Upgrades old save data step by step to the current format
+ * Requirements: 12.2, 12.3
+ */
+
+import { getLocalDayKey } from '../utils.js';
+
+/**
+ * @typedef {Object} SaveMigration
+ * @property {string} from - Version the migration applies to
+ * @property {string} to - Version the migration produces
+ * @property {string} description - What the migration changes
+ * @property {Function} migrate - (state) => upgraded state, must not rely on fields newer than `from`
+ */
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {Object} state - The upgraded state
+ * @property {Array<{from: string, to: string, description: string}>} applied - Migrations that ran, in order
+ */
+
+/**
+ * Template IDs of the quests offered before quests recorded their template, by title
+ * Frozen copy of the content at the time, later template changes must not alter old migrations.
+ */
+const LEGACY_QUEST_TEMPLATE_IDS = {
+    'Merge Master': 'merge_master',
+    'Merge Expert': 'merge_expert',
+    'Enhancement Novice': 'enhancement_novice',
+    'Enhancement Expert': 'enhancement_expert',
+    'Merchant': 'merchant',
+    'Master Merchant': 'master_merchant',
+    'Collector': 'collector',
+    'Master Collector': 'master_collector',
+    'Master Smith': 'master_smith',
+    'Fine Edge': 'fine_edge',
+    'Payday': 'payday',
+    'Feeling Lucky': 'feeling_lucky',
+    'Steady Hands': 'steady_hands',
+    'Packed Armory': 'packed_armory',
+    'Forge Week': 'forge_week',
+    'Tempered Steel': 'tempered_steel',
+    'Market Week': 'market_week',
+    'Armory Restock': 'armory_restock',
+    'Festival Forge': 'festival_forge',
+    'Festival Sparks': 'festival_sparks',
+    'Festival Market': 'festival_market'
+};
+
+/**
+ * Registered save migrations, oldest first
+ * @type {SaveMigration[]}
+ */
+export const SAVE_MIGRATIONS = [
+    {
+        from: '1.0.0',
+        to: '1.1.0',
+        description: 'Add per-save config and clock high-water mark',
+        migrate(state) {
+            return {
+                ...state,
+                // Saves from 1.0.0 were played with the original probabilities, keep them
+                config: { enhancementTable: 'classic', ...state.config },
+                lastSeenAt: Date.parse(state.lastSaved) || 0
+            };
+        }
+    },
+    {
+        from: '1.1.0',
+        to: '1.2.0',
+        description: 'Sign saves and track modded profiles',
+        migrate(state) {
+            return { ...state, stats: { modded: false, ...state.stats } };
+        }
+    },
+    {
+        from: '1.2.0',
+        to: '1.3.0',
+        description: 'Store achievement progress only, definitions come from the game',
+        migrate(state) {
+            if (!Array.isArray(state.achievements)) {
+                return state;
+            }
+
+            const achievements = state.achievements
+                .filter(achievement => achievement && typeof achievement.id === 'string')
+                .map(({ id, unlocked, unlockedAt }) => (
+                    unlocked === true && unlockedAt ? { id, unlocked: true, unlockedAt } : { id, unlocked: unlocked === true }
+                ));
+            return { ...state, achievements };
+        }
+    },
+    {
+        from: '1.3.0',
+        to: '1.4.0',
+        description: 'Track the day of the daily quests and add a claim-later inbox',
+        migrate(state) {
+            // The quests were last seen on the day of the last save, so they reset on the next local day
+            const lastSaved = new Date(state.lastSaved);
+            const questDay = Number.isNaN(lastSaved.getTime()) ? null : getLocalDayKey(lastSaved);
+            return { ...state, questDay, questInbox: [] };
+        }
+    },
+    {
+        from: '1.4.0',
+        to: '1.5.0',
+        description: 'Group quests into pools with their own reset periods',
+        migrate(state) {
+            const { questDay, ...rest } = state;
+            // Every quest before pools existed was a daily quest
+            const toDaily = quests => (Array.isArray(quests) ? quests.map(quest => ({ pool: 'daily', ...quest })) : quests);
+            return {
+                ...rest,
+                quests: toDaily(state.quests),
+                questInbox: toDaily(state.questInbox),
+                questPeriods: questDay ? { daily: questDay } : {}
+            };
+        }
+    },
+    {
+        from: '1.5.0',
+        to: '1.6.0',
+        description: 'Track daily quest rerolls',
+        migrate(state) {
+            return { ...state, questRerollsUsed: 0, stats: { ...state.stats, questRerolls: 0 } };
+        }
+    },
+    {
+        from: '1.6.0',
+        to: '1.7.0',
+        description: 'Add reward items and the pending-rewards inbox',
+        migrate(state) {
+            return {
+                ...state,
+                player: { luckyBoxes: 0, protections: 0, gems: 0, ...state.player },
+                pendingRewards: []
+            };
+        }
+    },
+    {
+        from: '1.7.0',
+        to: '1.8.0',
+        description: 'Link quests saved before templates existed to their template',
+        migrate(state) {
+            // Quests without a known template are left as they are and dropped when the quests are restored
+            const link = quests => (Array.isArray(quests) ? quests.map(quest => (
+                quest && typeof quest === 'object' && quest.templateId === undefined &&
+                Object.prototype.hasOwnProperty.call(LEGACY_QUEST_TEMPLATE_IDS, quest.title)
+                    ? { ...quest, templateId: LEGACY_QUEST_TEMPLATE_IDS[quest.title] }
+                    : quest
+            )) : quests);
+            return { ...state, quests: link(state.quests), questInbox: link(state.questInbox) };
+        }
+    }
+];
+
+export class MigrationRegistry {
+    /**
+     * @param {SaveMigration[]} [migrations] - Migrations to register
+     */
+    constructor(migrations = []) {
+        this.migrations = new Map();
+        migrations.forEach(migration => this.register(migration));
+    }
+
+    /**
+     * Register a migration
+     * @param {SaveMigration} migration - The migration
+     * @throws {Error} If a migration from the same version already exists
+     */
+    register(migration) {
+        if (this.migrations.has(migration.from)) {
+            throw new Error(`Duplicate save migration from ${migration.from}`);
+        }
+        this.migrations.set(migration.from, migration);
+    }
+
+    /**
+     * Upgrade a save to the target version, one registered step at a time
+     * The input object is left untouched.
+     * @param {Object} state - Parsed save data with a `version` field
+     * @param {string} targetVersion - Version to upgrade to
+     * @returns {MigrationResult} Upgraded state and the migrations that ran
+     * @throws {Error} If there is no migration path to the target version
+     */
+    migrate(state, targetVersion) {
+        let current = JSON.parse(JSON.stringify(state));
+        const applied = [];
+        const visited = new Set();
+
+        while (current.version !== targetVersion) {
+            const migration = this.migrations.get(current.version);
+
+            if (!migration || visited.has(current.version)) {
+                throw new Error(`No save migration path from ${current.version} to ${targetVersion}`);
+            }
+            visited.add(current.version);
+
+            current = migration.migrate(current);
+            current.version = migration.to;
+            applied.push({ from: migration.from, to: migration.to, description: migration.description });
+        }
+
+        return { state: current, applied };
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * Save Repairs - Finds and fixes small inconsistencies in structurally valid saves
+ * Runs after migration and StorageManager.validateState on every loaded or imported save, so a stale value
+ * (e.g. after a formula change) is corrected instead of costing the player the save.
+ * Requirements: 12.2, 12.3
+ */
+
+import { calculateGoldValue, generateUUID } from '../utils.js';
+
+/**
+ * Kinds of repair, used as RepairEntry.type
+ */
+export const RepairType = Object.freeze({
+    SLOT_POSITION: 'slotPosition',
+    DUPLICATE_SWORD_ID: 'duplicateSwordId',
+    GOLD_VALUE: 'goldValue',
+    QUEST_COMPLETED: 'questCompleted',
+    MAX_LEVEL: 'maxLevel'
+});
+
+/**
+ * @typedef {Object} RepairEntry
+ * @property {string} type - One of RepairType
+ * @property {string} path - Where in the state the fix was made, e.g. "inventory[3].sword.goldValue"
+ * @property {any} before - Value before the fix (undefined if it was missing)
+ * @property {any} after - Value after the fix
+ * @property {string} message - Human-readable description
+ *
+ * @typedef {Object} RepairReport
+ * @property {boolean} repaired - Whether anything was fixed
+ * @property {RepairEntry[]} entries - Fixes in the order they were made
+ */
+
+/**
+ * Fix semantic problems in a validated state
+ * @param {Object} state - Game state that passed StorageManager.validateState, fixed in place
+ * @returns {RepairReport} What was fixed
+ */
+export function repairSaveState(state) {
+    const entries = [];
+    const record = (type, path, before, after, message) => entries.push({ type, path, before, after, message });
+
+    const seenIds = new Set();
+    let highestLevel = 0;
+
+    state.inventory.forEach((slot, i) => {
+        if (slot.position !== i) {
+            record(RepairType.SLOT_POSITION, `inventory[${i}].position`, slot.position, i,
+                `Slot ${i} was stored as position ${slot.position}`);
+            slot.position = i;
+        }
+
+        const sword = slot.sword;
+        if (!sword) {
+            return;
+        }
+
+        if (seenIds.has(sword.id)) {
+            const id = generateUUID();
+            record(RepairType.DUPLICATE_SWORD_ID, `inventory[${i}].sword.id`, sword.id, id,
+                `Sword in slot ${i} shared its ID with another sword`);
+            sword.id = id;
+        }
+        seenIds.add(sword.id);
+
+        // Impossible levels are left to the integrity check, there is no right value to restore
+        if (!Number.isInteger(sword.level) || sword.level < 1 || !Number.isInteger(sword.enhancement) || sword.enhancement < 0) {
+            return;
+        }
+
+        const goldValue = calculateGoldValue(sword.level, sword.enhancement);
+        if (sword.goldValue !== goldValue) {
+            record(RepairType.GOLD_VALUE, `inventory[${i}].sword.goldValue`, sword.goldValue, goldValue,
+                `Lv.${sword.level} +${sword.enhancement} sword in slot ${i} was worth ${sword.goldValue}G instead of ${goldValue}G`);
+            sword.goldValue = goldValue;
+        }
+        highestLevel = Math.max(highestLevel, sword.level);
+    });
+
+    state.quests.forEach((quest, i) => {
+        const objective = quest && quest.objective;
+        if (objective && !quest.completed && objective.current >= objective.target) {
+            record(RepairType.QUEST_COMPLETED, `quests[${i}].completed`, quest.completed, true,
+                `Quest "${quest.title}" had reached ${objective.current}/${objective.target} but was not completed`);
+            quest.completed = true;
+        }
+    });
+
+    if (state.stats.maxLevel < highestLevel) {
+        record(RepairType.MAX_LEVEL, 'stats.maxLevel', state.stats.maxLevel, highestLevel,
+            `Best level was ${state.stats.maxLevel} but a Lv.${highestLevel} sword is held`);
+        state.stats.maxLevel = highestLevel;
+    }
+
+    return { repaired: entries.length > 0, entries };
+}
@@ -4,9 +4,14 @@
  */
 
 import { createSword } from '../models/Sword.js';
+import { Random } from '../Random.js';
 
 export class ShopSystem {
-    constructor() {
+    /**
+     * @param {Random} [random] - Game RNG
+     */
+    constructor(random = new Random()) {
+        this.random = random;
         this.BASIC_SWORD_COST = 20;
         this.LUCKY_BOX_COST = 100;
     }
@@ -67,6 +72,15 @@ export class ShopSystem {
             };
         }
 
+        return this.openLuckyBox(inventory);
+    }
+
+    /**
+     * Open a lucky box without paying for it (free boxes from rewards)
+     * @param {Object} inventory - InventoryManager instance
+     * @returns {Object} PurchaseResult with success, sword, and error
+     */
+    openLuckyBox(inventory) {
         // Check if inventory has space
         if (inventory.isFull()) {
             return {
@@ -100,7 +114,7 @@ export class ShopSystem {
      * @returns {number} Sword level (1-5)
      */
     rollLuckyBoxLevel() {
-        const roll = Math.random();
+        const roll = this.random.next();
         if (roll < 0.50) return 1;
         if (roll < 0.75) return 2;
         if (roll < 0.90) return 3;
@@ -0,0 +1,293 @@
+/**
+ * Storage Adapters - Async key/value backends for StorageManager
+ * Every adapter stores strings under string keys and exposes the same promise-based interface,
+ * so saves can go to localStorage, IndexedDB, memory or several of them at once.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Backend name for logs and warnings
+ * @property {Function} getItem - (key) => Promise<string|null>
+ * @property {Function} setItem - (key, value) => Promise<void>, rejects with a QuotaExceededError when full
+ * @property {Function} removeItem - (key) => Promise<void>
+ * @property {Function} keys - () => Promise<string[]>
+ */
+
+/**
+ * Check whether an error means the backend ran out of space
+ * Browsers disagree on the name, Firefox used its own for a long time.
+ * @param {any} error - Error thrown by a backend
+ * @returns {boolean} True for quota errors
+ */
+export function isQuotaError(error) {
+    return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+}
+
+/**
+ * Stores data in window.localStorage
+ */
+export class LocalStorageAdapter {
+    /**
+     * @param {Storage} [storage] - Storage object, defaults to window.localStorage
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.name = 'localStorage';
+        this.storage = storage;
+    }
+
+    async getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    async setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    async removeItem(key) {
+        this.storage.removeItem(key);
+    }
+
+    async keys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            keys.push(this.storage.key(i));
+        }
+        return keys;
+    }
+}
+
+/**
+ * Stores data in an IndexedDB object store, which allows far larger saves than localStorage
+ */
+export class IndexedDBAdapter {
+    /**
+     * @param {string} [databaseName] - Database name
+     * @param {IDBFactory} [factory] - IndexedDB factory, defaults to window.indexedDB
+     */
+    constructor(databaseName = 'sword_merge_game', factory = globalThis.indexedDB) {
+        this.name = 'IndexedDB';
+        this.databaseName = databaseName;
+        this.storeName = 'saves';
+        this.factory = factory;
+        this.database = null;
+    }
+
+    /**
+     * Check whether IndexedDB can be used in this environment
+     * @param {IDBFactory} [factory] - IndexedDB factory
+     * @returns {boolean} True if available
+     */
+    static isAvailable(factory = globalThis.indexedDB) {
+        return !!factory && typeof factory.open === 'function';
+    }
+
+    /**
+     * Open the database once and reuse the connection
+     * @private
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = this.factory.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again instead of caching the failure
+            this.database.catch(() => {
+                this.database = null;
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * Run a single request in a transaction
+     * Write errors such as QuotaExceededError surface on the transaction, not the request.
+     * @private
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<any>} Request result
+     */
+    async request(mode, operation) {
+        const database = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || request.error);
+        });
+    }
+
+    async getItem(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async setItem(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    async removeItem(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+
+    async keys() {
+        const keys = await this.request('readonly', store => store.getAllKeys());
+        return keys.map(String);
+    }
+}
+
+/**
+ * Keeps data in memory, for tests, headless simulations and as a last resort
+ */
+export class MemoryStorageAdapter {
+    /**
+     * @param {number} [quotaBytes] - Simulated quota in characters, Infinity for none
+     */
+    constructor(quotaBytes = Infinity) {
+        this.name = 'memory';
+        this.quotaBytes = quotaBytes;
+        this.data = new Map();
+    }
+
+    async getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        const text = String(value);
+        const used = [...this.data].reduce((sum, [k, v]) => (k === key ? sum : sum + k.length + v.length), 0);
+
+        if (used + key.length + text.length > this.quotaBytes) {
+            const error = new Error(`Memory storage quota of ${this.quotaBytes} exceeded`);
+            error.name = 'QuotaExceededError';
+            throw error;
+        }
+        this.data.set(key, text);
+    }
+
+    async removeItem(key) {
+        this.data.delete(key);
+    }
+
+    async keys() {
+        return [...this.data.keys()];
+    }
+}
+
+/**
+ * Writes to several adapters and reads from the first one that has the key
+ * A write succeeds as long as one backend took it; failed mirrors are reported but do not lose the save.
+ * A backend that missed a write has its old value of the key removed, so reads fall through to a backend
+ * that holds the new one instead of returning the stale copy.
+ */
+export class MirroredStorageAdapter {
+    /**
+     * @param {StorageAdapter[]} adapters - Backends in read priority order
+     */
+    constructor(adapters) {
+        if (!Array.isArray(adapters) || adapters.length === 0) {
+            throw new Error('MirroredStorageAdapter needs at least one adapter');
+        }
+        this.adapters = adapters;
+        this.name = adapters.map(adapter => adapter.name).join(' + ');
+    }
+
+    async getItem(key) {
+        for (const adapter of this.adapters) {
+            try {
+                const value = await adapter.getItem(key);
+                if (value !== null) {
+                    return value;
+                }
+            } catch (error) {
+                console.error(`Failed to read ${key} from ${adapter.name}:`, error);
+            }
+        }
+        return null;
+    }
+
+    async setItem(key, value) {
+        await this.writeAll(adapter => adapter.setItem(key, value), key);
+    }
+
+    async removeItem(key) {
+        await this.writeAll(adapter => adapter.removeItem(key), key);
+    }
+
+    async keys() {
+        const keys = new Set();
+        for (const adapter of this.adapters) {
+            try {
+                (await adapter.keys()).forEach(key => keys.add(key));
+            } catch (error) {
+                console.error(`Failed to list keys of ${adapter.name}:`, error);
+            }
+        }
+        return [...keys];
+    }
+
+    /**
+     * Apply a write to every backend
+     * @private
+     * @param {Function} operation - (adapter) => Promise
+     * @param {string} key - Key the write changes, removed from backends that failed it
+     * @throws {Error} The first failure if every backend failed, or a 'MirrorWriteError' with
+     *     `saved: true`, the individual `errors` (with `primary` set for the first backend) and the
+     *     names of the backends that took the write in `savedTo` if only some did
+     */
+    async writeAll(operation, key) {
+        const results = await Promise.allSettled(this.adapters.map(adapter => operation(adapter)));
+        const errors = results
+            .map((result, i) => (result.status === 'rejected'
+                ? { adapter: this.adapters[i].name, primary: i === 0, error: result.reason }
+                : null))
+            .filter(Boolean);
+
+        if (errors.length === 0) {
+            return;
+        }
+        if (errors.length === this.adapters.length) {
+            throw errors[0].error;
+        }
+
+        // Drop the outdated copies, removing also frees the space a full backend needs
+        await Promise.all(results.map(async (result, i) => {
+            if (result.status === 'rejected') {
+                try {
+                    await this.adapters[i].removeItem(key);
+                } catch (error) {
+                    console.error(`Failed to remove outdated ${key} from ${this.adapters[i].name}:`, error);
+                }
+            }
+        }));
+
+        const error = new Error(`Write failed on ${errors.map(e => e.adapter).join(', ')}`);
+        error.name = 'MirrorWriteError';
+        error.saved = true;
+        error.errors = errors;
+        error.savedTo = this.adapters.filter((adapter, i) => results[i].status === 'fulfilled').map(adapter => adapter.name);
+        throw error;
+    }
+}
+
+/**
+ * Build the default backend: IndexedDB mirrored to localStorage when IndexedDB exists, localStorage otherwise
+ * The localStorage mirror keeps saves from before IndexedDB support readable and survives IndexedDB failures.
+ * @returns {StorageAdapter} Adapter
+ */
+export function createDefaultStorageAdapter() {
+    const hasLocalStorage = typeof globalThis.localStorage !== 'undefined';
+
+    if (IndexedDBAdapter.isAvailable()) {
+        const adapters = [new IndexedDBAdapter()];
+        if (hasLocalStorage) {
+            adapters.push(new LocalStorageAdapter());
+        }
+        return new MirroredStorageAdapter(adapters);
+    }
+
+    return hasLocalStorage ? new LocalStorageAdapter() : new MemoryStorageAdapter();
+}
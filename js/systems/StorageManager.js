@@ -1,5 +1,7 @@
 /**
- * Storage Manager - Handles game state persistence with localStorage
+ * Storage Manager - Handles game state persistence through an async StorageAdapter
+ * Each named save slot has its own save key; the slot list and the active slot live under SLOT_INDEX_KEY.
+ * Writes are queued so overlapping saves cannot interleave.
  * Requirements: 10.2, 10.3, 10.4, 12.2, 12.3
  * 
  * @typedef {Object} GameState
@@ -7,12 +9,26 @@
  * @property {PlayerState} player - Player state
  * @property {Array<InventorySlot>} inventory - 25 inventory slots
  * @property {Array<Quest>} quests - Active quests
- * @property {Array<Achievement>} achievements - All achievements
+ * @property {Object<string, string|null>} [questPeriods] - Quest pool ID -> period its active quests belong to
+ * @property {Array<Quest>} [questInbox] - Completed quests from earlier days whose reward was not claimed yet
+ * @property {number} [questRerollsUsed] - Daily quest rerolls used in the current daily period
+ * @property {Array<PendingReward>} [pendingRewards] - Reward swords waiting for room in the inventory
+ * @property {Array<AchievementProgress>} achievements - Achievement progress, definitions are not saved
  * @property {PlayerStats} stats - Player statistics
+ * @property {GameConfigState} [config] - Per-save game configuration
+ * @property {RandomState} [rng] - Shared RNG seed and state
  * @property {Date} lastSaved - Last save timestamp
+ * @property {number} [lastSeenAt] - Latest save time ever recorded (ms), guards against clock rollback
+ * @property {number} [generation] - Incremented on every write, lets a tab detect that another tab saved since it loaded
+ * 
+ * @typedef {Object} GameConfigState
+ * @property {string} enhancementTable - Name of the active enhancement probability table
  * 
  * @typedef {Object} PlayerState
  * @property {number} gold - Player's gold amount
+ * @property {number} [luckyBoxes] - Free lucky boxes from rewards
+ * @property {number} [protections] - Enhancement protections, each saves one sword from destruction
+ * @property {number} [gems] - Premium currency
  * 
  * @typedef {Object} PlayerStats
  * @property {number} totalMerges - Total merge operations
@@ -21,48 +37,315 @@
  * @property {number} totalSales - Total sales made
  * @property {number} maxLevel - Highest sword level achieved
  * @property {number} totalGoldEarned - Total gold earned
+ * @property {number} [questRerolls] - Total daily quest rerolls
+ * @property {boolean} [modded] - Set for good once the save failed an integrity check, see SaveIntegrity.js
+ */
+
+import { GameEvents } from '../EventBus.js';
+import { GAME_CONFIG } from '../config.js';
+import { MigrationRegistry, SAVE_MIGRATIONS } from './SaveMigrations.js';
+import { createDefaultStorageAdapter, isQuotaError } from './StorageAdapters.js';
+import { signState, checkSignature, findSemanticIssues } from './SaveIntegrity.js';
+import { repairSaveState } from './SaveRepairs.js';
+import { REWARD_ITEMS } from './RewardSystem.js';
+import { ENHANCEMENT_TABLES } from '../data/enhancementTables.js';
+import { generateUUID, hashString } from '../utils.js';
+
+/**
+ * Prefix of exported save codes, bump it if the code layout changes
+ */
+export const SAVE_CODE_PREFIX = 'SMG1';
+
+/**
+ * Format marker of exported save files
+ */
+export const SAVE_FILE_FORMAT = 'sword-merge-save';
+
+/**
+ * Slot that owns the original single save key, so saves from before slots existed keep loading
+ */
+export const DEFAULT_SLOT_ID = 'main';
+
+/**
+ * Longest allowed save slot name
+ */
+export const MAX_SLOT_NAME_LENGTH = 32;
+
+/**
+ * @typedef {Object} LoadReport
+ * @property {Array<{from: string, to: string, description: string}>} migrations - Migrations applied on load
+ * @property {string|null} backupKey - Storage key holding the pre-migration save, if one was written
+ * @property {boolean} corrupted - A save existed but could not be loaded
+ * @property {string|null} corruptedKey - Storage key holding a copy of the unreadable save
+ * @property {string[]} integrityIssues - Why the loaded save counts as modded, empty if it passed
+ * @property {RepairReport|null} repairs - Inconsistencies fixed while loading, null if nothing was loaded
+ *
+ * @typedef {Object} SaveSummary
+ * @property {number} gold - Player gold
+ * @property {number} maxLevel - Highest sword level reached
+ * @property {number} swordCount - Swords in the inventory
+ *
+ * @typedef {Object} RecoveryOption
+ * @property {'backup' | 'repair'} type - Restore a rotating backup or a repaired copy of the broken save
+ * @property {GameState} state - The state that would be loaded
+ * @property {SaveSummary} summary - What the player gets back
+ * @property {Date} [savedAt] - When the backup was taken (backup only)
+ * @property {string[]} [dropped] - Parts that could not be rescued (repair only)
+ *
+ * @typedef {Object} ImportPreview
+ * @property {boolean} success - Whether the data is a loadable save
+ * @property {GameState} [state] - The migrated, validated state
+ * @property {Array<{from: string, to: string, description: string}>} [migrations] - Migrations applied to the import
+ * @property {SaveSummary} [summary] - What the imported save contains
+ * @property {string[]} [integrityIssues] - Why the import counts as modded, empty if it passed
+ * @property {RepairReport} [repairs] - Inconsistencies fixed in the imported state
+ * @property {string} [error] - Why the data was rejected
+ *
+ * @typedef {Object} SaveFile
+ * @property {string} filename - Suggested file name
+ * @property {string} contents - JSON file contents
+ *
+ * @typedef {Object} SaveSlot
+ * @property {string} id - Slot ID
+ * @property {string} name - Player-chosen name
+ * @property {number} createdAt - Creation time (ms)
+ * @property {number|null} lastPlayedAt - Last time the slot was loaded or saved (ms), null if never played
+ * @property {number} maxLevel - Highest sword level reached in the slot
+ * @property {number} gold - Gold at the last save
+ *
+ * @typedef {Object} SlotIndex
+ * @property {string} activeSlotId - Slot loaded on start
+ * @property {SaveSlot[]} slots - All slots, in creation order
  */
 
 export class StorageManager {
-    constructor() {
-        this.STORAGE_KEY = 'sword_merge_game_save';
-        this.CURRENT_VERSION = '1.0.0';
+    /**
+     * @param {StorageAdapter} [storage] - Backend, IndexedDB mirrored to localStorage when available
+     */
+    constructor(storage = createDefaultStorageAdapter()) {
+        this.BASE_STORAGE_KEY = 'sword_merge_game_save';
+        this.SLOT_INDEX_KEY = 'sword_merge_game_slots';
+        this.CURRENT_VERSION = '1.8.0';
+        this.storage = storage;
+        // The active slot is read from the index by open()
+        this.activeSlotId = DEFAULT_SLOT_ID;
+        // Save key of the active slot, everything else (backups, corrupted copies) is derived from it
+        this.STORAGE_KEY = this.getSlotKey(this.activeSlotId);
+        this.migrations = new MigrationRegistry(SAVE_MIGRATIONS);
+        this.events = null;
+        this.writeQueue = Promise.resolve();
+        // Generation of the active slot's save as this instance last loaded or wrote it
+        this.generation = 0;
+        // Set when another tab wrote a newer save, writes are refused until the slot is loaded again
+        this.conflicted = false;
+
+        /** @type {LoadReport} */
+        this.lastLoadReport = this.createLoadReport();
+    }
+
+    /**
+     * Create an empty load report
+     * @private
+     * @returns {LoadReport} Report
+     */
+    createLoadReport() {
+        return { migrations: [], backupKey: null, corrupted: false, corruptedKey: null, integrityIssues: [], repairs: null };
+    }
+
+    /**
+     * Select the slot that was active last time, call once before loading
+     * @returns {Promise<string>} Active slot ID
+     */
+    async open() {
+        const index = await this.readSlotIndex();
+        this.activeSlotId = index.activeSlotId;
+        this.STORAGE_KEY = this.getSlotKey(this.activeSlotId);
+        return this.activeSlotId;
+    }
+
+    /**
+     * Run a write after all earlier writes have finished
+     * @private
+     * @param {Function} task - Async task
+     * @returns {Promise<any>} Result of the task
+     */
+    enqueue(task) {
+        const run = this.writeQueue.then(task);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Wait until every queued write has finished
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+        return this.writeQueue;
+    }
+
+    /**
+     * Attach the game event bus so saves and loads are announced
+     * @param {EventBus} events - The game event bus
+     */
+    connect(events) {
+        this.events = events;
     }
 
     /**
-     * Save game state to localStorage with JSON serialization
+     * Emit an event if a bus is connected
+     * @private
+     * @param {string} type - One of GameEvents
+     * @param {Object} payload - Event payload
+     */
+    emit(type, payload) {
+        if (this.events) {
+            this.events.emit(type, payload);
+        }
+    }
+
+    /**
+     * Save game state with JSON serialization
+     * The state is serialized immediately, later changes to it do not affect this save.
+     * A save that reached at least one mirrored backend counts as saved, the failed mirror is reported as a warning.
+     * Each write carries the next generation number. If the stored save already has that generation or a later one,
+     * another tab saved in the meantime: the write is refused with SAVE_CONFLICT instead of overwriting newer data.
      * Requirements: 10.2
      * @param {GameState} state - GameState object
-     * @returns {boolean} True if save successful
+     * @returns {Promise<boolean>} True if save successful
      */
     saveGame(state) {
+        if (this.conflicted) {
+            return Promise.resolve(false);
+        }
+
+        const generation = this.generation + 1;
+        let serialized;
         try {
-            const serialized = this.serialize(state);
-            localStorage.setItem(this.STORAGE_KEY, serialized);
-            return true;
+            serialized = this.serialize({ ...state, generation });
         } catch (error) {
-            if (error.name === 'QuotaExceededError') {
-                console.error('Storage quota exceeded. Cannot save game.');
-            } else {
-                console.error('Failed to save game:', error);
+            console.error('Failed to save game:', error);
+            this.emit(GameEvents.SAVE_FAILED, { error, quotaExceeded: false });
+            return Promise.resolve(false);
+        }
+        this.generation = generation;
+
+        return this.enqueue(async () => {
+            try {
+                const storedGeneration = this.readGeneration(await this.storage.getItem(this.STORAGE_KEY));
+                if (storedGeneration >= generation) {
+                    this.conflicted = true;
+                    console.warn(`Save skipped: stored save is generation ${storedGeneration}, this tab loaded ${generation - 1}`);
+                    this.emit(GameEvents.SAVE_CONFLICT, { generation: generation - 1, storedGeneration });
+                    return false;
+                }
+
+                await this.storage.setItem(this.STORAGE_KEY, serialized);
+            } catch (error) {
+                if (!error.saved) {
+                    const quotaExceeded = isQuotaError(error);
+                    console.error(quotaExceeded ? 'Storage quota exceeded. Cannot save game.' : 'Failed to save game:', error);
+                    this.emit(GameEvents.SAVE_FAILED, { error, quotaExceeded });
+                    return false;
+                }
+                this.reportMirrorFailure(error);
             }
-            return false;
+
+            await this.rotateBackup(state, serialized);
+            await this.updateSlotMetadata(state);
+            this.emit(GameEvents.GAME_SAVED, { state });
+            return true;
+        });
+    }
+
+    /**
+     * Warn that a save only reached some of the mirrored backends
+     * @private
+     * @param {Error} error - MirrorWriteError with the individual errors
+     */
+    reportMirrorFailure(error) {
+        const quotaExceeded = error.errors.some(failure => isQuotaError(failure.error));
+        const failed = error.errors.map(failure => failure.adapter).join(', ');
+        // The primary backend is the one loads read first, it is never the backup
+        const consequence = error.errors.some(failure => failure.primary)
+            ? `your game is saved in ${error.savedTo.join(', ')} only`
+            : `the backup copy in ${failed} is out of date`;
+
+        console.warn('Save not mirrored to every backend:', error.message);
+        this.emit(GameEvents.STORAGE_WARNING, {
+            reason: quotaExceeded ? 'quota' : 'mirror',
+            message: `${quotaExceeded ? `Storage is full on ${failed}` : `Saving to ${failed} failed`}, ${consequence}`
+        });
+    }
+
+    /**
+     * Warn the player if the browser is about to run out of storage for this site
+     * Uses the Storage API estimate, which covers IndexedDB and localStorage together.
+     * @returns {Promise<{usage: number, quota: number, ratio: number}|null>} Estimate, or null if unavailable
+     */
+    async checkQuota() {
+        if (typeof navigator === 'undefined' || !navigator.storage || typeof navigator.storage.estimate !== 'function') {
+            return null;
+        }
+
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            if (!quota) {
+                return null;
+            }
+
+            const ratio = usage / quota;
+            if (ratio >= GAME_CONFIG.storageWarningRatio) {
+                this.emit(GameEvents.STORAGE_WARNING, {
+                    reason: 'low',
+                    message: `Storage is ${Math.round(ratio * 100)}% full, saves may start failing`
+                });
+            }
+            return { usage, quota, ratio };
+        } catch (error) {
+            console.error('Failed to estimate storage quota:', error);
+            return null;
         }
     }
 
     /**
-     * Load game state from localStorage with deserialization and validation
+     * Load game state from storage with migration, deserialization and validation
+     * Older saves are upgraded first and the original data is kept under a backup key.
+     * An unreadable save is copied aside and reported as corrupted, see getRecoveryOptions().
+     * Details of what happened are left in lastLoadReport.
      * Requirements: 10.3, 10.4, 12.2, 12.3
-     * @returns {GameState|null} GameState object or null if no valid save exists
+     * @param {Object} [options]
+     * @param {boolean} [options.readOnly=false] - Another tab writes the slot: only read, leave the slot index,
+     *     migration backup and corrupted copy to that tab
+     * @returns {Promise<GameState|null>} GameState object or null if no valid save exists
      */
-    loadGame() {
+    async loadGame({ readOnly = false } = {}) {
+        this.lastLoadReport = this.createLoadReport();
+        this.conflicted = false;
+
         try {
-            const data = localStorage.getItem(this.STORAGE_KEY);
+            const data = await this.storage.getItem(this.STORAGE_KEY);
+            // Continue counting from the stored save, even a corrupted one, so no write looks older than it
+            this.generation = this.readGeneration(data);
             if (!data) {
                 return null;
             }
             
             const state = this.deserialize(data);
+            if (!state) {
+                this.lastLoadReport.corrupted = true;
+                if (!readOnly) {
+                    await this.preserveCorrupted(data);
+                }
+                return null;
+            }
+
+            if (!readOnly) {
+                if (this.lastLoadReport.migrations.length > 0) {
+                    await this.backupPreMigration(data, this.lastLoadReport.migrations[0].from);
+                }
+                await this.enqueue(() => this.updateSlotMetadata(state));
+            }
+            this.emit(GameEvents.GAME_LOADED, { state, migrations: this.lastLoadReport.migrations });
             return state;
         } catch (error) {
             console.error('Failed to load game:', error);
@@ -71,43 +354,771 @@ export class StorageManager {
     }
 
     /**
-     * Clear saved game data from localStorage
+     * Read the generation number of raw save data
+     * @private
+     * @param {string|null} data - Serialized save
+     * @returns {number} Generation, 0 for missing, unreadable or pre-generation saves
      */
-    clearSave() {
+    readGeneration(data) {
+        try {
+            const generation = data ? JSON.parse(data).generation : 0;
+            return Number.isInteger(generation) && generation > 0 ? generation : 0;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Keep a copy of an unreadable save so no later write can destroy it
+     * @private
+     * @param {string} data - Raw save data
+     */
+    async preserveCorrupted(data) {
+        const corruptedKey = `${this.STORAGE_KEY}_corrupted`;
+
         try {
-            localStorage.removeItem(this.STORAGE_KEY);
+            await this.storage.setItem(corruptedKey, data);
+            this.lastLoadReport.corruptedKey = corruptedKey;
         } catch (error) {
-            console.error('Failed to clear save:', error);
+            console.error('Failed to preserve corrupted save:', error);
         }
     }
 
     /**
-     * Serialize game state to JSON string
+     * Get the storage key of a rotating backup slot
+     * @private
+     * @param {number} index - Slot index
+     * @param {string} [storageKey] - Save key the backups belong to, defaults to the active slot
+     * @returns {string} Storage key
+     */
+    getRotatingBackupKey(index, storageKey = this.STORAGE_KEY) {
+        return `${storageKey}_rotating_${index}`;
+    }
+
+    /**
+     * Copy a just-written save into the rotating backup set
+     * At most one backup is taken per saveBackupIntervalMs; the oldest slot is reused.
+     * @private
+     * @param {GameState} state - The saved state
+     * @param {string} serialized - The saved data
+     */
+    async rotateBackup(state, serialized) {
+        try {
+            if (!this.validateState(state)) {
+                return;
+            }
+
+            const now = Date.now();
+            const slots = [];
+            for (let i = 0; i < GAME_CONFIG.saveBackupCount; i++) {
+                const entry = await this.readBackupEntry(this.getRotatingBackupKey(i));
+                slots.push({ index: i, savedAt: entry?.savedAt ?? 0 });
+            }
+
+            const newest = Math.max(...slots.map(slot => slot.savedAt));
+            if (now - newest < GAME_CONFIG.saveBackupIntervalMs) {
+                return;
+            }
+
+            const oldest = slots.reduce((a, b) => (b.savedAt < a.savedAt ? b : a));
+            await this.storage.setItem(this.getRotatingBackupKey(oldest.index), JSON.stringify({ savedAt: now, data: serialized }));
+        } catch (error) {
+            // The main save already succeeded, a missing backup is not fatal
+            console.error('Failed to write rotating backup:', error);
+        }
+    }
+
+    /**
+     * Read a rotating backup entry
+     * @private
+     * @param {string} key - Storage key
+     * @returns {Promise<{savedAt: number, data: string}|null>} Entry or null if missing or unreadable
+     */
+    async readBackupEntry(key) {
+        try {
+            const entry = JSON.parse(await this.storage.getItem(key));
+            if (entry && typeof entry.savedAt === 'number' && typeof entry.data === 'string') {
+                return entry;
+            }
+        } catch (error) {
+            // Treated as an empty slot
+        }
+        return null;
+    }
+
+    /**
+     * Get every loadable rotating backup, newest first
+     * @returns {Promise<Array<{key: string, savedAt: Date, state: GameState}>>} Backups
+     */
+    async listBackups() {
+        const backups = [];
+
+        for (let i = 0; i < GAME_CONFIG.saveBackupCount; i++) {
+            const key = this.getRotatingBackupKey(i);
+            const entry = await this.readBackupEntry(key);
+            const parsed = entry ? this.parseSave(entry.data) : null;
+
+            if (parsed) {
+                backups.push({ key, savedAt: new Date(entry.savedAt), state: parsed.state });
+            }
+        }
+
+        return backups.sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Collect the ways a corrupted save can be recovered
+     * Backups come first (newest first), followed by a repaired copy of the broken save if anything could be rescued.
+     * @returns {Promise<RecoveryOption[]>} Recovery options
+     */
+    async getRecoveryOptions() {
+        const options = (await this.listBackups()).map(backup => ({
+            type: 'backup',
+            state: backup.state,
+            savedAt: backup.savedAt,
+            summary: this.summarize(backup.state)
+        }));
+
+        let data = null;
+        try {
+            data = await this.storage.getItem(this.STORAGE_KEY);
+        } catch (error) {
+            console.error('Failed to read save for repair:', error);
+        }
+
+        const repaired = data ? this.repairState(data) : null;
+        if (repaired) {
+            options.push({
+                type: 'repair',
+                state: repaired.state,
+                dropped: repaired.dropped,
+                summary: this.summarize(repaired.state)
+            });
+        }
+
+        return options;
+    }
+
+    /**
+     * Build a valid state from the readable parts of a broken save
+     * Gold, stats, config and every valid sword are kept; anything else is reset.
+     * @param {string} data - Raw save data
+     * @returns {{state: GameState, dropped: string[]}|null} Repaired state, or null if nothing was rescued
+     */
+    repairState(data) {
+        let raw;
+        try {
+            raw = JSON.parse(data);
+        } catch (error) {
+            return null;
+        }
+        if (!raw || typeof raw !== 'object') {
+            return null;
+        }
+
+        // Bring the shape up to date where possible, repair what is left of it otherwise
+        try {
+            raw = this.migrate(raw).state;
+        } catch (error) {
+            // Continue with the unmigrated data
+        }
+
+        const state = this.createNewGameState();
+        const dropped = [];
+        let rescued = 0;
+
+        if (raw.player && Number.isFinite(raw.player.gold) && raw.player.gold >= 0) {
+            state.player.gold = raw.player.gold;
+            rescued++;
+        } else {
+            dropped.push('gold');
+        }
+
+        if (raw.player && typeof raw.player === 'object') {
+            Object.keys(REWARD_ITEMS).filter(item => this.isItemCount(raw.player[item])).forEach(item => {
+                state.player[item] = raw.player[item];
+                rescued++;
+            });
+        }
+
+        if (raw.stats && typeof raw.stats === 'object') {
+            // A repair does not clear an earlier modded flag
+            state.stats.modded = raw.stats.modded === true;
+            Object.keys(state.stats).filter(stat => stat !== 'modded').forEach(stat => {
+                if (Number.isFinite(raw.stats[stat])) {
+                    state.stats[stat] = raw.stats[stat];
+                    rescued++;
+                } else {
+                    dropped.push(`stats.${stat}`);
+                }
+            });
+        } else {
+            dropped.push('stats');
+        }
+
+        let lostSwords = 0;
+        if (Array.isArray(raw.inventory)) {
+            raw.inventory.slice(0, state.inventory.length).forEach((slot, i) => {
+                if (!slot || slot.sword === null || slot.sword === undefined) {
+                    return;
+                }
+                if (this.isValidSword(slot.sword)) {
+                    state.inventory[i].sword = slot.sword;
+                    rescued++;
+                } else {
+                    lostSwords++;
+                }
+            });
+        } else {
+            dropped.push('inventory');
+        }
+        if (lostSwords > 0) {
+            dropped.push(`${lostSwords} sword(s)`);
+        }
+
+        if (Array.isArray(raw.achievements)) {
+            state.achievements = raw.achievements.filter(progress => this.isValidAchievement(progress));
+        }
+        if (raw.config && typeof raw.config === 'object') {
+            if (this.isValidConfig(raw.config)) {
+                state.config = { ...state.config, ...raw.config };
+            } else {
+                dropped.push('config');
+            }
+        }
+        if (Array.isArray(raw.pendingRewards)) {
+            state.pendingRewards = raw.pendingRewards.filter(reward => this.isValidPendingReward(reward));
+            rescued += state.pendingRewards.length;
+        }
+
+        // Quests are regenerated, partial quest data is not worth the risk
+        if (rescued === 0 || !this.validateState(state)) {
+            return null;
+        }
+
+        return { state, dropped };
+    }
+
+    /**
+     * Export a state as a compact text code
+     * Layout: PREFIX.base64url(save JSON).checksum
+     * @param {GameState} state - Game state
+     * @returns {string} Save code
+     */
+    exportCode(state) {
+        const json = this.serialize(state);
+        return `${SAVE_CODE_PREFIX}.${this.encodeBase64(json)}.${hashString(json)}`;
+    }
+
+    /**
+     * Export a state as a readable .json file
+     * @param {GameState} state - Game state
+     * @param {Date} [now] - Export time, used in the file name
+     * @returns {SaveFile} File name and contents
+     */
+    exportFile(state, now = new Date()) {
+        const json = this.serialize(state);
+        const contents = JSON.stringify({
+            format: SAVE_FILE_FORMAT,
+            exportedAt: now.toISOString(),
+            checksum: hashString(json),
+            save: JSON.parse(json)
+        }, null, 2);
+
+        return { filename: `sword-merge-save-${now.toISOString().slice(0, 10)}.json`, contents };
+    }
+
+    /**
+     * Check, migrate and validate an exported save code or file without storing anything
+     * The caller shows the preview and decides whether to replace the current game.
+     * @param {string} text - Save code or .json file contents
+     * @returns {ImportPreview} The importable state, or the reason it was rejected
+     */
+    importSave(text) {
+        try {
+            const json = this.unpackExport(String(text).trim());
+            const signatureCheck = checkSignature(JSON.parse(json));
+            const savedVersion = signatureCheck.state && signatureCheck.state.version;
+            const { state, applied } = this.migrate(signatureCheck.state);
+
+            if (!this.validateState(state)) {
+                return { success: false, error: 'Save data is incomplete or invalid' };
+            }
+
+            const integrityIssues = this.flagTampering(state, signatureCheck, savedVersion);
+            const repairs = repairSaveState(state);
+            return { success: true, state, migrations: applied, summary: this.summarize(state), integrityIssues, repairs };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Extract the save JSON from a save code or file and verify its checksum
+     * @private
+     * @param {string} text - Save code or .json file contents
+     * @returns {string} Save JSON
+     * @throws {Error} If the format is unknown or the checksum does not match
+     */
+    unpackExport(text) {
+        let json;
+        let checksum;
+
+        if (text.startsWith('{')) {
+            let file;
+            try {
+                file = JSON.parse(text);
+            } catch (error) {
+                throw new Error('Save file is not valid JSON');
+            }
+            if (!file || file.format !== SAVE_FILE_FORMAT || !file.save) {
+                throw new Error('Not a Sword Merge save file');
+            }
+            json = JSON.stringify(file.save);
+            checksum = file.checksum;
+        } else {
+            const parts = text.split('.');
+            if (parts.length !== 3 || parts[0] !== SAVE_CODE_PREFIX) {
+                throw new Error('Not a Sword Merge save code');
+            }
+            try {
+                json = this.decodeBase64(parts[1]);
+            } catch (error) {
+                throw new Error('Save code is damaged');
+            }
+            checksum = parts[2];
+        }
+
+        if (hashString(json) !== checksum) {
+            throw new Error('Checksum mismatch, the save was damaged or edited');
+        }
+
+        return json;
+    }
+
+    /**
+     * Encode text as URL-safe base64 without padding
+     * @private
+     * @param {string} text - Text, may contain any Unicode
+     * @returns {string} base64url
+     */
+    encodeBase64(text) {
+        // btoa only takes Latin-1, go through UTF-8 bytes first
+        const bytes = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+        return btoa(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode URL-safe base64 produced by encodeBase64
+     * @private
+     * @param {string} encoded - base64url
+     * @returns {string} Decoded text
+     * @throws {Error} If the input is not valid base64 or UTF-8
+     */
+    decodeBase64(encoded) {
+        const bytes = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        return decodeURIComponent(Array.from(bytes, c => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+    }
+
+    /**
+     * Summarize a state for the recovery and import prompts
+     * @private
+     * @param {GameState} state - Game state
+     * @returns {SaveSummary} Summary
+     */
+    summarize(state) {
+        return {
+            gold: state.player.gold,
+            maxLevel: state.stats.maxLevel,
+            swordCount: state.inventory.filter(slot => slot.sword !== null).length
+        };
+    }
+
+    /**
+     * Get the save key of a slot
+     * @private
+     * @param {string} slotId - Slot ID
+     * @returns {string} Storage key
+     */
+    getSlotKey(slotId) {
+        return slotId === DEFAULT_SLOT_ID ? this.BASE_STORAGE_KEY : `${this.BASE_STORAGE_KEY}_slot_${slotId}`;
+    }
+
+    /**
+     * Create metadata for a slot without a save yet
+     * @private
+     * @param {string} id - Slot ID
+     * @param {string} name - Slot name
+     * @returns {SaveSlot} Slot metadata
+     */
+    createSlotMetadata(id, name) {
+        const { gold, maxLevel } = this.summarize(this.createNewGameState());
+        return { id, name, createdAt: Date.now(), lastPlayedAt: null, maxLevel, gold };
+    }
+
+    /**
+     * Read the slot index, falling back to a single default slot
+     * @private
+     * @returns {Promise<SlotIndex>} Slot index
+     */
+    async readSlotIndex() {
+        try {
+            const index = JSON.parse(await this.storage.getItem(this.SLOT_INDEX_KEY));
+            if (index && Array.isArray(index.slots) && index.slots.some(slot => slot.id === index.activeSlotId)) {
+                return index;
+            }
+        } catch (error) {
+            // Rebuilt below, the saves themselves are untouched
+        }
+
+        return {
+            activeSlotId: DEFAULT_SLOT_ID,
+            slots: [this.createSlotMetadata(DEFAULT_SLOT_ID, 'Main')]
+        };
+    }
+
+    /**
+     * Write the slot index
+     * @private
+     * @param {SlotIndex} index - Slot index
+     * @returns {Promise<boolean>} True if written
+     */
+    async writeSlotIndex(index) {
+        try {
+            await this.storage.setItem(this.SLOT_INDEX_KEY, JSON.stringify(index));
+            return true;
+        } catch (error) {
+            if (error.saved) {
+                this.reportMirrorFailure(error);
+                return true;
+            }
+            console.error('Failed to write save slot index:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Refresh the active slot's metadata from a loaded or saved state
+     * @private
+     * @param {GameState} state - Game state
+     */
+    async updateSlotMetadata(state) {
+        const index = await this.readSlotIndex();
+        const slot = index.slots.find(s => s.id === this.activeSlotId);
+        if (!slot) {
+            return;
+        }
+
+        const { gold, maxLevel } = this.summarize(state);
+        Object.assign(slot, { gold, maxLevel, lastPlayedAt: Date.now() });
+        await this.writeSlotIndex(index);
+    }
+
+    /**
+     * Check and tidy a slot name
+     * @private
+     * @param {any} name - Proposed name
+     * @returns {string|null} Trimmed name, or null if invalid
+     */
+    normalizeSlotName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (trimmed.length === 0 || trimmed.length > MAX_SLOT_NAME_LENGTH) {
+            console.error(`Invalid save slot name, use 1-${MAX_SLOT_NAME_LENGTH} characters`);
+            return null;
+        }
+        return trimmed;
+    }
+
+    /**
+     * Get all save slots
+     * @returns {Promise<SaveSlot[]>} Slot metadata, in creation order
+     */
+    async listSlots() {
+        return (await this.readSlotIndex()).slots;
+    }
+
+    /**
+     * Check whether a slot exists
+     * @param {string} slotId - Slot ID
+     * @returns {Promise<boolean>} True if the slot exists
+     */
+    async hasSlot(slotId) {
+        return (await this.listSlots()).some(slot => slot.id === slotId);
+    }
+
+    /**
+     * Create an empty save slot, it starts a new game when first switched to
+     * @param {string} name - Slot name
+     * @returns {Promise<SaveSlot|null>} The new slot, or null if the name is invalid
+     */
+    createSlot(name) {
+        const slotName = this.normalizeSlotName(name);
+        if (!slotName) {
+            return Promise.resolve(null);
+        }
+
+        return this.enqueue(async () => {
+            const index = await this.readSlotIndex();
+            const slot = this.createSlotMetadata(generateUUID(), slotName);
+            index.slots.push(slot);
+
+            return (await this.writeSlotIndex(index)) ? slot : null;
+        });
+    }
+
+    /**
+     * Rename a save slot
+     * @param {string} slotId - Slot ID
+     * @param {string} name - New name
+     * @returns {Promise<boolean>} True if renamed
+     */
+    renameSlot(slotId, name) {
+        const slotName = this.normalizeSlotName(name);
+        if (!slotName) {
+            return Promise.resolve(false);
+        }
+
+        return this.enqueue(async () => {
+            const index = await this.readSlotIndex();
+            const slot = index.slots.find(s => s.id === slotId);
+            if (!slot) {
+                return false;
+            }
+
+            slot.name = slotName;
+            return this.writeSlotIndex(index);
+        });
+    }
+
+    /**
+     * Copy a slot's save into a new slot
+     * Only the save itself is copied, backups stay with the original.
+     * @param {string} slotId - Slot to copy
+     * @param {string} name - Name of the copy
+     * @returns {Promise<SaveSlot|null>} The new slot, or null on failure
+     */
+    duplicateSlot(slotId, name) {
+        const slotName = this.normalizeSlotName(name);
+        if (!slotName) {
+            return Promise.resolve(null);
+        }
+
+        return this.enqueue(async () => {
+            const index = await this.readSlotIndex();
+            const source = index.slots.find(s => s.id === slotId);
+            if (!source) {
+                return null;
+            }
+
+            const slot = { ...source, id: generateUUID(), name: slotName, createdAt: Date.now() };
+
+            try {
+                const data = await this.storage.getItem(this.getSlotKey(slotId));
+                if (data !== null) {
+                    await this.storage.setItem(this.getSlotKey(slot.id), data);
+                }
+            } catch (error) {
+                if (!error.saved) {
+                    console.error('Failed to copy save slot:', error);
+                    return null;
+                }
+                this.reportMirrorFailure(error);
+            }
+
+            index.slots.push(slot);
+            return (await this.writeSlotIndex(index)) ? slot : null;
+        });
+    }
+
+    /**
+     * Delete a slot with its save and backups
+     * The active slot cannot be deleted, switch away from it first.
+     * @param {string} slotId - Slot ID
+     * @returns {Promise<boolean>} True if deleted
+     */
+    deleteSlot(slotId) {
+        if (slotId === this.activeSlotId) {
+            console.error('Cannot delete the active save slot');
+            return Promise.resolve(false);
+        }
+
+        return this.enqueue(async () => {
+            const index = await this.readSlotIndex();
+            if (!index.slots.some(s => s.id === slotId)) {
+                return false;
+            }
+
+            const key = this.getSlotKey(slotId);
+            try {
+                const keys = [key, `${key}_corrupted`];
+                for (let i = 0; i < GAME_CONFIG.saveBackupCount; i++) {
+                    keys.push(this.getRotatingBackupKey(i, key));
+                }
+                (await this.storage.keys())
+                    .filter(storedKey => storedKey.startsWith(`${key}_backup_v`))
+                    .forEach(storedKey => keys.push(storedKey));
+
+                for (const k of keys) {
+                    await this.storage.removeItem(k);
+                }
+            } catch (error) {
+                console.error('Failed to delete save slot data:', error);
+                return false;
+            }
+
+            index.slots = index.slots.filter(s => s.id !== slotId);
+            return this.writeSlotIndex(index);
+        });
+    }
+
+    /**
+     * Make a slot the active one, later loads and saves use its key
+     * @param {string} slotId - Slot ID
+     * @returns {Promise<boolean>} True if switched
+     */
+    setActiveSlot(slotId) {
+        return this.enqueue(async () => {
+            const index = await this.readSlotIndex();
+            if (!index.slots.some(s => s.id === slotId)) {
+                console.error('Unknown save slot:', slotId);
+                return false;
+            }
+
+            index.activeSlotId = slotId;
+            if (!(await this.writeSlotIndex(index))) {
+                return false;
+            }
+
+            this.activeSlotId = slotId;
+            this.STORAGE_KEY = this.getSlotKey(slotId);
+            this.lastLoadReport = this.createLoadReport();
+            this.generation = 0;
+            this.conflicted = false;
+            return true;
+        });
+    }
+
+    /**
+     * Keep the raw save as it was before migrating
+     * @private
+     * @param {string} data - Original serialized save
+     * @param {string} version - Version of the original save
+     */
+    async backupPreMigration(data, version) {
+        const backupKey = `${this.STORAGE_KEY}_backup_v${version}`;
+
+        try {
+            await this.storage.setItem(backupKey, data);
+            this.lastLoadReport.backupKey = backupKey;
+        } catch (error) {
+            // The migrated state is still usable, only the safety copy is missing
+            console.error('Failed to back up save before migration:', error);
+        }
+    }
+
+    /**
+     * Clear the active slot's saved game data
+     * @returns {Promise<void>}
+     */
+    clearSave() {
+        return this.enqueue(async () => {
+            try {
+                await this.storage.removeItem(this.STORAGE_KEY);
+            } catch (error) {
+                console.error('Failed to clear save:', error);
+            }
+        });
+    }
+
+    /**
+     * Serialize game state to signed JSON string
      * @private
      * @param {GameState} state - GameState object
-     * @returns {string} JSON string
+     * @returns {string} JSON string with a signature field
      */
     serialize(state) {
-        return JSON.stringify(state);
+        return signState(state);
     }
 
     /**
-     * Deserialize and validate game state from JSON string
+     * Deserialize, migrate and validate game state from JSON string
      * Requirements: 10.3, 12.2, 12.3
      * @private
      * @param {string} data - JSON string
      * @returns {GameState|null} GameState object or null if invalid
      */
     deserialize(data) {
+        const parsed = this.parseSave(data);
+
+        if (!parsed) {
+            return null;
+        }
+
+        this.lastLoadReport.migrations = parsed.applied;
+        this.lastLoadReport.integrityIssues = parsed.integrityIssues;
+        this.lastLoadReport.repairs = parsed.repairs;
+        return parsed.state;
+    }
+
+    /**
+     * Parse, migrate, validate and repair serialized save data without touching storage
+     * Integrity is checked on the save as stored, before inconsistencies are repaired.
+     * @private
+     * @param {string} data - JSON string
+     * @returns {{state: GameState, applied: Array, integrityIssues: string[], repairs: RepairReport}|null} Parsed
+     *     state, applied migrations, integrity issues and repairs, or null if invalid
+     */
+    parseSave(data) {
         try {
-            const state = JSON.parse(data);
-            return this.validateState(state) ? state : null;
+            const signatureCheck = checkSignature(JSON.parse(data));
+            const savedVersion = signatureCheck.state && signatureCheck.state.version;
+            const { state, applied } = this.migrate(signatureCheck.state);
+            if (!this.validateState(state)) {
+                return null;
+            }
+
+            const integrityIssues = this.flagTampering(state, signatureCheck, savedVersion);
+            return { state, applied, integrityIssues, repairs: repairSaveState(state) };
         } catch (error) {
             console.error('Failed to deserialize game state:', error);
             return null;
         }
     }
 
+    /**
+     * Run the semantic checks and mark the state as modded if it failed them or its signature
+     * The save is kept either way, only the flag records that it cannot be trusted. Stale gold values and
+     * best level only count as tampering in a signed save written by this version, older saves get repaired.
+     * @private
+     * @param {GameState} state - Validated state, updated in place
+     * @param {SignatureCheck} signatureCheck - Result of checkSignature on the save as stored
+     * @param {string} savedVersion - Version of the save before migration
+     * @returns {string[]} All integrity issues
+     */
+    flagTampering(state, signatureCheck, savedVersion) {
+        const strict = signatureCheck.signed && savedVersion === this.CURRENT_VERSION;
+        const issues = [...signatureCheck.issues, ...findSemanticIssues(state, { strict })];
+        if (issues.length > 0) {
+            state.stats.modded = true;
+        }
+        return issues;
+    }
+
+    /**
+     * Upgrade parsed save data to CURRENT_VERSION
+     * Data without a version string is passed through for validation to reject.
+     * @param {any} parsed - Parsed save data
+     * @returns {Object} MigrationResult with state and applied migrations
+     * @throws {Error} If the save is from an unknown or newer version
+     */
+    migrate(parsed) {
+        if (!parsed || typeof parsed !== 'object' || typeof parsed.version !== 'string') {
+            return { state: parsed, applied: [] };
+        }
+
+        return this.migrations.migrate(parsed, this.CURRENT_VERSION);
+    }
+
     /**
      * Validate loaded state structure for integrity
      * Requirements: 12.2, 12.3
@@ -132,6 +1143,9 @@ export class StorageManager {
         if (typeof state.player.gold !== 'number') {
             return false;
         }
+        if (!Object.keys(REWARD_ITEMS).every(item => state.player[item] === undefined || this.isItemCount(state.player[item]))) {
+            return false;
+        }
 
         // Validate inventory
         if (!Array.isArray(state.inventory)) {
@@ -151,27 +1165,57 @@ export class StorageManager {
                 return false;
             }
             // Sword can be null or an object
-            if (slot.sword !== null) {
-                if (typeof slot.sword !== 'object') {
-                    return false;
-                }
-                // Validate sword properties if present
-                if (typeof slot.sword.id !== 'string' ||
-                    typeof slot.sword.level !== 'number' ||
-                    typeof slot.sword.enhancement !== 'number' ||
-                    typeof slot.sword.goldValue !== 'number') {
-                    return false;
-                }
+            if (slot.sword !== null && !this.isValidSword(slot.sword)) {
+                return false;
             }
         }
 
         // Validate quests array
-        if (!Array.isArray(state.quests)) {
+        if (!Array.isArray(state.quests) || !state.quests.every(quest => this.isValidQuest(quest))) {
+            return false;
+        }
+
+        // Validate optional quest periods and inbox
+        if (state.questPeriods !== undefined) {
+            if (!state.questPeriods || typeof state.questPeriods !== 'object' || Array.isArray(state.questPeriods)) {
+                return false;
+            }
+            if (!Object.values(state.questPeriods).every(key => key === null || typeof key === 'string')) {
+                return false;
+            }
+        }
+        if (state.questInbox !== undefined &&
+            !(Array.isArray(state.questInbox) && state.questInbox.every(quest => this.isValidQuest(quest)))) {
+            return false;
+        }
+        if (state.questRerollsUsed !== undefined && (!Number.isInteger(state.questRerollsUsed) || state.questRerollsUsed < 0)) {
+            return false;
+        }
+
+        // Validate optional pending rewards
+        if (state.pendingRewards !== undefined &&
+            !(Array.isArray(state.pendingRewards) && state.pendingRewards.every(reward => this.isValidPendingReward(reward)))) {
             return false;
         }
 
         // Validate achievements array
-        if (!Array.isArray(state.achievements)) {
+        if (!Array.isArray(state.achievements) || !state.achievements.every(progress => this.isValidAchievement(progress))) {
+            return false;
+        }
+
+        // Validate optional config
+        if (state.config !== undefined && !this.isValidConfig(state.config)) {
+            return false;
+        }
+
+        // Validate optional save generation
+        if (state.generation !== undefined && (!Number.isInteger(state.generation) || state.generation < 0)) {
+            return false;
+        }
+
+        // Validate optional RNG state
+        if (state.rng !== undefined &&
+            (!state.rng || !Number.isInteger(state.rng.seed) || !Number.isInteger(state.rng.state))) {
             return false;
         }
 
@@ -186,10 +1230,96 @@ export class StorageManager {
                 return false;
             }
         }
+        if (state.stats.modded !== undefined && typeof state.stats.modded !== 'boolean') {
+            return false;
+        }
 
         return true;
     }
 
+    /**
+     * Check that a stored sword has the required properties
+     * @param {any} sword - Sword object to validate
+     * @returns {boolean} True if the sword is valid
+     */
+    isValidSword(sword) {
+        return !!sword && typeof sword === 'object' &&
+            typeof sword.id === 'string' &&
+            typeof sword.level === 'number' &&
+            typeof sword.enhancement === 'number' &&
+            typeof sword.goldValue === 'number';
+    }
+
+    /**
+     * Check that a stored quest has the required properties with the right types
+     * Texts and bundles are rebuilt from the quest's template when the quests are restored.
+     * @param {any} quest - Quest object to validate
+     * @returns {boolean} True if the quest is valid
+     */
+    isValidQuest(quest) {
+        if (!quest || typeof quest !== 'object') {
+            return false;
+        }
+
+        const { objective } = quest;
+        return typeof quest.id === 'string' &&
+            typeof quest.pool === 'string' &&
+            (quest.templateId === undefined || typeof quest.templateId === 'string') &&
+            typeof quest.title === 'string' &&
+            typeof quest.description === 'string' &&
+            !!objective && typeof objective === 'object' &&
+            typeof objective.type === 'string' &&
+            Number.isFinite(objective.target) && objective.target > 0 &&
+            Number.isFinite(objective.current) && objective.current >= 0 &&
+            Number.isFinite(quest.reward) && quest.reward >= 0 &&
+            typeof quest.completed === 'boolean' &&
+            typeof quest.claimed === 'boolean' &&
+            (quest.bundle === undefined || (!!quest.bundle && typeof quest.bundle === 'object'));
+    }
+
+    /**
+     * Check a stored reward item counter
+     * @param {any} count - Value to check
+     * @returns {boolean} True for a non-negative integer
+     */
+    isItemCount(count) {
+        return Number.isInteger(count) && count >= 0;
+    }
+
+    /**
+     * Check that a stored pending reward has the required properties
+     * @param {any} reward - PendingReward to validate
+     * @returns {boolean} True if the entry is valid
+     */
+    isValidPendingReward(reward) {
+        return !!reward && typeof reward === 'object' &&
+            typeof reward.id === 'string' &&
+            Number.isInteger(reward.level) && reward.level >= 1 &&
+            typeof reward.source === 'string';
+    }
+
+    /**
+     * Check that a stored achievement progress entry has the required properties
+     * @param {any} progress - AchievementProgress to validate
+     * @returns {boolean} True if the entry is valid
+     */
+    isValidAchievement(progress) {
+        return !!progress && typeof progress === 'object' &&
+            typeof progress.id === 'string' &&
+            typeof progress.unlocked === 'boolean';
+    }
+
+    /**
+     * Check a stored per-save config
+     * @param {any} config - GameConfigState to validate
+     * @returns {boolean} True if the config is an object naming a table from data/enhancementTables.js, if any
+     */
+    isValidConfig(config) {
+        return !!config && typeof config === 'object' &&
+            (config.enhancementTable === undefined ||
+                Object.prototype.hasOwnProperty.call(ENHANCEMENT_TABLES, config.enhancementTable));
+    }
+
     /**
      * Create a fresh game state for new games
      * Requirements: 10.4, 12.3
@@ -198,9 +1328,13 @@ export class StorageManager {
     createNewGameState() {
         return {
             version: this.CURRENT_VERSION,
-            player: { gold: 100 },
+            player: { gold: 100, luckyBoxes: 0, protections: 0, gems: 0 },
             inventory: Array(25).fill(null).map((_, i) => ({ position: i, sword: null })),
             quests: [],
+            questPeriods: {},
+            questInbox: [],
+            questRerollsUsed: 0,
+            pendingRewards: [],
             achievements: [],
             stats: {
                 totalMerges: 0,
@@ -208,7 +1342,12 @@ export class StorageManager {
                 totalPurchases: 0,
                 totalSales: 0,
                 maxLevel: 0,
-                totalGoldEarned: 0
+                totalGoldEarned: 0,
+                questRerolls: 0,
+                modded: false
+            },
+            config: {
+                enhancementTable: GAME_CONFIG.enhancementTable
             },
             lastSaved: new Date()
         };
@@ -0,0 +1,308 @@
+/**
+ * Tab Coordinator - Makes sure only one browser tab writes a save slot at a time
+ * The writer holds a lease in localStorage and refreshes it with a heartbeat. Other tabs see the lease,
+ * stay read-only, and can ask for a handover; `storage` events carry the request and the answer between tabs.
+ * A tab that crashed stops refreshing its lease, so it expires and can be claimed without a handover.
+ */
+
+import { GAME_CONFIG } from '../config.js';
+import { generateUUID } from '../utils.js';
+
+/**
+ * @typedef {Object} Lease
+ * @property {string} tabId - Tab holding the slot
+ * @property {string} slotId - Save slot
+ * @property {number} heartbeatAt - Last refresh (ms)
+ * @property {string} [takeoverBy] - Tab asking for a handover
+ */
+
+export class TabCoordinator {
+    /**
+     * @param {Object} [options] - Environment and timing, mainly for tests
+     * @param {Storage|null} [options.storage] - Storage shared by all tabs, coordination is off without one
+     * @param {EventTarget|null} [options.eventTarget] - Receives `storage` events from other tabs
+     * @param {string} [options.tabId] - ID of this tab
+     * @param {number} [options.heartbeatMs] - Lease refresh interval
+     * @param {number} [options.leaseTimeoutMs] - Age at which a lease is considered abandoned
+     * @param {number} [options.takeoverTimeoutMs] - How long to wait for the holder to hand over
+     */
+    constructor({
+        storage = typeof localStorage !== 'undefined' ? localStorage : null,
+        eventTarget = typeof window !== 'undefined' ? window : null,
+        tabId = generateUUID(),
+        heartbeatMs = GAME_CONFIG.tabHeartbeatMs,
+        leaseTimeoutMs = GAME_CONFIG.tabLeaseTimeoutMs,
+        takeoverTimeoutMs = GAME_CONFIG.tabTakeoverTimeoutMs
+    } = {}) {
+        this.storage = storage;
+        this.eventTarget = eventTarget;
+        this.tabId = tabId;
+        this.heartbeatMs = heartbeatMs;
+        this.leaseTimeoutMs = leaseTimeoutMs;
+        this.takeoverTimeoutMs = takeoverTimeoutMs;
+
+        // Slot this tab writes, null while read-only
+        this.heldSlotId = null;
+        this.heartbeat = null;
+        this.pendingTakeover = null;
+
+        this.takeoverRequestListener = null;
+        this.lostListener = null;
+
+        this.onStorage = (event) => this.handleStorageEvent(event);
+        if (this.eventTarget) {
+            this.eventTarget.addEventListener('storage', this.onStorage);
+        }
+    }
+
+    /**
+     * Set the handler run when another tab asks for our slot
+     * It should save pending changes and stop writing; the slot is handed over once it resolves.
+     * @param {Function} listener - () => Promise|void
+     */
+    onTakeoverRequested(listener) {
+        this.takeoverRequestListener = listener;
+    }
+
+    /**
+     * Set the handler run when the slot was taken without a handover (our lease expired)
+     * @param {Function} listener - () => void
+     */
+    onLost(listener) {
+        this.lostListener = listener;
+    }
+
+    /**
+     * Get the storage key of a slot's lease
+     * @private
+     * @param {string} slotId - Save slot
+     * @returns {string} Storage key
+     */
+    getLeaseKey(slotId) {
+        return `sword_merge_game_lease_${slotId}`;
+    }
+
+    /**
+     * Read a slot's lease
+     * @private
+     * @param {string} slotId - Save slot
+     * @returns {Lease|null} Lease or null if none
+     */
+    readLease(slotId) {
+        try {
+            const lease = JSON.parse(this.storage.getItem(this.getLeaseKey(slotId)));
+            return lease && typeof lease.tabId === 'string' ? lease : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Write a lease
+     * @private
+     * @param {Lease} lease - Lease
+     */
+    writeLease(lease) {
+        try {
+            this.storage.setItem(this.getLeaseKey(lease.slotId), JSON.stringify(lease));
+        } catch (error) {
+            console.error('Failed to write tab lease:', error);
+        }
+    }
+
+    /**
+     * Check whether a lease belongs to another tab that is still alive
+     * @private
+     * @param {Lease|null} lease - Lease
+     * @returns {boolean} True if another live tab holds it
+     */
+    isHeldElsewhere(lease) {
+        return !!lease && lease.tabId !== this.tabId && Date.now() - lease.heartbeatAt < this.leaseTimeoutMs;
+    }
+
+    /**
+     * Become the writer of a slot unless another live tab already is
+     * @param {string} slotId - Save slot
+     * @returns {boolean} True if this tab may write the slot
+     */
+    acquire(slotId) {
+        this.release();
+
+        if (!this.storage) {
+            this.heldSlotId = slotId;
+            return true;
+        }
+        if (this.isHeldElsewhere(this.readLease(slotId))) {
+            return false;
+        }
+
+        this.hold(slotId);
+        return true;
+    }
+
+    /**
+     * Ask the writer of a slot to hand it over and wait for it
+     * Falls back to taking the slot if the writer does not answer in time (frozen or closed tab).
+     * @param {string} slotId - Save slot
+     * @returns {Promise<boolean>} Resolves once this tab holds the slot: true if it was free or handed over,
+     *     false if the writer did not answer and may still save its last changes late
+     */
+    takeOver(slotId) {
+        const lease = this.storage ? this.readLease(slotId) : null;
+        if (!this.isHeldElsewhere(lease)) {
+            this.acquire(slotId);
+            return Promise.resolve(true);
+        }
+
+        this.cancelTakeover();
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.pendingTakeover = null;
+                this.hold(slotId);
+                resolve(false);
+            }, this.takeoverTimeoutMs);
+
+            this.pendingTakeover = { slotId, timer, resolve };
+            this.writeLease({ ...lease, takeoverBy: this.tabId });
+        });
+    }
+
+    /**
+     * Stop writing the held slot and let other tabs claim it
+     */
+    release() {
+        this.stopHeartbeat();
+
+        if (this.heldSlotId && this.storage) {
+            const lease = this.readLease(this.heldSlotId);
+            if (lease && lease.tabId === this.tabId) {
+                this.storage.removeItem(this.getLeaseKey(this.heldSlotId));
+            }
+        }
+        this.heldSlotId = null;
+    }
+
+    /**
+     * Check whether this tab currently writes a slot
+     * @param {string} slotId - Save slot
+     * @returns {boolean} True if held
+     */
+    holds(slotId) {
+        return this.heldSlotId === slotId;
+    }
+
+    /**
+     * Release the slot and stop listening to other tabs
+     */
+    dispose() {
+        this.cancelTakeover();
+        this.release();
+        if (this.eventTarget) {
+            this.eventTarget.removeEventListener('storage', this.onStorage);
+        }
+    }
+
+    /**
+     * Take the lease and keep it fresh
+     * @private
+     * @param {string} slotId - Save slot
+     */
+    hold(slotId) {
+        this.heldSlotId = slotId;
+        this.writeLease({ tabId: this.tabId, slotId, heartbeatAt: Date.now() });
+
+        this.stopHeartbeat();
+        this.heartbeat = setInterval(() => this.refresh(), this.heartbeatMs);
+    }
+
+    /**
+     * Refresh the lease, or notice that it was taken while this tab was not looking
+     * @private
+     */
+    refresh() {
+        const lease = this.readLease(this.heldSlotId);
+
+        if (lease && lease.tabId !== this.tabId) {
+            this.lose();
+            return;
+        }
+        this.writeLease({ ...lease, tabId: this.tabId, slotId: this.heldSlotId, heartbeatAt: Date.now() });
+    }
+
+    /**
+     * Stop the heartbeat timer
+     * @private
+     */
+    stopHeartbeat() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+    }
+
+    /**
+     * Give up a takeover request that is still waiting
+     * @private
+     */
+    cancelTakeover() {
+        if (this.pendingTakeover) {
+            clearTimeout(this.pendingTakeover.timer);
+            this.pendingTakeover = null;
+        }
+    }
+
+    /**
+     * Drop the slot after another tab took it
+     * @private
+     */
+    lose() {
+        this.stopHeartbeat();
+        this.heldSlotId = null;
+        if (this.lostListener) {
+            this.lostListener();
+        }
+    }
+
+    /**
+     * React to lease changes made by other tabs
+     * @private
+     * @param {StorageEvent} event - Storage event
+     */
+    async handleStorageEvent(event) {
+        if (this.heldSlotId && event.key === this.getLeaseKey(this.heldSlotId)) {
+            const lease = this.readLease(this.heldSlotId);
+
+            if (lease && lease.takeoverBy && lease.tabId === this.tabId) {
+                // Hand over: let the game save and stop writing, then pass the lease on
+                const slotId = this.heldSlotId;
+                this.stopHeartbeat();
+                this.heldSlotId = null;
+                try {
+                    if (this.takeoverRequestListener) {
+                        await this.takeoverRequestListener();
+                    }
+                } catch (error) {
+                    console.error('Failed to save before handing the slot over:', error);
+                } finally {
+                    // The other tab waits for the lease, it takes the slot even if the save failed
+                    this.writeLease({ tabId: lease.takeoverBy, slotId, heartbeatAt: Date.now() });
+                }
+            } else if (lease && lease.tabId !== this.tabId) {
+                this.lose();
+            }
+            return;
+        }
+
+        const pending = this.pendingTakeover;
+        if (pending && event.key === this.getLeaseKey(pending.slotId)) {
+            const lease = this.readLease(pending.slotId);
+
+            // Handed over to us, or the holder closed and removed its lease
+            if (!lease || lease.tabId === this.tabId) {
+                this.cancelTakeover();
+                this.hold(pending.slotId);
+                pending.resolve(true);
+            }
+        }
+    }
+}
@@ -11,11 +11,12 @@ export class DragDropHandler {
 
     /**
      * Initialize drag and drop event listeners
-     * @param {Object} inventory - InventoryManager instance
-     * @param {Object} mergeSystem - MergeSystem instance
+     * The handler only reports which slot was dropped onto which; deciding
+     * between move, swap and merge is left to the game controller.
+     * @param {Function} onDrop - Called with (sourcePosition, targetPosition) for each completed drop
      * Requirements: 2.1, 2.2, 2.3, 2.4, 2.5
      */
-    initializeDragDrop(inventory, mergeSystem) {
+    initializeDragDrop(onDrop) {
         // Get all inventory slots
         const slots = document.querySelectorAll('.inventory-slot');
         
@@ -49,7 +50,7 @@ export class DragDropHandler {
             });
             
             slotElement.addEventListener('drop', (e) => {
-                this.onDrop(e, position, inventory, mergeSystem);
+                this.onDrop(e, position, onDrop);
             });
         });
     }
@@ -102,98 +103,24 @@ export class DragDropHandler {
      * Handle drop event
      * @param {DragEvent} event - The drag event
      * @param {number} targetPosition - The target position
-     * @param {Object} inventory - InventoryManager instance
-     * @param {Object} mergeSystem - MergeSystem instance
+     * @param {Function} onDrop - Called with (sourcePosition, targetPosition)
      * Requirements: 2.3, 2.4, 2.5 - Move to empty slot, swap swords, or merge
      */
-    onDrop(event, targetPosition, inventory, mergeSystem) {
+    onDrop(event, targetPosition, onDrop) {
         // Prevent default behavior
         event.preventDefault();
         
         // Get source position
         const sourcePosition = this.draggedPosition;
         
-        if (sourcePosition === null || sourcePosition === targetPosition) {
-            this.clearDragState();
-            return;
-        }
-        
-        // Get swords at both positions
-        const sourceSword = inventory.getSword(sourcePosition);
-        const targetSword = inventory.getSword(targetPosition);
-        
-        if (!sourceSword) {
-            this.clearDragState();
-            return;
-        }
-        
-        // Determine action based on target slot
-        if (targetSword) {
-            // Target slot has a sword
-            if (mergeSystem.canMerge(sourceSword, targetSword)) {
-                // Requirement 2.5: Execute merge operation
-                this.handleMerge(sourcePosition, targetPosition, inventory, mergeSystem);
-            } else {
-                // Requirement 2.4: Swap the two swords
-                inventory.swapSwords(sourcePosition, targetPosition);
-            }
-        } else {
-            // Requirement 2.3: Move sword to empty slot
-            inventory.moveSword(sourcePosition, targetPosition);
-        }
-        
-        // Clean up drag state
+        // Clean up drag state before handing off, the handler may re-render the grid
         this.clearDragState();
         
-        // Trigger UI update (will be handled by GameController in task 17)
-        // For now, dispatch a custom event that can be listened to
-        document.dispatchEvent(new CustomEvent('inventoryChanged', {
-            detail: { sourcePosition, targetPosition }
-        }));
-    }
-
-    /**
-     * Handle merge operation during drop
-     * @param {number} pos1 - First position
-     * @param {number} pos2 - Second position
-     * @param {Object} inventory - InventoryManager instance
-     * @param {Object} mergeSystem - MergeSystem instance
-     * Requirements: 3.1, 3.2, 3.3 - Execute merge and place result
-     */
-    handleMerge(pos1, pos2, inventory, mergeSystem) {
-        // Get both swords
-        const sword1 = inventory.getSword(pos1);
-        const sword2 = inventory.getSword(pos2);
-        
-        if (!sword1 || !sword2) {
-            console.error('Cannot merge: missing sword(s)');
-            return;
-        }
-        
-        // Verify merge is valid
-        if (!mergeSystem.canMerge(sword1, sword2)) {
-            console.error('Cannot merge: swords have different levels');
+        if (sourcePosition === null || sourcePosition === targetPosition) {
             return;
         }
         
-        // Perform merge
-        const mergedSword = mergeSystem.merge(sword1, sword2);
-        
-        // Remove both source swords
-        inventory.removeSword(pos1);
-        inventory.removeSword(pos2);
-        
-        // Add merged sword to target position (pos2)
-        inventory.addSword(mergedSword, pos2);
-        
-        // Dispatch merge event for GameController to handle statistics
-        document.dispatchEvent(new CustomEvent('swordMerged', {
-            detail: { 
-                sourcePosition: pos1, 
-                targetPosition: pos2,
-                mergedSword: mergedSword
-            }
-        }));
+        onDrop(sourcePosition, targetPosition);
     }
 
     /**
@@ -3,6 +3,8 @@
  * Requirements: 1.2, 1.3, 11.1, 11.2, 11.3
  */
 
+import { describeBundle } from '../systems/RewardSystem.js';
+
 export class UIRenderer {
     /**
      * Render the inventory grid
@@ -45,6 +47,10 @@ export class UIRenderer {
                     <div class="sword-level">Lv.${slot.sword.level}</div>
                     <div class="sword-enhancement">+${slot.sword.enhancement}</div>
                     <div class="sword-value">${slot.sword.goldValue}G</div>
+                    <div class="sword-actions">
+                        <button class="sword-action-btn enhance-btn" data-action="enhance" type="button">Enhance</button>
+                        <button class="sword-action-btn sell-btn" data-action="sell" type="button">Sell</button>
+                    </div>
                 </div>
             `;
             slotElement.classList.add('occupied');
@@ -73,11 +79,53 @@ export class UIRenderer {
     }
 
     /**
-     * Render the quest list
+     * Render the reward items the player holds
+     * @param {Object} player - PlayerState with luckyBoxes, protections and gems
+     */
+    renderItems(player) {
+        const protectionElement = document.getElementById('protection-count');
+        const gemElement = document.getElementById('gem-count');
+        const openBoxBtn = document.getElementById('open-lucky-box-btn');
+        const boxCountElement = document.getElementById('free-box-count');
+
+        if (!protectionElement || !gemElement || !openBoxBtn || !boxCountElement) {
+            console.error('Item display elements not found');
+            return;
+        }
+
+        const luckyBoxes = player.luckyBoxes || 0;
+
+        protectionElement.textContent = this.formatNumber(player.protections || 0);
+        gemElement.textContent = this.formatNumber(player.gems || 0);
+        openBoxBtn.hidden = luckyBoxes === 0;
+        boxCountElement.textContent = `${luckyBoxes} left`;
+    }
+
+    /**
+     * Render the idle income rate
+     * @param {number} goldPerSecond - Total gold per second
+     * PRD: 4.9.2
+     */
+    renderIncome(goldPerSecond) {
+        const incomeElement = document.getElementById('income-rate');
+        if (!incomeElement) {
+            console.error('Income rate element not found');
+            return;
+        }
+
+        // Two decimal places per PRD
+        incomeElement.textContent = this.formatNumber(goldPerSecond.toFixed(2));
+    }
+
+    /**
+     * Render the quest list, grouped by quest pool
      * @param {Array} quests - Array of Quest objects
+     * @param {Array} [pools] - Quest pools in display order; without them the quests are listed ungrouped
+     * @param {{remaining: number, cost: number, questIds: string[]}} [reroll] - Rerolls left today, the
+     *   price of the next one and the quests that may be rerolled
      * Requirements: 11.1, 11.2
      */
-    renderQuests(quests) {
+    renderQuests(quests, pools = [], reroll = null) {
         const questListElement = document.getElementById('quest-list');
         if (!questListElement) {
             console.error('Quest list element not found');
@@ -92,28 +140,131 @@ export class UIRenderer {
             return;
         }
 
-        // Render each quest
-        quests.forEach(quest => {
-            const questElement = this.createQuestElement(quest);
-            questListElement.appendChild(questElement);
+        if (pools.length === 0) {
+            quests.forEach(quest => questListElement.appendChild(this.createQuestElement(quest, reroll)));
+            return;
+        }
+
+        // One group per pool that has quests, the header holds the pool's reset countdown
+        pools.forEach(pool => {
+            const poolQuests = quests.filter(quest => quest.pool === pool.id);
+            if (poolQuests.length === 0) {
+                return;
+            }
+
+            const groupElement = document.createElement('div');
+            groupElement.className = 'quest-pool';
+            groupElement.dataset.pool = pool.id;
+            groupElement.innerHTML = `
+                <div class="quest-pool-header">
+                    <h3 class="quest-pool-title">${pool.title}</h3>
+                    ${pool.id === 'daily' && reroll ? `<span class="quest-rerolls">Rerolls left: ${reroll.remaining}</span>` : ''}
+                    <span class="quest-pool-timer" data-pool="${pool.id}"></span>
+                </div>
+            `;
+
+            poolQuests.forEach(quest => groupElement.appendChild(this.createQuestElement(quest, reroll)));
+            questListElement.appendChild(groupElement);
+        });
+    }
+
+    /**
+     * Render the claim-later inbox of rewards from earlier quest days
+     * @param {Array} inbox - Completed quests whose reward was not claimed before the reset
+     */
+    renderQuestInbox(inbox) {
+        const inboxElement = document.getElementById('quest-inbox');
+        if (!inboxElement) {
+            console.error('Quest inbox element not found');
+            return;
+        }
+
+        inboxElement.hidden = inbox.length === 0;
+        inboxElement.innerHTML = inbox.length === 0 ? '' : '<h3 class="quest-inbox-title">Unclaimed rewards</h3>';
+
+        inbox.forEach(quest => {
+            const entry = document.createElement('div');
+            entry.className = 'quest-inbox-item';
+            entry.dataset.questId = quest.id;
+            entry.innerHTML = `
+                <span class="quest-title"></span>
+                <span class="quest-reward"></span>
+                <button class="inbox-claim-btn" type="button">Claim</button>
+            `;
+
+            // Quest fields come from saves, never parse them as HTML
+            entry.querySelector('.quest-title').textContent = quest.title;
+            entry.querySelector('.quest-reward').textContent = [`${quest.reward}G`, ...describeBundle(quest.bundle)].join(', ');
+            entry.querySelector('.inbox-claim-btn').dataset.questId = quest.id;
+            inboxElement.appendChild(entry);
+        });
+    }
+
+    /**
+     * Render the reward swords waiting for room in the inventory
+     * @param {Array} pending - PendingReward entries
+     * @param {boolean} canCollect - Whether the inventory has room for a sword
+     */
+    renderPendingRewards(pending, canCollect) {
+        const pendingElement = document.getElementById('pending-rewards');
+        if (!pendingElement) {
+            console.error('Pending rewards element not found');
+            return;
+        }
+
+        pendingElement.hidden = pending.length === 0;
+        pendingElement.innerHTML = pending.length === 0 ? '' : '<h3 class="pending-rewards-title">Pending rewards</h3>';
+
+        pending.forEach(reward => {
+            const entry = document.createElement('div');
+            entry.className = 'pending-reward-item';
+            entry.dataset.rewardId = reward.id;
+            entry.innerHTML = `
+                <span class="pending-reward-name"></span>
+                <span class="pending-reward-source"></span>
+                <button class="pending-collect-btn" type="button">Collect</button>
+            `;
+
+            // Pending rewards come from saves, never parse them as HTML
+            entry.querySelector('.pending-reward-name').textContent = `Lv.${reward.level} sword`;
+            entry.querySelector('.pending-reward-source').textContent = reward.source;
+            const collectButton = entry.querySelector('.pending-collect-btn');
+            collectButton.dataset.rewardId = reward.id;
+            collectButton.disabled = !canCollect;
+            pendingElement.appendChild(entry);
+        });
+    }
+
+    /**
+     * Show the time left until each quest pool is replaced in its group header
+     * @param {Object<string, number>} timers - Pool ID -> milliseconds until the reset
+     */
+    renderQuestTimers(timers) {
+        document.querySelectorAll('.quest-pool-timer[data-pool]').forEach(timerElement => {
+            const ms = timers[timerElement.dataset.pool];
+            // Round up so the countdown never shows 0s while the reset is still ahead
+            timerElement.textContent = Number.isFinite(ms) ? `Resets in ${this.formatDuration(Math.ceil(ms / 1000))}` : '';
         });
     }
 
     /**
      * Create a quest element with progress bar
      * @param {Object} quest - Quest object
+     * @param {{remaining: number, cost: number, questIds: string[]}} [reroll] - Reroll options, see renderQuests
      * @returns {HTMLElement} The quest element
      * Requirements: 11.2
      */
-    createQuestElement(quest) {
+    createQuestElement(quest, reroll = null) {
         const questElement = document.createElement('div');
         questElement.className = 'quest-item';
         questElement.dataset.questId = quest.id;
 
-        // Calculate progress percentage
+        // Calculate progress percentage, gold objectives count fractional idle income
         const progress = Math.min(100, (quest.objective.current / quest.objective.target) * 100);
         const isCompleted = quest.objective.current >= quest.objective.target;
         const isClaimed = quest.claimed;
+        const canReroll = Boolean(reroll) && reroll.remaining > 0 && reroll.questIds.includes(quest.id);
+        const bundleItems = describeBundle(quest.bundle);
 
         // Add status classes
         if (isClaimed) {
@@ -124,21 +275,41 @@ export class UIRenderer {
 
         questElement.innerHTML = `
             <div class="quest-header">
-                <h3 class="quest-title">${quest.title}</h3>
-                <span class="quest-reward">${quest.reward}G</span>
+                <h3 class="quest-title"></h3>
+                <span class="quest-reward"></span>
             </div>
-            <p class="quest-description">${quest.description}</p>
+            <p class="quest-description"></p>
+            ${bundleItems.length > 0 ? '<ul class="quest-bundle"></ul>' : ''}
             <div class="quest-progress">
                 <div class="progress-bar">
-                    <div class="progress-fill" style="width: ${progress}%"></div>
+                    <div class="progress-fill"></div>
                 </div>
-                <span class="progress-text">${quest.objective.current}/${quest.objective.target}</span>
+                <span class="progress-text"></span>
             </div>
             ${isClaimed ? '<button class="quest-claim-btn" disabled>Claimed</button>' : 
-              isCompleted ? '<button class="quest-claim-btn" data-quest-id="' + quest.id + '">Claim Reward</button>' : 
+              isCompleted ? '<button class="quest-claim-btn">Claim Reward</button>' : 
               '<button class="quest-claim-btn" disabled>In Progress</button>'}
+            ${canReroll ? `<button class="quest-reroll-btn" type="button">Reroll (${reroll.cost > 0 ? `${this.formatNumber(reroll.cost)}G` : 'Free'})</button>` : ''}
         `;
 
+        // Quest fields come from saves and templates, never parse them as HTML
+        questElement.querySelector('.quest-title').textContent = quest.title;
+        questElement.querySelector('.quest-reward').textContent = `${quest.reward}G`;
+        questElement.querySelector('.quest-description').textContent = quest.description;
+        questElement.querySelector('.progress-fill').style.width = `${progress}%`;
+        questElement.querySelector('.progress-text').textContent = `${Math.floor(quest.objective.current)}/${quest.objective.target}`;
+        bundleItems.forEach(item => {
+            const itemElement = document.createElement('li');
+            itemElement.textContent = item;
+            questElement.querySelector('.quest-bundle').appendChild(itemElement);
+        });
+        if (isCompleted && !isClaimed) {
+            questElement.querySelector('.quest-claim-btn').dataset.questId = quest.id;
+        }
+        if (canReroll) {
+            questElement.querySelector('.quest-reroll-btn').dataset.questId = quest.id;
+        }
+
         return questElement;
     }
 
@@ -169,6 +340,74 @@ export class UIRenderer {
         });
     }
 
+    /**
+     * Render the save slot list
+     * @param {Array} slots - SaveSlot metadata from StorageManager.listSlots
+     * @param {string} activeSlotId - ID of the slot being played
+     */
+    renderSaveSlots(slots, activeSlotId) {
+        const slotListElement = document.getElementById('slot-list');
+        if (!slotListElement) {
+            console.error('Slot list element not found');
+            return;
+        }
+
+        slotListElement.innerHTML = '';
+
+        slots.forEach(slot => {
+            slotListElement.appendChild(this.createSlotElement(slot, slot.id === activeSlotId));
+        });
+    }
+
+    /**
+     * Show or hide the "open in another tab" banner and lock the game controls while read-only
+     * @param {boolean} readOnly - Whether another tab owns the save
+     */
+    setReadOnly(readOnly) {
+        const banner = document.getElementById('read-only-banner');
+        if (banner) {
+            banner.hidden = !readOnly;
+        }
+
+        const app = document.getElementById('app');
+        if (app) {
+            app.classList.toggle('read-only', readOnly);
+        }
+    }
+
+    /**
+     * Create a save slot element with its metadata and actions
+     * @param {Object} slot - SaveSlot metadata
+     * @param {boolean} isActive - Whether this slot is being played
+     * @returns {HTMLElement} The slot element
+     */
+    createSlotElement(slot, isActive) {
+        const slotElement = document.createElement('div');
+        slotElement.className = isActive ? 'slot-item active' : 'slot-item';
+        slotElement.dataset.slotId = slot.id;
+
+        const lastPlayed = slot.lastPlayedAt ? new Date(slot.lastPlayedAt).toLocaleString() : 'Never played';
+
+        slotElement.innerHTML = `
+            <div class="slot-header">
+                <h3 class="slot-name"></h3>
+                ${isActive ? '<span class="slot-active-badge">Playing</span>' : ''}
+            </div>
+            <p class="slot-info">Best Lv.${slot.maxLevel} · ${this.formatNumber(slot.gold)}G · ${lastPlayed}</p>
+            <div class="slot-actions">
+                ${isActive ? '' : '<button class="slot-action-btn" data-slot-action="switch" type="button">Play</button>'}
+                <button class="slot-action-btn" data-slot-action="rename" type="button">Rename</button>
+                <button class="slot-action-btn" data-slot-action="duplicate" type="button">Copy</button>
+                ${isActive ? '' : '<button class="slot-action-btn slot-delete-btn" data-slot-action="delete" type="button">Delete</button>'}
+            </div>
+        `;
+
+        // Slot names are typed by the player, never parse them as HTML
+        slotElement.querySelector('.slot-name').textContent = slot.name;
+
+        return slotElement;
+    }
+
     /**
      * Create an achievement element with unlock status
      * @param {Object} achievement - Achievement object
@@ -248,9 +487,10 @@ export class UIRenderer {
      * Show enhancement result modal
      * @param {string} result - EnhancementResult (SUCCESS, MAINTAIN, DESTROY)
      * @param {Object} sword - The sword (if not destroyed)
+     * @param {Object} [diff] - Before/after snapshots from GameController.handleEnhancement
      * Requirements: 11.3
      */
-    showEnhancementResult(result, sword = null) {
+    showEnhancementResult(result, sword = null, diff = null) {
         const modal = document.createElement('div');
         modal.className = 'modal enhancement-result';
 
@@ -263,7 +503,9 @@ export class UIRenderer {
                 modalClass = 'success';
                 break;
             case 'MAINTAIN':
-                message = 'Enhancement maintained current level';
+                message = diff && diff.protected ?
+                    'Protection used! Your sword was saved from destruction' :
+                    'Enhancement maintained current level';
                 modalClass = 'maintain';
                 break;
             case 'DESTROY':
@@ -275,12 +517,28 @@ export class UIRenderer {
                 modalClass = 'info';
         }
 
+        // Before/after line, the value counts up from the old to the new amount
+        let diffHtml = '';
+        if (diff && diff.before && diff.after && result === 'SUCCESS') {
+            diffHtml = `
+                <p class="modal-diff">
+                    +${diff.before.enhancement} → +${diff.after.enhancement},
+                    <span class="modal-diff-value">${this.formatNumber(diff.before.goldValue)}</span>G
+                </p>
+            `;
+        }
+
         modal.innerHTML = `
             <div class="modal-content ${modalClass}">
                 <p class="modal-message">${message}</p>
+                ${diffHtml}
             </div>
         `;
 
+        if (diffHtml) {
+            this.animateNumber(modal.querySelector('.modal-diff-value'), diff.before.goldValue, diff.after.goldValue, 500);
+        }
+
         const modalContainer = document.getElementById('modal-container');
         if (modalContainer) {
             modalContainer.appendChild(modal);
@@ -293,6 +551,382 @@ export class UIRenderer {
         }
     }
 
+    /**
+     * Show a confirmation modal with confirm and cancel buttons
+     * @param {string} message - The question to display, shown as plain text
+     * @param {Function} onConfirm - Called when the player confirms
+     * @param {Function} [onCancel] - Called when the player cancels
+     * Requirements: 9.4
+     */
+    showConfirmation(message, onConfirm, onCancel = null) {
+        const modal = document.createElement('div');
+        modal.className = 'modal confirmation';
+
+        modal.innerHTML = `
+            <div class="modal-content">
+                <p class="modal-message"></p>
+                <div class="modal-buttons">
+                    <button class="modal-btn modal-btn-confirm" type="button">Confirm</button>
+                    <button class="modal-btn modal-btn-cancel" type="button">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        // Messages can hold slot names the player typed, never parse them as HTML
+        modal.querySelector('.modal-message').textContent = message;
+
+        const modalContainer = document.getElementById('modal-container');
+        if (!modalContainer) {
+            console.error('Modal container element not found');
+            return;
+        }
+
+        modal.querySelector('.modal-btn-confirm').addEventListener('click', () => {
+            modal.remove();
+            onConfirm();
+        });
+
+        modal.querySelector('.modal-btn-cancel').addEventListener('click', () => {
+            modal.remove();
+            if (onCancel) {
+                onCancel();
+            }
+        });
+
+        modalContainer.appendChild(modal);
+    }
+
+    /**
+     * Ask the player for a line of text
+     * @param {string} message - Prompt message
+     * @param {string} defaultValue - Initial input value
+     * @param {Function} onSubmit - Called with the text, returns (a promise of) an error message or null if accepted
+     */
+    showPrompt(message, defaultValue, onSubmit) {
+        const modal = document.createElement('div');
+        modal.className = 'modal prompt';
+
+        modal.innerHTML = `
+            <div class="modal-content">
+                <p class="modal-message">${message}</p>
+                <input class="modal-input" type="text">
+                <p class="modal-error" hidden></p>
+                <div class="modal-buttons">
+                    <button class="modal-btn modal-btn-confirm" type="button">OK</button>
+                    <button class="modal-btn modal-btn-cancel" type="button">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        const modalContainer = document.getElementById('modal-container');
+        if (!modalContainer) {
+            console.error('Modal container element not found');
+            return;
+        }
+
+        const input = modal.querySelector('.modal-input');
+        input.value = defaultValue;
+
+        modal.querySelector('.modal-btn-confirm').addEventListener('click', async () => {
+            const error = await onSubmit(input.value);
+            if (error) {
+                const errorElement = modal.querySelector('.modal-error');
+                errorElement.textContent = error;
+                errorElement.hidden = false;
+            } else {
+                modal.remove();
+            }
+        });
+
+        modal.querySelector('.modal-btn-cancel').addEventListener('click', () => {
+            modal.remove();
+        });
+
+        modalContainer.appendChild(modal);
+        input.select();
+    }
+
+    /**
+     * Show the welcome back summary of offline earnings
+     * @param {Object} earnings - OfflineEarnings with awaySeconds, paidSeconds, gold and capped
+     * PRD: 5.2
+     */
+    showWelcomeBack(earnings) {
+        const modal = document.createElement('div');
+        modal.className = 'modal welcome-back';
+
+        const capNote = earnings.capped
+            ? `<p class="modal-note">Offline earnings are limited to ${this.formatDuration(earnings.paidSeconds)}.</p>`
+            : '';
+
+        modal.innerHTML = `
+            <div class="modal-content">
+                <p class="modal-message">Welcome back!</p>
+                <p class="modal-diff">You were away for ${this.formatDuration(earnings.awaySeconds)}
+                    and your swords earned ${this.formatNumber(earnings.gold)}G.</p>
+                ${capNote}
+                <div class="modal-buttons">
+                    <button class="modal-btn modal-btn-confirm" type="button">Collect</button>
+                </div>
+            </div>
+        `;
+
+        const modalContainer = document.getElementById('modal-container');
+        if (!modalContainer) {
+            console.error('Modal container element not found');
+            return;
+        }
+
+        modal.querySelector('.modal-btn-confirm').addEventListener('click', () => {
+            modal.remove();
+        });
+
+        modalContainer.appendChild(modal);
+    }
+
+    /**
+     * Ask the player how to recover from a corrupted save
+     * @param {Array} options - RecoveryOption objects from StorageManager.getRecoveryOptions
+     * @param {Function} onChoose - Called with the chosen option, or null to start a new game
+     * Requirements: 12.3
+     */
+    showRecoveryPrompt(options, onChoose) {
+        const modal = document.createElement('div');
+        modal.className = 'modal recovery';
+
+        const describe = (option) => {
+            const { gold, maxLevel, swordCount } = option.summary;
+            const contents = `${this.formatNumber(gold)}G, best Lv.${maxLevel}, ${swordCount} sword(s)`;
+
+            if (option.type === 'backup') {
+                return `Restore backup from ${option.savedAt.toLocaleString()} (${contents})`;
+            }
+            const lost = option.dropped.length > 0 ? `, lost: ${option.dropped.join(', ')}` : '';
+            return `Repair save (${contents}${lost})`;
+        };
+
+        modal.innerHTML = `
+            <div class="modal-content">
+                <p class="modal-message">Your saved game could not be loaded.</p>
+                <p class="modal-note">Nothing will be overwritten until you choose.</p>
+                <div class="recovery-options">
+                    ${options.map((option, index) => `
+                        <button class="modal-btn modal-btn-confirm recovery-option" data-index="${index}" type="button">
+                            ${describe(option)}
+                        </button>
+                    `).join('')}
+                    <button class="modal-btn modal-btn-cancel recovery-new-game" type="button">Start a new game</button>
+                </div>
+            </div>
+        `;
+
+        const modalContainer = document.getElementById('modal-container');
+        if (!modalContainer) {
+            console.error('Modal container element not found');
+            return;
+        }
+
+        modal.querySelectorAll('.recovery-option').forEach(button => {
+            button.addEventListener('click', () => {
+                modal.remove();
+                onChoose(options[parseInt(button.dataset.index)]);
+            });
+        });
+
+        modal.querySelector('.recovery-new-game').addEventListener('click', () => {
+            // Starting over discards the old progress for good, confirm first
+            this.showConfirmation('Start a new game? Your old progress cannot be restored afterwards.', () => {
+                modal.remove();
+                onChoose(null);
+            });
+        });
+
+        modalContainer.appendChild(modal);
+    }
+
+    /**
+     * Show the exported save code with copy and download buttons
+     * @param {string} code - Save code from StorageManager.exportCode
+     * @param {Function} onDownload - Called when the player asks for a .json file
+     */
+    showExportDialog(code, onDownload) {
+        const modal = document.createElement('div');
+        modal.className = 'modal save-export';
+
+        modal.innerHTML = `
+            <div class="modal-content">
+                <p class="modal-message">Export save</p>
+                <p class="modal-note">Keep this code somewhere safe, or download it as a file.</p>
+                <textarea class="save-code" readonly rows="6"></textarea>
+                <div class="modal-buttons">
+                    <button class="modal-btn modal-btn-confirm save-copy-btn" type="button">Copy</button>
+                    <button class="modal-btn modal-btn-confirm save-download-btn" type="button">Download .json</button>
+                    <button class="modal-btn modal-btn-cancel" type="button">Close</button>
+                </div>
+            </div>
+        `;
+
+        const modalContainer = document.getElementById('modal-container');
+        if (!modalContainer) {
+            console.error('Modal container element not found');
+            return;
+        }
+
+        const textarea = modal.querySelector('.save-code');
+        textarea.value = code;
+
+        modal.querySelector('.save-copy-btn').addEventListener('click', () => {
+            textarea.select();
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(code).then(
+                    () => this.showNotification('Save code copied', 'success'),
+                    () => this.showNotification('Copy failed, select the code and copy it manually', 'error')
+                );
+            }
+        });
+
+        modal.querySelector('.save-download-btn').addEventListener('click', () => {
+            onDownload();
+        });
+
+        modal.querySelector('.modal-btn-cancel').addEventListener('click', () => {
+            modal.remove();
+        });
+
+        modalContainer.appendChild(modal);
+    }
+
+    /**
+     * Offer a file for download
+     * @param {Object} file - SaveFile with filename and contents
+     */
+    downloadFile(file) {
+        if (typeof URL.createObjectURL !== 'function') {
+            console.error('File download is not supported');
+            return;
+        }
+
+        const url = URL.createObjectURL(new Blob([file.contents], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Ask for a save code or file to import
+     * @param {Function} onSubmit - Called with the pasted or loaded text, returns an error message or null if accepted
+     */
+    showImportDialog(onSubmit) {
+        const modal = document.createElement('div');
+        modal.className = 'modal save-import';
+
+        modal.innerHTML = `
+            <div class="modal-content">
+                <p class="modal-message">Import save</p>
+                <p class="modal-note">Paste a save code or choose an exported .json file.</p>
+                <textarea class="save-code" rows="6"></textarea>
+                <input class="save-file" type="file" accept=".json,application/json">
+                <p class="modal-error" hidden></p>
+                <div class="modal-buttons">
+                    <button class="modal-btn modal-btn-confirm save-preview-btn" type="button">Preview</button>
+                    <button class="modal-btn modal-btn-cancel" type="button">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        const modalContainer = document.getElementById('modal-container');
+        if (!modalContainer) {
+            console.error('Modal container element not found');
+            return;
+        }
+
+        const errorElement = modal.querySelector('.modal-error');
+        const submit = (text) => {
+            const error = onSubmit(text);
+            if (error) {
+                errorElement.textContent = error;
+                errorElement.hidden = false;
+            } else {
+                modal.remove();
+            }
+        };
+
+        modal.querySelector('.save-preview-btn').addEventListener('click', () => {
+            submit(modal.querySelector('.save-code').value);
+        });
+
+        modal.querySelector('.save-file').addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (!file) {
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = () => submit(reader.result);
+            reader.onerror = () => {
+                errorElement.textContent = 'Could not read the file';
+                errorElement.hidden = false;
+            };
+            reader.readAsText(file);
+        });
+
+        modal.querySelector('.modal-btn-cancel').addEventListener('click', () => {
+            modal.remove();
+        });
+
+        modalContainer.appendChild(modal);
+    }
+
+    /**
+     * Show what an import contains and confirm replacing the current game
+     * @param {Object} preview - Successful ImportPreview from StorageManager.importSave
+     * @param {Function} onConfirm - Called if the player confirms
+     */
+    showImportPreview(preview, onConfirm) {
+        const { gold, maxLevel, swordCount } = preview.summary;
+        const upgraded = preview.migrations.length > 0
+            ? ` It will be upgraded from version ${preview.migrations[0].from}.`
+            : '';
+        const modded = preview.integrityIssues && preview.integrityIssues.length > 0
+            ? ' It was edited outside the game and will be marked as modded.'
+            : '';
+        const repaired = preview.repairs && preview.repairs.repaired
+            ? ` ${preview.repairs.entries.length} small problem(s) in it will be fixed.`
+            : '';
+
+        this.showConfirmation(
+            `Replace your current game with this save? It has ${this.formatNumber(gold)}G, ` +
+            `best Lv.${maxLevel} and ${swordCount} sword(s).${upgraded}${modded}${repaired}`,
+            onConfirm
+        );
+    }
+
+    /**
+     * Format a duration as days, hours and minutes
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} e.g. "3d 4h", "2h 15m", "45m" or "30s"
+     */
+    formatDuration(seconds) {
+        const totalMinutes = Math.floor(seconds / 60);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+
+        if (hours >= 24) {
+            return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+        }
+        if (hours > 0) {
+            return `${hours}h ${minutes}m`;
+        }
+        if (minutes > 0) {
+            return `${minutes}m`;
+        }
+        return `${Math.floor(seconds)}s`;
+    }
+
     /**
      * Update gold display with animation
      * @param {number} newAmount - New gold amount
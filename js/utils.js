@@ -2,8 +2,17 @@
  * Utility functions for the Sword Merge Game
  */
 
+import { Random } from './Random.js';
+
+/**
+ * Generator for the UUID fallback, separate from the game RNG so reseeding never repeats an ID
+ */
+const fallbackRandom = new Random();
+
 /**
  * Generate a UUID v4 string
+ * IDs never come from the game RNG: after a reseed it repeats its rolls, and repeated sword IDs would
+ * mark the save as modded.
  * @returns {string} A unique identifier
  */
 export function generateUUID() {
@@ -14,7 +23,7 @@ export function generateUUID() {
     
     // Fallback implementation for older browsers
     return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-        const r = Math.random() * 16 | 0;
+        const r = fallbackRandom.nextInt(16);
         const v = c === 'x' ? r : (r & 0x3 | 0x8);
         return v.toString(16);
     });
@@ -32,3 +41,65 @@ export function calculateGoldValue(level, enhancement) {
     const enhancementMultiplier = 1 + (enhancement * 0.5);
     return Math.floor(baseValue * enhancementMultiplier);
 }
+
+/**
+ * Calculate the idle income of a sword in gold per second
+ * Formula: 0.1 * 1000000^((L-1)/9) * 1.2^E
+ * Matches the PRD 4.2.2 level table (x4.64 per level, 100,000 G/s at Lv.10) and the
+ * +20% per enhancement bonus from PRD 4.3.2
+ * @param {number} level - The base level of the sword (1-N)
+ * @param {number} enhancement - The enhancement level (0-N)
+ * @returns {number} Gold per second
+ */
+export function calculateGoldPerSecond(level, enhancement) {
+    // 1000000^((L-1)/9) written as 10^(2(L-1)/3) so whole powers of ten stay exact
+    const baseRate = 0.1 * Math.pow(10, 2 * (level - 1) / 3);
+    const enhancementMultiplier = Math.pow(1.2, enhancement);
+    return baseRate * enhancementMultiplier;
+}
+
+/**
+ * Hash a string with 32-bit FNV-1a
+ * Fast and stable across browsers; detects accidental changes, not deliberate ones
+ * @param {string} text - Text to hash
+ * @returns {string} 8 hex digits
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Get the local calendar day of a time as a sortable key
+ * @param {Date} [date] - The time (default: now)
+ * @returns {string} "YYYY-MM-DD" in local time
+ */
+export function getLocalDayKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the local midnight that starts a day, or one a number of days later
+ * @param {string} dayKey - Day from getLocalDayKey
+ * @param {number} [offsetDays] - Days to move forward (default: 0)
+ * @returns {Date} Local midnight
+ */
+export function getDayStart(dayKey, offsetDays = 0) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return new Date(year, month - 1, day + offsetDays);
+}
+
+/**
+ * Get the local midnight that ends a day
+ * @param {string} dayKey - Day from getLocalDayKey
+ * @returns {Date} Start of the following local day
+ */
+export function getNextDayStart(dayKey) {
+    return getDayStart(dayKey, 1);
+}
@@ -0,0 +1,1010 @@
+/**
+ * Integration tests for GameController UI wiring
+ * Tests for task 17: Wire UI event handlers to Game Controller
+ */
+
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { GameController } from '../../js/GameController.js';
+import { createSword } from '../../js/models/Sword.js';
+import { MemoryStorageAdapter } from '../../js/systems/StorageAdapters.js';
+import { GAME_CONFIG } from '../../js/config.js';
+import { findSemanticIssues } from '../../js/systems/SaveIntegrity.js';
+
+/**
+ * Let pending storage writes and async click handlers finish
+ */
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const indexHtml = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+const bodyHtml = indexHtml.slice(indexHtml.indexOf('<body>') + 6, indexHtml.indexOf('</body>'));
+
+describe('GameController - UI wiring', () => {
+    let game;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        localStorage.clear();
+        document.body.innerHTML = bodyHtml;
+
+        game = new GameController();
+        await game.init();
+    });
+
+    afterEach(async () => {
+        game.dispose();
+        await flushPromises();
+        jest.restoreAllMocks();
+    });
+
+    test('should render all panels on init', () => {
+        expect(document.querySelectorAll('#inventory-grid .inventory-slot')).toHaveLength(25);
+        expect(document.getElementById('gold-amount').textContent).toBe('100');
+        expect(document.querySelectorAll('#quest-list .quest-pool[data-pool="daily"] .quest-item')).toHaveLength(3);
+        expect(document.querySelectorAll('#quest-list .quest-pool[data-pool="weekly"] .quest-item')).toHaveLength(2);
+        expect(document.querySelectorAll('#achievement-list .achievement-item').length).toBeGreaterThan(0);
+    });
+
+    test('should show income and credit it on each tick', () => {
+        game.inventory.addSword(createSword(4, 0), 0);
+        game.incomeSystem.invalidate();
+        game.renderAll();
+        expect(document.getElementById('income-rate').textContent).toBe('10.00');
+
+        const earned = game.handleIncomeTick(2);
+
+        expect(earned).toBe(20);
+        expect(game.getPlayerGold()).toBe(120);
+        expect(game.getStats().totalGoldEarned).toBe(20);
+        expect(document.getElementById('gold-amount').textContent).toBe('120');
+    });
+
+    describe('income loop', () => {
+        beforeEach(() => {
+            game.inventory.addSword(createSword(4, 0), 0); // 10 G/s
+            game.incomeSystem.invalidate();
+            game.lastIncomeTickAt = 1000;
+        });
+
+        test('should pay for the time measured since the previous interval', () => {
+            // A throttled background tab fires its interval seconds late
+            expect(game.handleIncomeInterval(1000 + 5000)).toBe(50);
+            expect(game.handleIncomeInterval(1000 + 5100)).toBe(1);
+            expect(game.getPlayerGold()).toBe(100 + 51);
+        });
+
+        test('should pay a long gap at the offline rate', () => {
+            const earned = game.handleIncomeInterval(1000 + 600 * 1000);
+
+            expect(earned).toBe(600 * 10 * GAME_CONFIG.offlineEfficiency);
+            expect(game.getPlayerGold()).toBe(100 + earned);
+            expect(game.lastIncomeTickAt).toBe(1000 + 600 * 1000);
+        });
+
+        test('should not pay in a read-only tab', () => {
+            game.readOnly = true;
+
+            expect(game.handleIncomeInterval(1000 + 5000)).toBe(0);
+            expect(game.handleIncomeInterval(1000 + 600 * 1000)).toBe(0);
+            expect(game.getPlayerGold()).toBe(100);
+        });
+    });
+
+    describe('offline earnings', () => {
+        const reloadAt = async (now) => {
+            game.dispose();
+            game = new GameController();
+            await game.loadGameState();
+            game.initializeSubsystems();
+            return game.applyOfflineEarnings(now);
+        };
+
+        beforeEach(async () => {
+            game.inventory.addSword(createSword(4, 0), 0); // 10 G/s
+            await game.saveGameState();
+        });
+
+        test('should grant capped, scaled income for the time away and save it', async () => {
+            const lastSaved = new Date(game.gameState.lastSaved).getTime();
+
+            const earnings = await reloadAt(new Date(lastSaved + 2 * 3600 * 1000));
+            await game.storageManager.whenIdle();
+
+            expect(earnings.gold).toBe(36000);
+            expect(game.getPlayerGold()).toBe(100 + 36000);
+            expect(game.getStats().totalGoldEarned).toBe(36000);
+            expect(JSON.parse(localStorage.getItem('sword_merge_game_save')).player.gold).toBe(100 + 36000);
+        });
+
+        test('should not pay for time gained by moving the clock back and forward again', async () => {
+            const lastSaved = new Date(game.gameState.lastSaved).getTime();
+
+            // Clock set back a day, then the game is saved with the earlier time
+            game.gameState.lastSeenAt = lastSaved + 24 * 3600 * 1000;
+            await game.saveGameState();
+
+            const earnings = await reloadAt(new Date(lastSaved + 24 * 3600 * 1000 + 30 * 1000));
+
+            expect(earnings.gold).toBe(0);
+        });
+
+        test('should show a welcome back summary', () => {
+            game.attachEventHandlers();
+            game.events.emit('income:offline', { awaySeconds: 8100, paidSeconds: 8100, gold: 1234, capped: false });
+
+            expect(document.querySelector('.welcome-back').textContent).toContain('2h 15m');
+            expect(document.querySelector('.welcome-back').textContent).toContain('1,234G');
+        });
+    });
+
+    describe('save export and import', () => {
+        let code;
+
+        beforeEach(async () => {
+            game.changeGold(4900);
+            game.inventory.addSword(createSword(6, 1), 7);
+            code = game.exportSave();
+
+            game.changeGold(-4000);
+            game.inventory.removeSword(7);
+            await game.saveGameState();
+        });
+
+        test('should show the current save code', () => {
+            document.getElementById('export-save-btn').click();
+
+            const preview = game.previewImport(document.querySelector('.save-export .save-code').value);
+            expect(preview.success).toBe(true);
+            expect(preview.state.player.gold).toBe(1000);
+        });
+
+        test('should preview an import and replace the game only after confirmation', async () => {
+            document.getElementById('import-save-btn').click();
+            document.querySelector('.save-import .save-code').value = code;
+            document.querySelector('.save-import .save-preview-btn').click();
+
+            expect(document.querySelector('.save-import')).toBeNull();
+            expect(document.querySelector('.confirmation .modal-message').textContent).toContain('5,000G');
+            expect(game.getPlayerGold()).toBe(1000);
+
+            document.querySelector('.confirmation .modal-btn-confirm').click();
+            await flushPromises();
+
+            expect(game.getPlayerGold()).toBe(5000);
+            expect(game.inventory.getSword(7).level).toBe(6);
+            expect(document.getElementById('gold-amount').textContent).toBe('5,000');
+            expect(JSON.parse(localStorage.getItem('sword_merge_game_save')).player.gold).toBe(5000);
+        });
+
+        test('should keep the game when the import is cancelled', () => {
+            document.getElementById('import-save-btn').click();
+            document.querySelector('.save-import .save-code').value = code;
+            document.querySelector('.save-import .save-preview-btn').click();
+            document.querySelector('.confirmation .modal-btn-cancel').click();
+
+            expect(game.getPlayerGold()).toBe(1000);
+        });
+
+        test('should show why an import was rejected', () => {
+            document.getElementById('import-save-btn').click();
+            document.querySelector('.save-import .save-code').value = code.slice(0, -1) + (code.endsWith('0') ? '1' : '0');
+            document.querySelector('.save-import .save-preview-btn').click();
+
+            const error = document.querySelector('.save-import .modal-error');
+            expect(error.hidden).toBe(false);
+            expect(error.textContent).toMatch(/checksum/i);
+            expect(game.getPlayerGold()).toBe(1000);
+        });
+
+        test('should show quest and reward texts of an imported save as text only', async () => {
+            const markup = '<img src="x" onerror="window.injected = true">';
+            game.syncGameState();
+            const state = JSON.parse(JSON.stringify(game.gameState));
+            const [quest] = state.quests;
+            state.quests[0] = { ...quest, title: markup, description: markup };
+            state.questInbox = [{ ...quest, id: 'old', title: markup, completed: true }];
+            state.pendingRewards = [{ id: 'r1', level: 3, source: markup }];
+
+            const preview = game.previewImport(game.storageManager.exportCode(state));
+            expect(preview.success).toBe(true);
+            await game.applyImport(preview);
+            game.renderAll();
+
+            expect(document.querySelector('#quest-section img')).toBeNull();
+            expect(document.querySelector(`.quest-item[data-quest-id="${quest.id}"] .quest-title`).textContent).toBe(quest.title);
+            expect(document.querySelector('.quest-inbox-item .quest-title').textContent).toBe(quest.title);
+            expect(document.querySelector('.pending-reward-source').textContent).toBe(markup);
+        });
+
+        test('should not trust the clock of the exporting machine', async () => {
+            const preview = game.previewImport(code);
+            preview.state.lastSeenAt = Date.now() + 365 * 24 * 3600 * 1000;
+
+            await game.applyImport(preview);
+
+            expect(game.gameState.lastSeenAt).toBeLessThanOrEqual(Date.now());
+        });
+    });
+
+    test('should tell the player when storage is full', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        game.storageManager.storage = new MemoryStorageAdapter(100);
+
+        expect(await game.saveGameState()).toBe(false);
+
+        expect(document.querySelector('.notification-error').textContent).toMatch(/storage is full/);
+    });
+
+    describe('auto-save', () => {
+        let saveSpy;
+
+        beforeEach(() => {
+            saveSpy = jest.spyOn(game.storageManager, 'saveGame');
+        });
+
+        test('should coalesce rapid actions into one save', async () => {
+            jest.useFakeTimers();
+            game.changeGold(1000);
+
+            for (let i = 0; i < 10; i++) {
+                game.handlePurchase('basic');
+            }
+            expect(saveSpy).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(GAME_CONFIG.autoSaveDebounceMs);
+            jest.useRealTimers();
+
+            expect(saveSpy).toHaveBeenCalledTimes(1);
+            await game.storageManager.whenIdle();
+            expect(JSON.parse(localStorage.getItem('sword_merge_game_save')).stats.totalPurchases).toBe(10);
+        });
+
+        test('should skip the interval save when nothing changed', async () => {
+            await game.saveGameState();
+            saveSpy.mockClear();
+
+            await game.autoSave.flush();
+
+            expect(saveSpy).not.toHaveBeenCalled();
+        });
+
+        test('should save idle income on the next interval save', async () => {
+            await game.saveGameState();
+            saveSpy.mockClear();
+
+            game.inventory.addSword(createSword(4, 0), 0);
+            game.incomeSystem.invalidate();
+            game.handleIncomeTick(1);
+            await game.autoSave.flush();
+
+            expect(saveSpy).toHaveBeenCalledTimes(1);
+        });
+
+        test('should flush when the page is hidden', () => {
+            game.handleSort();
+
+            Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+            document.dispatchEvent(new Event('visibilitychange'));
+            delete document.visibilityState;
+
+            expect(saveSpy).toHaveBeenCalledTimes(1);
+        });
+
+        test('should flush on pagehide and beforeunload', () => {
+            game.handleSort();
+            window.dispatchEvent(new Event('pagehide'));
+            game.handleSort();
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(saveSpy).toHaveBeenCalledTimes(2);
+        });
+
+        test('should stop listening to the page after dispose', () => {
+            game.dispose();
+            saveSpy.mockClear();
+
+            game.handleSort();
+            window.dispatchEvent(new Event('pagehide'));
+
+            expect(saveSpy).not.toHaveBeenCalled();
+            game.autoSave.cancel();
+        });
+    });
+
+    describe('save slots', () => {
+        test('should list the active slot', () => {
+            const items = document.querySelectorAll('#slot-list .slot-item');
+
+            expect(items).toHaveLength(1);
+            expect(items[0].classList.contains('active')).toBe(true);
+            expect(items[0].querySelector('.slot-name').textContent).toBe('Main');
+        });
+
+        test('should create a slot from the prompt', async () => {
+            document.getElementById('new-slot-btn').click();
+            document.querySelector('.prompt .modal-input').value = '<b>Test</b>';
+            document.querySelector('.prompt .modal-btn-confirm').click();
+            await flushPromises();
+
+            const names = [...document.querySelectorAll('#slot-list .slot-name')].map(el => el.textContent);
+            expect(names).toEqual(['Main', '<b>Test</b>']);
+        });
+
+        test('should switch slots without reloading and keep each game', async () => {
+            game.changeGold(900);
+            game.inventory.addSword(createSword(4, 0), 0);
+            const experiment = await game.createSaveSlot('Experiment');
+
+            expect(await game.switchSaveSlot(experiment.id)).toBe(true);
+
+            expect(game.getPlayerGold()).toBe(100);
+            expect(game.inventory.countSwords()).toBe(0);
+            expect(game.getAchievements().every(a => !a.unlocked)).toBe(true);
+            expect(document.getElementById('gold-amount').textContent).toBe('100');
+            expect(document.querySelector('#slot-list .slot-item.active').dataset.slotId).toBe(experiment.id);
+
+            game.changeGold(5);
+            await game.switchSaveSlot('main');
+
+            expect(game.getPlayerGold()).toBe(1000);
+            expect(game.inventory.getSword(0).level).toBe(4);
+            expect((await game.listSaveSlots()).find(s => s.id === experiment.id).gold).toBe(105);
+        });
+
+        test('should stop income and auto-save while switching slots', async () => {
+            const experiment = await game.createSaveSlot('Experiment');
+            const setActiveSlot = game.storageManager.setActiveSlot.bind(game.storageManager);
+            let timersDuringSwitch;
+            jest.spyOn(game.storageManager, 'setActiveSlot').mockImplementation(async (slotId) => {
+                timersDuringSwitch = { income: game.incomeInterval, autoSave: game.autoSaveInterval, save: game.autoSave.timer };
+                return setActiveSlot(slotId);
+            });
+            game.handleSort();
+
+            await game.switchSaveSlot(experiment.id);
+
+            expect(timersDuringSwitch).toEqual({ income: null, autoSave: null, save: null });
+            expect(game.incomeInterval).not.toBeNull();
+            expect(game.autoSaveInterval).not.toBeNull();
+        });
+
+        test('should copy the active slot with its latest progress', async () => {
+            game.changeGold(400);
+
+            const copy = await game.duplicateSaveSlot('main', 'Copy');
+            await game.switchSaveSlot(copy.id);
+
+            expect(game.getPlayerGold()).toBe(500);
+        });
+
+        test('should delete another slot after confirmation', async () => {
+            const experiment = await game.createSaveSlot('Experiment');
+
+            document.querySelector(`.slot-item[data-slot-id="${experiment.id}"] [data-slot-action="delete"]`).click();
+            document.querySelector('.confirmation .modal-btn-confirm').click();
+            await flushPromises();
+
+            expect(document.querySelectorAll('#slot-list .slot-item')).toHaveLength(1);
+        });
+
+        test('should show slot names in the delete confirmation as text', async () => {
+            const name = 'Swords & <b>Shields</b>';
+            const slot = await game.createSaveSlot(name);
+
+            document.querySelector(`.slot-item[data-slot-id="${slot.id}"] [data-slot-action="delete"]`).click();
+
+            const message = document.querySelector('.confirmation .modal-message');
+            expect(message.querySelector('b')).toBeNull();
+            expect(message.textContent).toBe(`Delete ${name}? Its progress cannot be restored.`);
+        });
+    });
+
+    describe('game open in another tab', () => {
+        const LEASE_KEY = 'sword_merge_game_lease_main';
+        const otherTabLease = (extra = {}) => JSON.stringify({ tabId: 'other-tab', slotId: 'main', heartbeatAt: Date.now(), ...extra });
+
+        /**
+         * Write a lease as the other tab would and deliver its storage event to this tab
+         */
+        const writeLeaseFromOtherTab = (value) => {
+            localStorage.setItem(LEASE_KEY, value);
+            window.dispatchEvent(new StorageEvent('storage', { key: LEASE_KEY }));
+        };
+
+        const openSecondTab = async () => {
+            game.dispose();
+            await flushPromises();
+            localStorage.setItem(LEASE_KEY, otherTabLease());
+            game = new GameController();
+            await game.init();
+        };
+
+        beforeEach(() => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+
+        test('should open read-only with a banner while another tab plays the slot', async () => {
+            await openSecondTab();
+
+            expect(game.readOnly).toBe(true);
+            expect(document.getElementById('read-only-banner').hidden).toBe(false);
+            expect(document.getElementById('app').classList.contains('read-only')).toBe(true);
+            expect(game.handleIncomeTick(10)).toBe(0);
+        });
+
+        test('should not write the slot index while loading read-only', async () => {
+            await game.saveGameState();
+            const index = localStorage.getItem('sword_merge_game_slots');
+            jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60 * 1000);
+
+            await openSecondTab();
+
+            expect(game.readOnly).toBe(true);
+            expect(localStorage.getItem('sword_merge_game_slots')).toBe(index);
+        });
+
+        test('should let a read-only tab continue in a free slot', async () => {
+            const experiment = await game.createSaveSlot('Experiment');
+            await openSecondTab();
+
+            expect(await game.switchSaveSlot(experiment.id)).toBe(true);
+
+            expect(game.storageManager.activeSlotId).toBe(experiment.id);
+            expect(game.readOnly).toBe(false);
+            expect(document.getElementById('app').classList.contains('read-only')).toBe(false);
+        });
+
+                test('should not save while read-only', async () => {
+            await openSecondTab();
+            const saved = localStorage.getItem('sword_merge_game_save');
+
+            game.changeGold(500);
+            expect(await game.saveGameState()).toBe(false);
+
+            expect(localStorage.getItem('sword_merge_game_save')).toBe(saved);
+        });
+
+        test('should take over and continue from the other tab\'s latest save', async () => {
+            await openSecondTab();
+            // The other tab saved more progress before handing over
+            const newer = game.storageManager.createNewGameState();
+            newer.player.gold = 4321;
+            newer.generation = 3;
+            localStorage.setItem('sword_merge_game_save', JSON.stringify(newer));
+            const loadGameState = game.loadGameState.bind(game);
+            let readOnlyWhileLoading;
+            jest.spyOn(game, 'loadGameState').mockImplementation(() => {
+                readOnlyWhileLoading = game.readOnly;
+                return loadGameState();
+            });
+
+            document.getElementById('take-over-btn').click();
+            expect(JSON.parse(localStorage.getItem(LEASE_KEY)).takeoverBy).toBe(game.tabs.tabId);
+            writeLeaseFromOtherTab(JSON.stringify({ tabId: game.tabs.tabId, slotId: 'main', heartbeatAt: Date.now() }));
+            await flushPromises();
+
+            expect(readOnlyWhileLoading).toBe(true);
+            expect(game.readOnly).toBe(false);
+            expect(game.getPlayerGold()).toBe(4321);
+            expect(document.getElementById('read-only-banner').hidden).toBe(true);
+            game.changeGold(1);
+            expect(await game.saveGameState()).toBe(true);
+        });
+
+        test('should reload and claim the next generation when the other tab never hands over', async () => {
+            await openSecondTab();
+            game.tabs.takeoverTimeoutMs = 0;
+            // The other tab saved once more, then froze without answering
+            const newer = game.storageManager.createNewGameState();
+            newer.player.gold = 4321;
+            newer.generation = 3;
+            localStorage.setItem('sword_merge_game_save', JSON.stringify(newer));
+
+            expect(await game.takeOverSlot()).toBe(true);
+
+            expect(game.readOnly).toBe(false);
+            expect(game.getPlayerGold()).toBe(4321);
+            // A late save of the frozen tab (generation 4) is now the one refused
+            expect(JSON.parse(localStorage.getItem('sword_merge_game_save')).generation).toBe(4);
+        });
+
+        test('should stay read-only and tell the player when taking over fails', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            await openSecondTab();
+            game.tabs.takeoverTimeoutMs = 0;
+            jest.spyOn(game, 'loadGameState').mockRejectedValue(new Error('Storage unavailable'));
+
+            expect(await game.takeOverSlot()).toBe(false);
+
+            expect(game.readOnly).toBe(true);
+            expect(game.tabs.holds('main')).toBe(false);
+            expect(document.querySelector('.notification').textContent).toBe('Could not take over the save, try again');
+        });
+
+                test('should save and turn read-only when another tab takes over', async () => {
+            game.changeGold(250);
+
+            writeLeaseFromOtherTab(otherTabLease({ tabId: game.tabs.tabId, takeoverBy: 'other-tab' }));
+            await flushPromises();
+
+            expect(game.readOnly).toBe(true);
+            expect(JSON.parse(localStorage.getItem('sword_merge_game_save')).player.gold).toBe(350);
+            expect(JSON.parse(localStorage.getItem(LEASE_KEY)).tabId).toBe('other-tab');
+            expect(document.getElementById('read-only-banner').hidden).toBe(false);
+        });
+
+        test('should stop saving when another tab wrote a newer save', async () => {
+            await game.saveGameState();
+            const newer = JSON.parse(localStorage.getItem('sword_merge_game_save'));
+            newer.player.gold = 7777;
+            newer.generation += 5;
+            localStorage.setItem('sword_merge_game_save', JSON.stringify(newer));
+
+            game.changeGold(1);
+            expect(await game.saveGameState()).toBe(false);
+
+            expect(game.readOnly).toBe(true);
+            expect(JSON.parse(localStorage.getItem('sword_merge_game_save')).player.gold).toBe(7777);
+            expect(document.querySelector('.notification').textContent).toContain('another tab');
+            expect(document.getElementById('read-only-banner').hidden).toBe(false);
+        });
+    });
+
+    describe('achievement progress', () => {
+        test('should save progress only and rebuild titles from the catalog', async () => {
+            game.updateStats('totalMerges', 1);
+            await game.saveGameState();
+            const saved = JSON.parse(localStorage.getItem('sword_merge_game_save'));
+
+            expect(saved.achievements.find(a => a.id === 'first_merge')).toEqual({
+                id: 'first_merge',
+                unlocked: true,
+                unlockedAt: expect.any(String)
+            });
+            expect(saved.achievements.find(a => a.id === 'merge_master')).toEqual({ id: 'merge_master', unlocked: false });
+
+            game.dispose();
+            game = new GameController();
+            await game.init();
+
+            const firstMerge = game.getAchievements().find(a => a.id === 'first_merge');
+            expect(firstMerge.title).toBe('First Merge');
+            expect(firstMerge.unlocked).toBe(true);
+            expect(game.getAchievements().find(a => a.id === 'merge_master').condition.current).toBe(1);
+        });
+
+        test('should show achievements missing from an older save and unlock them if already earned', async () => {
+            // Reached before the achievement existed, so it was never checked
+            game.gameState.stats.maxLevel = 10;
+            await game.saveGameState();
+            const saved = JSON.parse(localStorage.getItem('sword_merge_game_save'));
+            saved.achievements = [{ id: 'first_merge', unlocked: false }];
+            localStorage.setItem('sword_merge_game_save', game.storageManager.serialize(saved));
+
+            game.dispose();
+            game = new GameController();
+            await game.init();
+
+            expect(game.getAchievements()).toHaveLength(4);
+            expect(game.getAchievements().find(a => a.id === 'level_10').unlocked).toBe(true);
+        });
+    });
+
+    describe('quest resets', () => {
+        test('should start new quests when a save from an earlier day loads and keep unclaimed rewards', async () => {
+            const [finished] = game.getQuests().filter(q => q.pool === 'daily');
+            finished.objective.current = finished.objective.target;
+            finished.completed = true;
+            await game.saveGameState();
+            const saved = JSON.parse(localStorage.getItem('sword_merge_game_save'));
+            saved.questPeriods.daily = '2020-01-01';
+            localStorage.setItem('sword_merge_game_save', game.storageManager.serialize(saved));
+
+            game.dispose();
+            game = new GameController();
+            await game.init();
+
+            expect(game.getQuests().map(q => q.id)).not.toContain(finished.id);
+            expect(game.questSystem.periods.daily).not.toBe('2020-01-01');
+            expect(document.getElementById('quest-inbox').hidden).toBe(false);
+
+            const gold = game.getPlayerGold();
+            document.querySelector(`.inbox-claim-btn[data-quest-id="${finished.id}"]`).click();
+
+            expect(game.getPlayerGold()).toBe(gold + finished.reward);
+            expect(document.getElementById('quest-inbox').hidden).toBe(true);
+        });
+
+        test('should reset an open tab at local midnight and save the new quests', async () => {
+            const before = game.getQuests().map(q => q.id);
+            const midnight = new Date(Date.now() + game.questSystem.getResetTimers().daily);
+
+            expect(game.handleQuestClock(new Date(midnight.getTime() - 1))).toBe(false);
+            expect(game.handleQuestClock(midnight)).toBe(true);
+
+            await game.saveGameState();
+            const saved = JSON.parse(localStorage.getItem('sword_merge_game_save'));
+            expect(saved.quests.map(q => q.id)).not.toEqual(before);
+            expect(saved.questPeriods.daily).toBe(game.questSystem.periods.daily);
+            expect(document.querySelector('.quest-pool-timer[data-pool="daily"]').textContent).toMatch(/^Resets in \d/);
+        });
+    });
+
+    describe('quest rerolls', () => {
+        test('should swap a daily quest for free, then charge gold and count the rerolls', async () => {
+            game.changeGold(1000 - game.getPlayerGold());
+            const [daily] = game.getQuests().filter(q => q.pool === 'daily');
+            expect(document.querySelector('.quest-pool[data-pool="daily"] .quest-rerolls').textContent).toBe('Rerolls left: 4');
+
+            document.querySelector(`.quest-reroll-btn[data-quest-id="${daily.id}"]`).click();
+
+            expect(game.getQuests().map(q => q.id)).not.toContain(daily.id);
+            expect(game.getPlayerGold()).toBe(1000);
+            expect(document.querySelector('.quest-rerolls').textContent).toBe('Rerolls left: 3');
+
+            const next = document.querySelector('.quest-reroll-btn');
+            expect(next.textContent).toBe('Reroll (100G)');
+            next.click();
+
+            expect(game.getPlayerGold()).toBe(900);
+            expect(game.getStats().questRerolls).toBe(2);
+
+            await game.saveGameState();
+            const saved = JSON.parse(localStorage.getItem('sword_merge_game_save'));
+            expect(saved.questRerollsUsed).toBe(2);
+        });
+    });
+
+    describe('reward bundles', () => {
+        const completeWithBundle = (bundle) => {
+            const quest = game.questSystem.activeQuests[0];
+            quest.bundle = bundle;
+            quest.objective.current = quest.objective.target;
+            quest.completed = true;
+            game.renderAll();
+            return quest;
+        };
+
+        test('should show the bundle with the quest and grant it on claim', () => {
+            const quest = completeWithBundle({ swords: [{ level: 5, count: 1 }], luckyBoxes: 1, protections: 2, gems: 10 });
+            const items = [...document.querySelectorAll(`.quest-item[data-quest-id="${quest.id}"] .quest-bundle li`)];
+            expect(items.map(item => item.textContent)).toEqual(['Lv.5 sword', '1 lucky box', '2 protections', '10 gems']);
+
+            document.querySelector(`.quest-claim-btn[data-quest-id="${quest.id}"]`).click();
+
+            expect(game.getPlayerGold()).toBe(100 + quest.reward);
+            expect(game.gameState.player).toMatchObject({ luckyBoxes: 1, protections: 2, gems: 10 });
+            expect(game.inventory.getSword(0).level).toBe(5);
+            expect(game.getStats().maxLevel).toBe(5);
+            expect(document.getElementById('gem-count').textContent).toBe('10');
+            expect(document.querySelector('.notification').textContent).toContain('Lv.5 sword, 1 lucky box');
+        });
+
+        test('should not count claimed reward gold towards earning quests', () => {
+            const [claimed, earning] = game.questSystem.activeQuests;
+            earning.objective = { type: 'earn_gold', target: 100000, current: 0 };
+            completeWithBundle(undefined);
+
+            document.querySelector(`.quest-claim-btn[data-quest-id="${claimed.id}"]`).click();
+
+            expect(game.getPlayerGold()).toBe(100 + claimed.reward);
+            expect(earning.objective.current).toBe(0);
+            game.inventory.addSword(createSword(2, 0), 0);
+            game.sellSword(0);
+            expect(earning.objective.current).toBe(20);
+        });
+
+                test('should keep reward swords for later when the inventory is full', async () => {
+            for (let i = 0; i < 25; i++) {
+                game.inventory.addSword(createSword(1, 0), i);
+            }
+            const quest = completeWithBundle({ swords: [{ level: 6, count: 1 }] });
+
+            document.querySelector(`.quest-claim-btn[data-quest-id="${quest.id}"]`).click();
+
+            expect(document.getElementById('pending-rewards').hidden).toBe(false);
+            expect(document.querySelector('.pending-collect-btn').disabled).toBe(true);
+
+            await game.saveGameState();
+            const saved = JSON.parse(localStorage.getItem('sword_merge_game_save'));
+            expect(saved.pendingRewards).toEqual([{ id: expect.any(String), level: 6, source: quest.title }]);
+
+            game.sellSword(3);
+            game.renderAll();
+            document.querySelector('.pending-collect-btn').click();
+
+            expect(game.inventory.getSword(3).level).toBe(6);
+            expect(game.getStats().maxLevel).toBe(6);
+            expect(document.getElementById('pending-rewards').hidden).toBe(true);
+        });
+
+        test('should open free lucky boxes from the shop', () => {
+            game.gameState.player.luckyBoxes = 1;
+            game.renderAll();
+            const button = document.getElementById('open-lucky-box-btn');
+            expect(button.hidden).toBe(false);
+
+            button.click();
+
+            expect(game.inventory.countSwords()).toBe(1);
+            expect(game.getPlayerGold()).toBe(100);
+            expect(game.getStats().totalPurchases).toBe(0);
+            expect(game.getStats().maxLevel).toBe(game.inventory.getSword(0).level);
+            expect(button.hidden).toBe(true);
+        });
+
+        test('should use a protection to save a sword from destruction', () => {
+            game.gameState.player.protections = 1;
+            game.inventory.addSword(createSword(2, 0), 0);
+            game.renderAll();
+            jest.spyOn(game.enhancementSystem, 'enhance').mockReturnValue('DESTROY');
+
+            document.querySelector('.inventory-slot[data-position="0"] [data-action="enhance"]').click();
+
+            expect(game.inventory.getSword(0)).not.toBeNull();
+            expect(game.gameState.player.protections).toBe(0);
+            expect(document.querySelector('.enhancement-result .modal-message').textContent).toContain('Protection used');
+
+            game.handleEnhancement(0);
+            expect(game.inventory.getSword(0)).toBeNull();
+        });
+    });
+
+    describe('tampered saves', () => {
+        test('should keep playing an edited save and mark it as modded', async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            await game.saveGameState();
+            const edited = JSON.parse(localStorage.getItem('sword_merge_game_save'));
+            edited.player.gold = 1e15;
+            localStorage.setItem('sword_merge_game_save', JSON.stringify(edited));
+
+            game.dispose();
+            game = new GameController();
+            await game.init();
+
+            expect(game.getPlayerGold()).toBe(1e15);
+            expect(game.getStats().modded).toBe(true);
+            expect(document.querySelector('.notification').textContent).toContain('marked as modded');
+        });
+    });
+
+    describe('repaired saves', () => {
+        test('should tell the player about fixes and save them', async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            game.inventory.addSword(createSword(3, 0), 0);
+            game.gameState.stats.maxLevel = 3;
+            await game.saveGameState();
+            const stale = JSON.parse(localStorage.getItem('sword_merge_game_save'));
+            // Written by an older version, a stale value in a current save would count as tampering
+            stale.version = '1.7.0';
+            stale.inventory[0].sword.goldValue = 1;
+            localStorage.setItem('sword_merge_game_save', game.storageManager.serialize(stale));
+
+            game.dispose();
+            game = new GameController();
+            await game.init();
+
+            expect(game.inventory.getSword(0).goldValue).toBe(40);
+            expect(document.querySelector('.notification').textContent).toBe('Fixed 1 problem(s) in your save');
+            expect(game.autoSave.isDirty()).toBe(true);
+            await game.autoSave.flush();
+            expect(JSON.parse(localStorage.getItem('sword_merge_game_save')).inventory[0].sword.goldValue).toBe(40);
+        });
+    });
+
+    describe('corrupted save recovery', () => {
+        const restart = async () => {
+            game.dispose();
+            game = new GameController();
+            await game.init();
+        };
+
+        beforeEach(async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            game.changeGold(900);
+            await game.saveGameState();
+            localStorage.setItem('sword_merge_game_save', '{"version": "1.1.0", "player": ');
+        });
+
+        test('should not overwrite the damaged save before the player chooses', async () => {
+            await restart();
+
+            expect(document.querySelector('.recovery')).not.toBeNull();
+            expect(await game.saveGameState()).toBe(false);
+            expect(localStorage.getItem('sword_merge_game_save')).toBe('{"version": "1.1.0", "player": ');
+        });
+
+        test('should restore the chosen backup and save it', async () => {
+            await restart();
+
+            document.querySelector('.recovery-option[data-index="0"]').click();
+            await flushPromises();
+
+            expect(game.getPlayerGold()).toBe(1000);
+            expect(document.getElementById('gold-amount').textContent).toBe('1,000');
+            expect(JSON.parse(localStorage.getItem('sword_merge_game_save')).player.gold).toBe(1000);
+        });
+
+        test('should ask for confirmation before starting over', async () => {
+            await restart();
+
+            document.querySelector('.recovery-new-game').click();
+            expect(game.recoveryOptions).not.toBeNull();
+
+            document.querySelector('.confirmation .modal-btn-confirm').click();
+            expect(game.recoveryOptions).toBeNull();
+            expect(game.getPlayerGold()).toBe(100);
+        });
+    });
+
+    test('should buy a sword and re-render when the shop button is clicked', () => {
+        document.getElementById('buy-sword-btn').click();
+
+        expect(game.inventory.countSwords()).toBe(1);
+        expect(document.getElementById('gold-amount').textContent).toBe('80');
+        expect(document.querySelectorAll('#inventory-grid .inventory-slot.occupied')).toHaveLength(1);
+    });
+
+    test('should sort the inventory when the sort button is clicked', () => {
+        game.inventory.addSword(createSword(1, 0), 4);
+        game.inventory.addSword(createSword(3, 0), 9);
+
+        document.getElementById('sort-btn').click();
+
+        expect(game.inventory.getSword(0).level).toBe(3);
+        expect(game.inventory.getSword(1).level).toBe(1);
+    });
+
+    test('should sell all swords only after confirmation', () => {
+        game.inventory.addSword(createSword(2, 0), 0);
+
+        document.getElementById('sell-all-btn').click();
+        expect(game.inventory.countSwords()).toBe(1);
+
+        document.querySelector('.modal-btn-confirm').click();
+        expect(game.inventory.countSwords()).toBe(0);
+        expect(game.getPlayerGold()).toBe(120);
+    });
+
+    test('should sell a single sword from its slot button', () => {
+        game.inventory.addSword(createSword(1, 0), 3);
+        game.renderAll();
+
+        document.querySelector('.inventory-slot[data-position="3"] [data-action="sell"]').click();
+
+        expect(game.inventory.getSword(3)).toBeNull();
+        expect(game.getPlayerGold()).toBe(110);
+    });
+
+    test('should enhance a sword from its slot button and show the new level', () => {
+        game.inventory.addSword(createSword(2, 0), 0);
+        game.renderAll();
+        jest.spyOn(game.enhancementSystem, 'enhance').mockReturnValue('SUCCESS');
+
+        document.querySelector('.inventory-slot[data-position="0"] [data-action="enhance"]').click();
+
+        expect(game.inventory.getSword(0).enhancement).toBe(1);
+        expect(document.querySelector('.inventory-slot[data-position="0"] .sword-enhancement').textContent).toBe('+1');
+        expect(document.querySelector('.enhancement-result .modal-message').textContent).toContain('+1');
+        expect(game.getPlayerGold()).toBe(50);
+    });
+
+    test('should refuse to enhance without enough gold', () => {
+        game.inventory.addSword(createSword(2, 2), 0);
+        game.renderAll();
+        const enhance = jest.spyOn(game.enhancementSystem, 'enhance');
+
+        const result = game.handleEnhancement(0);
+
+        expect(result.success).toBe(false);
+        expect(result.cost).toBe(200);
+        expect(result.error).toContain('Insufficient gold');
+        expect(enhance).not.toHaveBeenCalled();
+        expect(game.getPlayerGold()).toBe(100);
+        expect(game.getStats().totalEnhancements).toBe(0);
+    });
+
+    test('should claim a completed quest from the quest list', () => {
+        const quest = game.questSystem.activeQuests[0];
+        quest.objective.current = quest.objective.target;
+        quest.completed = true;
+        game.renderAll();
+
+        document.querySelector(`.quest-claim-btn[data-quest-id="${quest.id}"]`).click();
+
+        expect(quest.claimed).toBe(true);
+        expect(game.getPlayerGold()).toBe(100 + quest.reward);
+    });
+
+    test('should complete a level quest when a merge creates a sword of that level', () => {
+        const quest = game.questSystem.activeQuests[0];
+        quest.objective = { type: 'reach_level', target: 7, current: 0 };
+        game.inventory.addSword(createSword(6, 0), 0);
+        game.inventory.addSword(createSword(6, 0), 1);
+
+        game.handleDrop(0, 1);
+
+        expect(quest.completed).toBe(true);
+        expect(quest.objective.current).toBe(7);
+    });
+
+    test('should restore the selected enhancement table from the save', async () => {
+        game.setEnhancementTable('prd');
+        game.dispose();
+        await game.storageManager.whenIdle();
+
+        game = new GameController();
+        await game.init();
+
+        expect(game.enhancementSystem.activeTableName).toBe('prd');
+        expect(game.enhancementSystem.getEnhancementConfig(0).destroyRate).toBeCloseTo(0.1);
+    });
+
+    test('should save and resume the RNG sequence', async () => {
+        game.reseed(1234);
+        game.random.next();
+        await game.saveGameState();
+        game.dispose();
+        const expected = game.random.getState();
+
+        game = new GameController();
+        await game.init();
+
+        expect(game.random.getState()).toEqual(expected);
+    });
+
+    test('should not repeat sword IDs after reseeding to a used seed', () => {
+        game.reseed(1234);
+        game.handlePurchase('basic');
+        game.reseed(1234);
+        game.handlePurchase('basic');
+
+        expect(game.inventory.getSword(0).id).not.toBe(game.inventory.getSword(1).id);
+        expect(findSemanticIssues(game.gameState)).toEqual([]);
+    });
+
+        describe('drag and drop', () => {
+        const dropOnto = (sourcePosition, targetPosition) => {
+            game.dragDropHandler.draggedPosition = sourcePosition;
+            const slot = document.querySelector(`.inventory-slot[data-position="${targetPosition}"]`);
+            slot.dispatchEvent(new Event('drop', { cancelable: true }));
+        };
+
+        test('should route merges through the controller and update stats', () => {
+            game.inventory.addSword(createSword(2, 0), 0);
+            game.inventory.addSword(createSword(2, 0), 1);
+            game.renderAll();
+
+            dropOnto(0, 1);
+
+            expect(game.inventory.getSword(0)).toBeNull();
+            expect(game.inventory.getSword(1).level).toBe(3);
+            expect(game.getStats().totalMerges).toBe(1);
+            expect(game.getStats().maxLevel).toBe(3);
+            expect(document.querySelectorAll('#inventory-grid .inventory-slot.occupied')).toHaveLength(1);
+        });
+
+        test('should move a sword to an empty slot', () => {
+            game.inventory.addSword(createSword(1, 0), 0);
+            game.renderAll();
+
+            dropOnto(0, 7);
+
+            expect(game.inventory.getSword(0)).toBeNull();
+            expect(game.inventory.getSword(7).level).toBe(1);
+            expect(game.getStats().totalMerges).toBe(0);
+        });
+
+        test('should swap swords of different levels', () => {
+            game.inventory.addSword(createSword(1, 0), 0);
+            game.inventory.addSword(createSword(4, 0), 1);
+            game.renderAll();
+
+            dropOnto(0, 1);
+
+            expect(game.inventory.getSword(0).level).toBe(4);
+            expect(game.inventory.getSword(1).level).toBe(1);
+        });
+    });
+});
@@ -4,6 +4,8 @@
  */
 
 import { AchievementSystem } from '../../js/systems/AchievementSystem.js';
+import { EventBus, GameEvents } from '../../js/EventBus.js';
+import { ACHIEVEMENT_DEFINITIONS, ACHIEVEMENT_ALIASES } from '../../js/data/achievements.js';
 
 describe('AchievementSystem - Task 9.1', () => {
     let achievementSystem;
@@ -405,6 +407,71 @@ describe('AchievementSystem - Task 9.1', () => {
         });
     });
 
+    describe('restoreProgress() / exportProgress()', () => {
+        afterEach(() => {
+            Object.keys(ACHIEVEMENT_ALIASES).forEach(id => delete ACHIEVEMENT_ALIASES[id]);
+        });
+
+        test('should rebuild definitions from code and apply saved progress', () => {
+            const dropped = achievementSystem.restoreProgress([
+                { id: 'first_merge', unlocked: true, unlockedAt: '2026-01-02T00:00:00.000Z' }
+            ]);
+
+            expect(dropped).toEqual([]);
+            expect(achievementSystem.achievements.map(a => a.id)).toEqual(ACHIEVEMENT_DEFINITIONS.map(d => d.id));
+            const firstMerge = achievementSystem.achievements.find(a => a.id === 'first_merge');
+            expect(firstMerge.title).toBe('First Merge');
+            expect(firstMerge.unlocked).toBe(true);
+            expect(firstMerge.unlockedAt).toBe('2026-01-02T00:00:00.000Z');
+        });
+
+        test('should ignore titles and thresholds stored by older saves', () => {
+            achievementSystem.restoreProgress([
+                { id: 'merge_master', title: 'Old title', condition: { type: 'total_merges', threshold: 5, current: 5 }, unlocked: false }
+            ]);
+
+            const mergeMaster = achievementSystem.achievements.find(a => a.id === 'merge_master');
+            expect(mergeMaster.title).toBe('Merge Master');
+            expect(mergeMaster.condition).toEqual({ type: 'total_merges', threshold: 100, current: 0 });
+        });
+
+        test('should carry progress over to a renamed achievement', () => {
+            ACHIEVEMENT_ALIASES.merge_one = 'first_merge';
+
+            const dropped = achievementSystem.restoreProgress([{ id: 'merge_one', unlocked: true }]);
+
+            expect(dropped).toEqual([]);
+            expect(achievementSystem.achievements.find(a => a.id === 'first_merge').unlocked).toBe(true);
+        });
+
+        test('should drop progress of removed or unknown achievements', () => {
+            ACHIEVEMENT_ALIASES.retired = null;
+
+            const dropped = achievementSystem.restoreProgress([
+                { id: 'retired', unlocked: true },
+                { id: 'never_existed', unlocked: true },
+                null
+            ]);
+
+            expect(dropped).toEqual(['retired', 'never_existed']);
+            expect(achievementSystem.achievements.every(a => !a.unlocked)).toBe(true);
+        });
+
+        test('should export only id, unlocked and unlockedAt', () => {
+            achievementSystem.unlockAchievement('level_10');
+
+            const progress = achievementSystem.exportProgress();
+
+            expect(progress).toHaveLength(ACHIEVEMENT_DEFINITIONS.length);
+            expect(progress.find(p => p.id === 'level_10')).toEqual({
+                id: 'level_10',
+                unlocked: true,
+                unlockedAt: expect.any(Date)
+            });
+            expect(progress.find(p => p.id === 'first_merge')).toEqual({ id: 'first_merge', unlocked: false });
+        });
+    });
+
     describe('Achievement scenarios', () => {
         test('should handle complete achievement workflow', () => {
             // Initial state
@@ -575,4 +642,20 @@ describe('AchievementSystem - Task 9.1', () => {
             }).toThrow();
         });
     });
+
+    describe('connect()', () => {
+        test('should check achievements and emit achievement:unlocked on stats:changed', () => {
+            const events = new EventBus();
+            const unlocked = [];
+            achievementSystem.connect(events);
+            events.on(GameEvents.ACHIEVEMENT_UNLOCKED, ({ achievement }) => unlocked.push(achievement.id));
+
+            events.emit(GameEvents.STATS_CHANGED, {
+                statType: 'totalMerges',
+                stats: { totalMerges: 1, maxLevel: 2, totalGoldEarned: 0, totalEnhancements: 0 }
+            });
+
+            expect(unlocked).toEqual(['first_merge']);
+        });
+    });
 });
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for AutoSaveScheduler
+ * Requirements: 12.4
+ */
+
+import { jest } from '@jest/globals';
+import { AutoSaveScheduler, SaveParts } from '../../js/systems/AutoSaveScheduler.js';
+
+describe('AutoSaveScheduler', () => {
+    let save;
+    let scheduler;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        save = jest.fn(async () => true);
+        scheduler = new AutoSaveScheduler(save, { debounceMs: 1000, maxDelayMs: 5000 });
+    });
+
+    afterEach(() => {
+        scheduler.cancel();
+        jest.useRealTimers();
+    });
+
+    test('should start clean', () => {
+        expect(scheduler.isDirty()).toBe(false);
+        expect(scheduler.getDirtyParts()).toEqual([]);
+    });
+
+    test('should track which parts changed', () => {
+        scheduler.markDirty(SaveParts.PLAYER);
+        scheduler.markDirty(SaveParts.INVENTORY, SaveParts.PLAYER);
+
+        expect(scheduler.getDirtyParts().sort()).toEqual(['inventory', 'player']);
+    });
+
+    test('should not schedule a save when only marking', () => {
+        scheduler.markDirty(SaveParts.PLAYER);
+        jest.advanceTimersByTime(10000);
+
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    test('should save once after a burst of changes settles', () => {
+        for (let i = 0; i < 20; i++) {
+            scheduler.schedule(SaveParts.INVENTORY);
+            jest.advanceTimersByTime(100);
+        }
+        expect(save).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1000);
+
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(save).toHaveBeenCalledWith(['inventory']);
+    });
+
+    test('should save by the maximum delay while changes keep coming', () => {
+        for (let i = 0; i < 60; i++) {
+            scheduler.schedule(SaveParts.INVENTORY);
+            jest.advanceTimersByTime(500);
+        }
+
+        // 30 seconds of changes every 500ms, one save per 5 seconds
+        expect(save).toHaveBeenCalledTimes(6);
+    });
+
+    test('should be clean after a save', async () => {
+        scheduler.schedule(SaveParts.QUESTS);
+
+        await scheduler.flush();
+
+        expect(scheduler.isDirty()).toBe(false);
+    });
+
+    test('should skip flushing when nothing changed', async () => {
+        expect(await scheduler.flush()).toBe(false);
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    test('should save when forced even if nothing changed', async () => {
+        expect(await scheduler.flush(true)).toBe(true);
+        expect(save).toHaveBeenCalledWith([]);
+    });
+
+    test('should cancel the scheduled save when flushed early', async () => {
+        scheduler.schedule(SaveParts.PLAYER);
+        await scheduler.flush();
+
+        jest.advanceTimersByTime(10000);
+
+        expect(save).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep parts dirty when the save fails', async () => {
+        save.mockResolvedValueOnce(false);
+        scheduler.markDirty(SaveParts.STATS);
+
+        expect(await scheduler.flush()).toBe(false);
+
+        expect(scheduler.getDirtyParts()).toEqual(['stats']);
+    });
+
+    test('should keep changes made while a save is in flight', async () => {
+        let finish;
+        save.mockImplementationOnce(() => new Promise(resolve => {
+            finish = resolve;
+        }));
+        scheduler.markDirty(SaveParts.PLAYER);
+
+        const flushing = scheduler.flush();
+        scheduler.markDirty(SaveParts.INVENTORY);
+        finish(true);
+        await flushing;
+
+        expect(scheduler.getDirtyParts()).toEqual(['inventory']);
+    });
+});
@@ -3,8 +3,10 @@
  * Requirements: 4.1, 4.2, 4.3, 4.4
  */
 
-import { EnhancementSystem, EnhancementResult } from '../../js/systems/EnhancementSystem.js';
+import { jest } from '@jest/globals';
+import { EnhancementSystem, EnhancementResult, MAX_ENHANCEMENT_HISTORY } from '../../js/systems/EnhancementSystem.js';
 import { createSword } from '../../js/models/Sword.js';
+import { calculateGoldValue } from '../../js/utils.js';
 
 describe('EnhancementSystem', () => {
     let enhancementSystem;
@@ -13,6 +15,23 @@ describe('EnhancementSystem', () => {
         enhancementSystem = new EnhancementSystem();
     });
 
+    describe('getEnhancementCost', () => {
+        test('should cost 50 gold at enhancement 0', () => {
+            expect(enhancementSystem.getEnhancementCost(createSword(1, 0))).toBe(50);
+        });
+
+        test('should double the cost with each enhancement level', () => {
+            expect(enhancementSystem.getEnhancementCost(createSword(1, 1))).toBe(100);
+            expect(enhancementSystem.getEnhancementCost(createSword(1, 4))).toBe(800);
+            expect(enhancementSystem.getEnhancementCost(createSword(1, 6))).toBe(3200);
+        });
+
+        test('should not depend on sword level', () => {
+            expect(enhancementSystem.getEnhancementCost(createSword(9, 2)))
+                .toBe(enhancementSystem.getEnhancementCost(createSword(1, 2)));
+        });
+    });
+
     describe('getEnhancementConfig', () => {
         test('should return correct probabilities for enhancement level 0', () => {
             const config = enhancementSystem.getEnhancementConfig(0);
@@ -107,40 +126,154 @@ describe('EnhancementSystem', () => {
         test('should return SUCCESS when roll is less than successRate', () => {
             const config = { successRate: 0.9, maintainRate: 0.1, destroyRate: 0 };
             
-            // Mock Math.random to return a value less than successRate
-            const originalRandom = Math.random;
-            Math.random = () => 0.5; // 0.5 < 0.9
+            // Stub the RNG to return a value less than successRate
+            enhancementSystem.random = { next: () => 0.5 }; // 0.5 < 0.9
             
             const result = enhancementSystem.rollEnhancement(config);
             expect(result).toBe(EnhancementResult.SUCCESS);
-            
-            Math.random = originalRandom;
         });
 
         test('should return MAINTAIN when roll is between successRate and successRate+maintainRate', () => {
             const config = { successRate: 0.6, maintainRate: 0.3, destroyRate: 0.1 };
             
-            // Mock Math.random to return a value in the maintain range
-            const originalRandom = Math.random;
-            Math.random = () => 0.7; // 0.6 < 0.7 < 0.9
+            // Stub the RNG to return a value in the maintain range
+            enhancementSystem.random = { next: () => 0.7 }; // 0.6 < 0.7 < 0.9
             
             const result = enhancementSystem.rollEnhancement(config);
             expect(result).toBe(EnhancementResult.MAINTAIN);
-            
-            Math.random = originalRandom;
         });
 
         test('should return DESTROY when roll is greater than successRate+maintainRate', () => {
             const config = { successRate: 0.5, maintainRate: 0.3, destroyRate: 0.2 };
             
-            // Mock Math.random to return a value in the destroy range
-            const originalRandom = Math.random;
-            Math.random = () => 0.95; // 0.95 > 0.8
+            // Stub the RNG to return a value in the destroy range
+            enhancementSystem.random = { next: () => 0.95 }; // 0.95 > 0.8
             
             const result = enhancementSystem.rollEnhancement(config);
             expect(result).toBe(EnhancementResult.DESTROY);
-            
-            Math.random = originalRandom;
+        });
+    });
+
+    describe('applyResult', () => {
+        test('should increase enhancement and recalculate gold value on SUCCESS', () => {
+            const sword = createSword(5, 2);
+
+            const diff = enhancementSystem.applyResult(sword, EnhancementResult.SUCCESS);
+
+            expect(sword.enhancement).toBe(3);
+            expect(sword.goldValue).toBe(calculateGoldValue(5, 3));
+            expect(diff.before).toEqual({ level: 5, enhancement: 2, goldValue: calculateGoldValue(5, 2) });
+            expect(diff.after).toEqual({ level: 5, enhancement: 3, goldValue: calculateGoldValue(5, 3) });
+        });
+
+        test('should leave the sword unchanged on MAINTAIN', () => {
+            const sword = createSword(3, 1);
+
+            const diff = enhancementSystem.applyResult(sword, EnhancementResult.MAINTAIN);
+
+            expect(sword.enhancement).toBe(1);
+            expect(diff.after).toEqual(diff.before);
+        });
+
+        test('should return a null after snapshot on DESTROY', () => {
+            const sword = createSword(3, 1);
+
+            const diff = enhancementSystem.applyResult(sword, EnhancementResult.DESTROY);
+
+            expect(diff.before.enhancement).toBe(1);
+            expect(diff.after).toBeNull();
+        });
+
+        test('should record every attempt in the sword history', () => {
+            const sword = createSword(2, 0);
+
+            enhancementSystem.applyResult(sword, EnhancementResult.SUCCESS);
+            enhancementSystem.applyResult(sword, EnhancementResult.MAINTAIN);
+
+            expect(sword.enhancementHistory).toHaveLength(2);
+            expect(sword.enhancementHistory[0]).toMatchObject({ result: 'SUCCESS', from: 0, to: 1 });
+            expect(sword.enhancementHistory[1]).toMatchObject({ result: 'MAINTAIN', from: 1, to: 1 });
+        });
+
+        test('should keep only the newest history entries', () => {
+            const sword = createSword(2, 0);
+
+            for (let i = 0; i < MAX_ENHANCEMENT_HISTORY + 5; i++) {
+                enhancementSystem.applyResult(sword, EnhancementResult.SUCCESS);
+            }
+
+            expect(sword.enhancementHistory).toHaveLength(MAX_ENHANCEMENT_HISTORY);
+            expect(sword.enhancementHistory[MAX_ENHANCEMENT_HISTORY - 1].to).toBe(MAX_ENHANCEMENT_HISTORY + 5);
+        });
+    });
+
+    describe('probability tables', () => {
+        test('should use the classic table by default', () => {
+            expect(enhancementSystem.activeTableName).toBe('classic');
+        });
+
+        test('should follow the PRD table when selected', () => {
+            expect(enhancementSystem.setTable('prd')).toBe(true);
+
+            const config0 = enhancementSystem.getEnhancementConfig(0);
+            expect(config0.successRate).toBeCloseTo(0.7);
+            expect(config0.maintainRate).toBeCloseTo(0.2);
+            expect(config0.destroyRate).toBeCloseTo(0.1);
+
+            const config6 = enhancementSystem.getEnhancementConfig(6);
+            expect(config6.successRate).toBeCloseTo(0.3);
+            expect(config6.maintainRate).toBeCloseTo(0.6);
+            expect(config6.destroyRate).toBeCloseTo(0.1);
+        });
+
+        test('should accept a table name in the constructor', () => {
+            const system = new EnhancementSystem('prd');
+
+            expect(system.activeTableName).toBe('prd');
+        });
+
+        test('should keep the current table when an unknown name is selected', () => {
+            const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(enhancementSystem.setTable('missing')).toBe(false);
+            expect(enhancementSystem.activeTableName).toBe('classic');
+
+            spy.mockRestore();
+        });
+
+        test('should resolve piecewise segments in order', () => {
+            enhancementSystem.setTable('gentle');
+
+            expect(enhancementSystem.getEnhancementConfig(2).destroyRate).toBeCloseTo(0);
+            expect(enhancementSystem.getEnhancementConfig(3).destroyRate).toBeCloseTo(0.1);
+        });
+
+        test('should support per-level tables and repeat the last level', () => {
+            enhancementSystem.registerTable('steps', {
+                levels: [
+                    { success: 1, destroy: 0 },
+                    { success: 0.5, destroy: 0.25 }
+                ]
+            });
+            enhancementSystem.setTable('steps');
+
+            expect(enhancementSystem.getEnhancementConfig(0).successRate).toBe(1);
+            expect(enhancementSystem.getEnhancementConfig(1).maintainRate).toBeCloseTo(0.25);
+            expect(enhancementSystem.getEnhancementConfig(9).successRate).toBe(0.5);
+        });
+
+        test('should reject tables whose rates exceed 100%', () => {
+            expect(() => enhancementSystem.registerTable('broken', {
+                segments: [{ success: 0.8, destroy: { base: 0, perLevel: 0.1 } }]
+            })).toThrow('invalid rates at +3');
+        });
+
+        test('should reject tables without segments or levels', () => {
+            expect(() => enhancementSystem.registerTable('empty', {})).toThrow('needs either segments or levels');
+        });
+
+        test('should list registered table names', () => {
+            expect(enhancementSystem.getTableNames()).toEqual(expect.arrayContaining(['classic', 'prd']));
         });
     });
 });
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for EventBus
+ */
+
+import { jest } from '@jest/globals';
+import { EventBus, GameEvents } from '../../js/EventBus.js';
+
+describe('EventBus', () => {
+    let events;
+
+    beforeEach(() => {
+        events = new EventBus();
+    });
+
+    test('should deliver payloads to subscribers', () => {
+        const listener = jest.fn();
+        events.on(GameEvents.GOLD_CHANGED, listener);
+
+        events.emit(GameEvents.GOLD_CHANGED, { gold: 120, delta: 20 });
+
+        expect(listener).toHaveBeenCalledWith({ gold: 120, delta: 20 });
+    });
+
+    test('should not deliver other event types', () => {
+        const listener = jest.fn();
+        events.on(GameEvents.SWORD_MERGED, listener);
+
+        events.emit(GameEvents.SWORD_SOLD, { swords: [], gold: 0 });
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('should stop delivering after unsubscribe', () => {
+        const listener = jest.fn();
+        const unsubscribe = events.on(GameEvents.GOLD_CHANGED, listener);
+
+        unsubscribe();
+        events.emit(GameEvents.GOLD_CHANGED, { gold: 0, delta: 0 });
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('should deliver once() listeners a single time', () => {
+        const listener = jest.fn();
+        events.once(GameEvents.QUEST_COMPLETED, listener);
+
+        events.emit(GameEvents.QUEST_COMPLETED, { quest: {} });
+        events.emit(GameEvents.QUEST_COMPLETED, { quest: {} });
+
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('should throw on unknown event types', () => {
+        expect(() => events.on('sword:teleported', () => {})).toThrow('Unknown game event');
+        expect(() => events.emit('sword:teleported')).toThrow('Unknown game event');
+    });
+
+    test('should keep notifying other listeners when one throws', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const listener = jest.fn();
+        events.on(GameEvents.STATS_CHANGED, () => {
+            throw new Error('boom');
+        });
+        events.on(GameEvents.STATS_CHANGED, listener);
+
+        events.emit(GameEvents.STATS_CHANGED, { statType: 'totalMerges', stats: {} });
+
+        expect(listener).toHaveBeenCalled();
+        expect(console.error).toHaveBeenCalled();
+        console.error.mockRestore();
+    });
+
+    test('should remove all listeners on clear()', () => {
+        const listener = jest.fn();
+        events.on(GameEvents.GOLD_CHANGED, listener);
+
+        events.clear();
+        events.emit(GameEvents.GOLD_CHANGED, { gold: 0, delta: 0 });
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
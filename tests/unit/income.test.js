@@ -0,0 +1,133 @@
+/**
+ * Unit tests for IncomeSystem
+ * PRD: 4.2.2, 4.9.2
+ */
+
+import { IncomeSystem } from '../../js/systems/IncomeSystem.js';
+import { InventoryManager } from '../../js/systems/InventoryManager.js';
+import { EventBus, GameEvents } from '../../js/EventBus.js';
+import { createSword } from '../../js/models/Sword.js';
+import { calculateGoldPerSecond } from '../../js/utils.js';
+
+describe('IncomeSystem', () => {
+    let income;
+    let inventory;
+
+    beforeEach(() => {
+        income = new IncomeSystem();
+        inventory = new InventoryManager();
+    });
+
+    describe('getGoldPerSecond()', () => {
+        test('should be 0 for an empty inventory', () => {
+            expect(income.getGoldPerSecond(inventory)).toBe(0);
+        });
+
+        test('should sum the income of every sword', () => {
+            inventory.addSword(createSword(1, 0));
+            inventory.addSword(createSword(5, 3));
+
+            expect(income.getGoldPerSecond(inventory))
+                .toBeCloseTo(calculateGoldPerSecond(1, 0) + calculateGoldPerSecond(5, 3));
+        });
+
+        test('should keep the cached rate until invalidated', () => {
+            inventory.addSword(createSword(1, 0));
+            const rate = income.getGoldPerSecond(inventory);
+
+            inventory.addSword(createSword(4, 0));
+            expect(income.getGoldPerSecond(inventory)).toBe(rate);
+
+            income.invalidate();
+            expect(income.getGoldPerSecond(inventory)).toBeGreaterThan(rate);
+        });
+    });
+
+    describe('tick()', () => {
+        test('should pay whole gold and carry fractions over', () => {
+            inventory.addSword(createSword(1, 0)); // 0.1 G/s
+
+            let earned = 0;
+            for (let i = 0; i < 9; i++) {
+                earned += income.tick(inventory, 1);
+            }
+            expect(earned).toBe(0);
+
+            earned += income.tick(inventory, 1);
+            expect(earned).toBe(1);
+        });
+
+        test('should scale with elapsed time', () => {
+            inventory.addSword(createSword(4, 0)); // 10 G/s
+
+            expect(income.tick(inventory, 3)).toBe(30);
+        });
+    });
+
+    describe('connect()', () => {
+        test('should recompute after inventory events and emit income:changed', () => {
+            const events = new EventBus();
+            const rates = [];
+            income.connect(events);
+            events.on(GameEvents.INCOME_CHANGED, ({ goldPerSecond }) => rates.push(goldPerSecond));
+            income.getGoldPerSecond(inventory);
+
+            const sword = createSword(4, 0);
+            inventory.addSword(sword);
+            events.emit(GameEvents.SWORD_PURCHASED, { itemType: 'basic', sword, cost: 20 });
+
+            expect(income.getGoldPerSecond(inventory)).toBeCloseTo(10);
+            expect(rates).toHaveLength(1);
+            expect(rates[0]).toBeCloseTo(10);
+        });
+
+        test('should not emit when the rate is unchanged', () => {
+            const events = new EventBus();
+            const rates = [];
+            income.connect(events);
+            events.on(GameEvents.INCOME_CHANGED, ({ goldPerSecond }) => rates.push(goldPerSecond));
+
+            events.emit(GameEvents.SWORD_SOLD, { swords: [], gold: 0 });
+            income.getGoldPerSecond(inventory);
+
+            expect(rates).toEqual([]);
+        });
+    });
+
+    describe('calculateOfflineEarnings()', () => {
+        const rules = { capSeconds: 8 * 3600, efficiency: 0.5, minSeconds: 60 };
+
+        beforeEach(() => {
+            inventory.addSword(createSword(4, 0)); // 10 G/s
+        });
+
+        test('should pay the income rate times efficiency for the time away', () => {
+            const earnings = income.calculateOfflineEarnings(inventory, 3600, rules);
+
+            expect(earnings).toEqual({ awaySeconds: 3600, paidSeconds: 3600, gold: 18000, capped: false });
+        });
+
+        test('should cap the paid time', () => {
+            const earnings = income.calculateOfflineEarnings(inventory, 24 * 3600, rules);
+
+            expect(earnings.paidSeconds).toBe(8 * 3600);
+            expect(earnings.gold).toBe(144000);
+            expect(earnings.capped).toBe(true);
+        });
+
+        test('should pay nothing for short absences', () => {
+            expect(income.calculateOfflineEarnings(inventory, 30, rules).gold).toBe(0);
+        });
+
+        test('should pay nothing when the clock went backwards', () => {
+            const earnings = income.calculateOfflineEarnings(inventory, -7200, rules);
+
+            expect(earnings.gold).toBe(0);
+            expect(earnings.awaySeconds).toBe(0);
+        });
+
+        test('should pay nothing for an invalid timestamp', () => {
+            expect(income.calculateOfflineEarnings(inventory, NaN, rules).gold).toBe(0);
+        });
+    });
+});
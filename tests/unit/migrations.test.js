@@ -0,0 +1,162 @@
+/**
+ * Unit tests for save migrations
+ * Requirements: 12.2, 12.3
+ */
+
+import { MigrationRegistry, SAVE_MIGRATIONS } from '../../js/systems/SaveMigrations.js';
+
+describe('MigrationRegistry', () => {
+    const steps = [
+        { from: '1.0.0', to: '1.1.0', description: 'add a', migrate: (state) => ({ ...state, a: 1 }) },
+        { from: '1.1.0', to: '2.0.0', description: 'rename a to b', migrate: ({ a, ...rest }) => ({ ...rest, b: a }) }
+    ];
+
+    test('should run migrations in order up to the target version', () => {
+        const registry = new MigrationRegistry(steps);
+
+        const { state, applied } = registry.migrate({ version: '1.0.0' }, '2.0.0');
+
+        expect(state).toEqual({ version: '2.0.0', b: 1 });
+        expect(applied.map(m => `${m.from}->${m.to}`)).toEqual(['1.0.0->1.1.0', '1.1.0->2.0.0']);
+    });
+
+    test('should start from the save version', () => {
+        const registry = new MigrationRegistry(steps);
+
+        const { state, applied } = registry.migrate({ version: '1.1.0', a: 5 }, '2.0.0');
+
+        expect(state.b).toBe(5);
+        expect(applied).toHaveLength(1);
+    });
+
+    test('should do nothing for a current save', () => {
+        const registry = new MigrationRegistry(steps);
+
+        const { state, applied } = registry.migrate({ version: '2.0.0', b: 3 }, '2.0.0');
+
+        expect(state).toEqual({ version: '2.0.0', b: 3 });
+        expect(applied).toEqual([]);
+    });
+
+    test('should not modify the input object', () => {
+        const registry = new MigrationRegistry(steps);
+        const original = { version: '1.0.0', nested: { x: 1 } };
+
+        registry.migrate(original, '2.0.0');
+
+        expect(original).toEqual({ version: '1.0.0', nested: { x: 1 } });
+    });
+
+    test('should throw when no path exists', () => {
+        const registry = new MigrationRegistry(steps);
+
+        expect(() => registry.migrate({ version: '3.0.0' }, '2.0.0')).toThrow('No save migration path from 3.0.0');
+    });
+
+    test('should throw on migration cycles', () => {
+        const registry = new MigrationRegistry([
+            { from: 'a', to: 'b', description: '', migrate: s => s },
+            { from: 'b', to: 'a', description: '', migrate: s => s }
+        ]);
+
+        expect(() => registry.migrate({ version: 'a' }, 'c')).toThrow('No save migration path');
+    });
+
+    test('should reject duplicate source versions', () => {
+        const registry = new MigrationRegistry(steps);
+
+        expect(() => registry.register(steps[0])).toThrow('Duplicate save migration');
+    });
+});
+
+describe('SAVE_MIGRATIONS', () => {
+    test('1.0.0 -> 1.1.0 should pin old saves to the classic enhancement table', () => {
+        const registry = new MigrationRegistry(SAVE_MIGRATIONS);
+        const lastSaved = '2026-01-01T00:00:00.000Z';
+
+        const { state } = registry.migrate({ version: '1.0.0', lastSaved }, '1.1.0');
+
+        expect(state.config).toEqual({ enhancementTable: 'classic' });
+        expect(state.lastSeenAt).toBe(Date.parse(lastSaved));
+    });
+
+    test('1.1.0 -> 1.2.0 should start old saves as not modded', () => {
+        const registry = new MigrationRegistry(SAVE_MIGRATIONS);
+
+        const { state } = registry.migrate({ version: '1.1.0', stats: { maxLevel: 3 } }, '1.2.0');
+
+        expect(state.stats).toEqual({ maxLevel: 3, modded: false });
+    });
+
+    test('1.2.0 -> 1.3.0 should keep only achievement progress', () => {
+        const registry = new MigrationRegistry(SAVE_MIGRATIONS);
+        const achievements = [
+            { id: 'first_merge', title: 'Old title', condition: { type: 'total_merges', threshold: 1, current: 1 }, unlocked: true, unlockedAt: '2026-01-02T00:00:00.000Z' },
+            { id: 'merge_master', title: 'Merge Master', condition: { type: 'total_merges', threshold: 100, current: 1 }, unlocked: false },
+            null
+        ];
+
+        const { state } = registry.migrate({ version: '1.2.0', achievements }, '1.3.0');
+
+        expect(state.achievements).toEqual([
+            { id: 'first_merge', unlocked: true, unlockedAt: '2026-01-02T00:00:00.000Z' },
+            { id: 'merge_master', unlocked: false }
+        ]);
+    });
+
+    test('1.3.0 -> 1.4.0 should date the quests to the local day of the last save', () => {
+        const registry = new MigrationRegistry(SAVE_MIGRATIONS);
+        const lastSaved = new Date(2026, 2, 14, 23, 30).toISOString();
+
+        const { state } = registry.migrate({ version: '1.3.0', lastSaved, quests: [] }, '1.4.0');
+
+        expect(state.questDay).toBe('2026-03-14');
+        expect(state.questInbox).toEqual([]);
+    });
+
+    test('1.4.0 -> 1.5.0 should turn existing quests into daily pool quests', () => {
+        const registry = new MigrationRegistry(SAVE_MIGRATIONS);
+        const quest = { id: 'q1', title: 'Merge', objective: { type: 'merge', target: 10, current: 2 }, reward: 100, completed: false, claimed: false };
+
+        const { state } = registry.migrate({ version: '1.4.0', questDay: '2026-03-14', quests: [quest], questInbox: [] }, '1.5.0');
+
+        expect(state.quests).toEqual([{ pool: 'daily', ...quest }]);
+        expect(state.questPeriods).toEqual({ daily: '2026-03-14' });
+        expect(state).not.toHaveProperty('questDay');
+    });
+
+    test('1.7.0 -> 1.8.0 should link quests from before templates to their template by title', () => {
+        const registry = new MigrationRegistry(SAVE_MIGRATIONS);
+        const quest = (title, fields = {}) => ({
+            id: title, pool: 'daily', title, description: '', objective: { type: 'merge', target: 10, current: 0 },
+            reward: 100, completed: false, claimed: false, ...fields
+        });
+
+        const { state } = registry.migrate({
+            version: '1.7.0',
+            quests: [quest('Merge Master'), quest('Custom'), quest('Payday', { templateId: 'payday' })],
+            questInbox: [quest('Forge Week', { pool: 'weekly' })]
+        }, '1.8.0');
+
+        expect(state.quests.map(q => q.templateId)).toEqual(['merge_master', undefined, 'payday']);
+        expect(state.questInbox[0].templateId).toBe('forge_week');
+    });
+
+    test('1.6.0 -> 1.7.0 should give the player empty reward item counters and pending rewards', () => {
+        const registry = new MigrationRegistry(SAVE_MIGRATIONS);
+
+        const { state } = registry.migrate({ version: '1.6.0', player: { gold: 250 }, quests: [] }, '1.7.0');
+
+        expect(state.player).toEqual({ gold: 250, luckyBoxes: 0, protections: 0, gems: 0 });
+        expect(state.pendingRewards).toEqual([]);
+    });
+
+    test('1.5.0 -> 1.6.0 should start the reroll counters at zero', () => {
+        const registry = new MigrationRegistry(SAVE_MIGRATIONS);
+
+        const { state } = registry.migrate({ version: '1.5.0', quests: [], stats: { totalMerges: 3 } }, '1.6.0');
+
+        expect(state.questRerollsUsed).toBe(0);
+        expect(state.stats).toEqual({ totalMerges: 3, questRerolls: 0 });
+    });
+});
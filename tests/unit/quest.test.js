@@ -4,6 +4,12 @@
  */
 
 import { QuestSystem } from '../../js/systems/QuestSystem.js';
+import { EventBus, GameEvents, GoldSource } from '../../js/EventBus.js';
+import { Random } from '../../js/Random.js';
+import { OBJECTIVE_TYPES } from '../../js/systems/QuestObjectives.js';
+import { EnhancementResult } from '../../js/systems/EnhancementSystem.js';
+import { InventoryManager } from '../../js/systems/InventoryManager.js';
+import { createSword } from '../../js/models/Sword.js';
 
 describe('QuestSystem - Task 8.1', () => {
     let questSystem;
@@ -49,7 +55,7 @@ describe('QuestSystem - Task 8.1', () => {
                 expect(quest.objective).toHaveProperty('current');
                 
                 // Validate objective type
-                expect(['merge', 'enhance', 'sell', 'purchase']).toContain(quest.objective.type);
+                expect(Object.keys(OBJECTIVE_TYPES)).toContain(quest.objective.type);
                 
                 // Validate target is positive
                 expect(quest.objective.target).toBeGreaterThan(0);
@@ -108,6 +114,25 @@ describe('QuestSystem - Task 8.1', () => {
         });
     });
 
+    describe('selectRandomQuests()', () => {
+        test('should pick the same quests for the same seed', () => {
+            const a = new QuestSystem(new Random(5)).generateDailyQuests();
+            const b = new QuestSystem(new Random(5)).generateDailyQuests();
+
+            expect(a.map(q => q.templateId)).toEqual(b.map(q => q.templateId));
+            // IDs do not come from the game RNG, a reseed must not repeat them
+            expect(a.map(q => q.id)).not.toEqual(b.map(q => q.id));
+        });
+
+        test('should not return duplicate templates', () => {
+            const templates = [1, 2, 3, 4, 5, 6, 7, 8];
+
+            const selected = questSystem.selectRandomQuests(templates, 8);
+
+            expect(new Set(selected).size).toBe(8);
+        });
+    });
+
     describe('updateProgress()', () => {
         beforeEach(() => {
             questSystem.generateDailyQuests();
@@ -323,7 +348,10 @@ describe('QuestSystem - Task 8.1', () => {
 
     describe('Quest scenarios', () => {
         test('should handle complete quest workflow', () => {
-            questSystem.generateDailyQuests();
+            // Fixed quest, a random one may have a target of 5 or less
+            questSystem.activeQuests = [
+                { id: 'q1', title: 'Merge', description: '', objective: { type: 'merge', target: 10, current: 0 }, reward: 100, completed: false, claimed: false }
+            ];
             const quest = questSystem.activeQuests[0];
             const type = quest.objective.type;
             
@@ -449,4 +477,514 @@ describe('QuestSystem - Task 8.1', () => {
             }).not.toThrow();
         });
     });
+
+    describe('connect()', () => {
+        let events;
+
+        beforeEach(() => {
+            events = new EventBus();
+            questSystem.connect(events);
+            questSystem.activeQuests = [
+                { id: 'q1', title: 'Merge', description: '', objective: { type: 'merge', target: 2, current: 0 }, reward: 100, completed: false, claimed: false },
+                { id: 'q2', title: 'Sell', description: '', objective: { type: 'sell', target: 3, current: 0 }, reward: 80, completed: false, claimed: false }
+            ];
+        });
+
+        test('should count merges from sword:merged events', () => {
+            events.emit(GameEvents.SWORD_MERGED, { sourcePosition: 0, targetPosition: 1, sword: {} });
+
+            expect(questSystem.activeQuests[0].objective.current).toBe(1);
+        });
+
+        test('should count every sold sword from sword:sold events', () => {
+            events.emit(GameEvents.SWORD_SOLD, { swords: [{}, {}, {}], gold: 30 });
+
+            expect(questSystem.activeQuests[1].objective.current).toBe(3);
+            expect(questSystem.activeQuests[1].completed).toBe(true);
+        });
+
+        test('should emit quest:completed once when a quest completes', () => {
+            const completed = [];
+            events.on(GameEvents.QUEST_COMPLETED, ({ quest }) => completed.push(quest.id));
+
+            events.emit(GameEvents.SWORD_MERGED, {});
+            events.emit(GameEvents.SWORD_MERGED, {});
+            events.emit(GameEvents.SWORD_MERGED, {});
+
+            expect(completed).toEqual(['q1']);
+        });
+    });
+
+    describe('objective predicates', () => {
+        let events;
+        let inventory;
+
+        const useQuest = (type, target) => {
+            questSystem.activeQuests = [
+                { id: type, pool: 'daily', title: type, description: '', objective: { type, target, current: 0 }, reward: 100, completed: false, claimed: false }
+            ];
+            return questSystem.activeQuests[0];
+        };
+        const enhance = (result, enhancement) => {
+            const payload = { sword: {}, result, before: {}, after: result === EnhancementResult.DESTROY ? null : { enhancement } };
+            if (result === EnhancementResult.SUCCESS) {
+                events.emit(GameEvents.SWORD_ENHANCED, payload);
+            }
+            events.emit(GameEvents.ENHANCEMENT_ATTEMPTED, payload);
+        };
+
+        beforeEach(() => {
+            events = new EventBus();
+            inventory = new InventoryManager();
+            questSystem.connect(events, () => ({ inventory, stats: {} }));
+        });
+
+        test('should complete a level goal when a sword of that level is created', () => {
+            const quest = useQuest('reach_level', 7);
+
+            events.emit(GameEvents.SWORD_MERGED, { sword: createSword(6, 0) });
+            expect(quest.objective.current).toBe(6);
+
+            events.emit(GameEvents.SWORD_MERGED, { sword: createSword(7, 0) });
+            expect(quest.completed).toBe(true);
+        });
+
+        test('should track the highest enhancement reached', () => {
+            const quest = useQuest('reach_enhancement', 5);
+
+            enhance(EnhancementResult.SUCCESS, 4);
+            enhance(EnhancementResult.SUCCESS, 2);
+
+            expect(quest.objective.current).toBe(4);
+            enhance(EnhancementResult.SUCCESS, 5);
+            expect(quest.completed).toBe(true);
+        });
+
+        test('should count gold gained but not gold spent', () => {
+            const quest = useQuest('earn_gold', 10000);
+
+            events.emit(GameEvents.GOLD_CHANGED, { gold: 6000, delta: 6000, source: GoldSource.INCOME });
+            events.emit(GameEvents.GOLD_CHANGED, { gold: 1000, delta: -5000, source: GoldSource.PURCHASE });
+            events.emit(GameEvents.GOLD_CHANGED, { gold: 5000, delta: 4000, source: GoldSource.SALE });
+
+            expect(quest.objective.current).toBe(10000);
+            expect(quest.completed).toBe(true);
+        });
+
+        test('should not count quest rewards or offline earnings as earned gold', () => {
+            const quest = useQuest('earn_gold', 10000);
+
+            events.emit(GameEvents.GOLD_CHANGED, { gold: 6000, delta: 6000, source: GoldSource.REWARD });
+            events.emit(GameEvents.GOLD_CHANGED, { gold: 12000, delta: 6000, source: GoldSource.OFFLINE });
+
+            expect(quest.objective.current).toBe(0);
+        });
+
+        test('should count lucky boxes only', () => {
+            const quest = useQuest('open_lucky_box', 2);
+
+            events.emit(GameEvents.SWORD_PURCHASED, { itemType: 'basic', sword: createSword(1, 0), cost: 20 });
+            events.emit(GameEvents.SWORD_PURCHASED, { itemType: 'luckybox', sword: createSword(2, 0), cost: 100 });
+
+            expect(quest.objective.current).toBe(1);
+        });
+
+        test('should count free lucky boxes as opened but not as purchases', () => {
+            const freeBox = { itemType: 'luckybox', sword: createSword(2, 0), cost: 0 };
+
+            const opened = useQuest('open_lucky_box', 5);
+            events.emit(GameEvents.SWORD_PURCHASED, freeBox);
+            expect(opened.objective.current).toBe(1);
+
+            const bought = useQuest('purchase', 5);
+            events.emit(GameEvents.SWORD_PURCHASED, freeBox);
+            expect(bought.objective.current).toBe(0);
+        });
+
+        test('should restart an enhancement streak after a destruction', () => {
+            const quest = useQuest('enhance_streak', 3);
+
+            enhance(EnhancementResult.SUCCESS, 1);
+            enhance(EnhancementResult.MAINTAIN, 1);
+            enhance(EnhancementResult.DESTROY);
+            expect(quest.objective.current).toBe(0);
+
+            enhance(EnhancementResult.MAINTAIN, 0);
+            enhance(EnhancementResult.SUCCESS, 1);
+            enhance(EnhancementResult.SUCCESS, 2);
+            expect(quest.completed).toBe(true);
+        });
+
+        test('should keep the progress a quest was completed with', () => {
+            const quest = useQuest('enhance_streak', 2);
+
+            enhance(EnhancementResult.MAINTAIN, 0);
+            enhance(EnhancementResult.MAINTAIN, 0);
+            enhance(EnhancementResult.DESTROY);
+
+            expect(quest.completed).toBe(true);
+            expect(quest.objective.current).toBe(2);
+        });
+
+        test('should judge a full grid when the day ends', () => {
+            const quest = { ...useQuest('full_grid', 1), templateId: 'packed_armory' };
+            questSystem.activeQuests = [quest];
+            questSystem.restore(questSystem.activeQuests, { daily: '2026-05-09' }, []);
+            for (let i = 0; i < 25; i++) {
+                inventory.addSword(createSword(1, 0), i);
+            }
+
+            questSystem.refreshQuests(new Date(2026, 4, 10, 0, 0));
+
+            expect(quest.completed).toBe(true);
+            expect(questSystem.inbox).toEqual([quest]);
+        });
+
+        test('should fail a full grid goal with an empty slot at the end of the day', () => {
+            const quest = { ...useQuest('full_grid', 1), templateId: 'packed_armory' };
+            questSystem.activeQuests = [quest];
+            questSystem.restore(questSystem.activeQuests, { daily: '2026-05-09' }, []);
+            inventory.addSword(createSword(1, 0), 0);
+
+            questSystem.refreshQuests(new Date(2026, 4, 10, 0, 0));
+
+            expect(quest.completed).toBe(false);
+            expect(questSystem.inbox).toEqual([]);
+        });
+    });
+
+    describe('quest pools', () => {
+        const schedules = {
+            daily: { type: 'daily' },
+            weekly: { type: 'weekly' },
+            event: { type: 'event', windows: [{ id: 'spring', start: '2026-05-12', end: '2026-05-13' }] }
+        };
+        const template = (id, pool, reward) => ({
+            id, pool, type: 'merge', target: 1, weight: 1, minMaxLevel: 0, reward, title: { en: id }, description: { en: id }
+        });
+        const pools = [
+            { id: 'daily', title: 'Daily', schedule: schedules.daily, slots: 2, rewardMultiplier: 1 },
+            { id: 'weekly', title: 'Weekly', schedule: schedules.weekly, slots: 1, rewardMultiplier: 3 },
+            { id: 'event', title: 'Event', schedule: schedules.event, slots: 1, rewardMultiplier: 2 }
+        ];
+        const templates = [
+            template('d1', 'daily', 10), template('d2', 'daily', 20), template('d3', 'daily', 30),
+            template('w1', 'weekly', 100),
+            template('e1', 'event', 50)
+        ];
+        const completedQuest = (id, pool, reward = 100) => ({
+            id, pool, templateId: `${pool[0]}1`, title: id, description: '', objective: { type: 'merge', target: 1, current: 1 }, reward, completed: true, claimed: false
+        });
+        // Sunday 10 May 2026
+        const sunday = new Date(2026, 4, 10, 15, 0);
+
+        beforeEach(() => {
+            questSystem = new QuestSystem(new Random(1), pools, templates);
+        });
+
+        const questsOf = pool => questSystem.activeQuests.filter(quest => quest.pool === pool);
+
+        test('should fill every active pool with its slot count', () => {
+            expect(questSystem.refreshQuests(sunday)).toEqual(['daily', 'weekly']);
+
+            expect(questsOf('daily')).toHaveLength(2);
+            expect(questsOf('weekly')).toHaveLength(1);
+            expect(questsOf('event')).toHaveLength(0);
+            expect(questSystem.periods).toEqual({ daily: '2026-05-10', weekly: '2026-05-04', event: null });
+        });
+
+        test('should scale rewards by the pool multiplier', () => {
+            questSystem.refreshQuests(sunday);
+
+            expect(questsOf('weekly')[0].reward).toBe(300);
+        });
+
+        test('should keep the quests until the period ends', () => {
+            questSystem.refreshQuests(new Date(2026, 4, 10, 0, 5));
+            const quests = questSystem.activeQuests;
+
+            expect(questSystem.refreshQuests(new Date(2026, 4, 10, 23, 59, 59))).toEqual([]);
+            expect(questSystem.activeQuests).toBe(quests);
+        });
+
+        test('should keep weekly progress through a daily reset', () => {
+            questSystem.refreshQuests(new Date(2026, 4, 11, 9, 0));
+            const weekly = questsOf('weekly')[0];
+            weekly.objective.current = 0;
+            weekly.objective.target = 5;
+            questSystem.updateProgress('merge', 3);
+
+            expect(questSystem.refreshQuests(new Date(2026, 4, 12, 0, 0))).toEqual(['daily', 'event']);
+
+            expect(questsOf('weekly')[0]).toBe(weekly);
+            expect(weekly.objective.current).toBe(3);
+        });
+
+        test('should start a new week on Monday', () => {
+            questSystem.refreshQuests(sunday);
+
+            expect(questSystem.refreshQuests(new Date(2026, 4, 11, 0, 0))).toEqual(['daily', 'weekly']);
+            expect(questSystem.periods.weekly).toBe('2026-05-11');
+        });
+
+        test('should offer event quests only during an event window', () => {
+            questSystem.refreshQuests(new Date(2026, 4, 12, 10, 0));
+            expect(questsOf('event')).toHaveLength(1);
+            expect(questSystem.periods.event).toBe('spring');
+
+            expect(questSystem.refreshQuests(new Date(2026, 4, 14, 0, 0))).toEqual(['daily', 'event']);
+            expect(questsOf('event')).toHaveLength(0);
+        });
+
+        test('should replace restored quests from an earlier period', () => {
+            questSystem.restore([completedQuest('old', 'daily')], { daily: '2026-05-09', weekly: '2026-05-04' }, []);
+
+            expect(questSystem.refreshQuests(sunday)).toEqual(['daily']);
+            expect(questSystem.activeQuests.map(q => q.id)).not.toContain('old');
+        });
+
+        test('should drop restored quests of unknown pools', () => {
+            questSystem.restore([completedQuest('gone', 'retired')], {}, []);
+
+            expect(questSystem.activeQuests).toEqual([]);
+        });
+
+        test('should drop restored quests of unknown templates', () => {
+            const retired = { ...completedQuest('retired', 'daily'), templateId: 'retired_template' };
+            const legacy = { ...completedQuest('legacy', 'daily'), templateId: undefined };
+
+            questSystem.restore([retired, legacy, completedQuest('kept', 'daily')], {}, [retired]);
+
+            expect(questSystem.activeQuests.map(q => q.id)).toEqual(['kept']);
+            expect(questSystem.inbox).toEqual([]);
+        });
+
+        test('should take the texts and bundle of restored quests from their template', () => {
+            const edited = {
+                ...completedQuest('edited', 'daily'),
+                title: '<img src=x onerror=alert(1)>',
+                description: 'Anything',
+                bundle: { gems: 1000000 }
+            };
+
+            questSystem.restore([edited], {}, []);
+
+            expect(questSystem.activeQuests[0]).toMatchObject({ title: 'd1', description: 'd1' });
+            expect(questSystem.activeQuests[0]).not.toHaveProperty('bundle');
+        });
+
+        test('should move completed unclaimed quests of the reset pool to the inbox', () => {
+            const claimed = { ...completedQuest('claimed', 'daily'), claimed: true };
+            const open = { ...completedQuest('open', 'daily'), completed: false, objective: { type: 'sell', target: 5, current: 1 } };
+            const weekly = completedQuest('weekly', 'weekly');
+            questSystem.restore([completedQuest('done', 'daily'), claimed, open, weekly], { daily: '2026-05-09', weekly: '2026-05-04' }, []);
+
+            questSystem.refreshQuests(sunday);
+
+            expect(questSystem.inbox.map(q => q.id)).toEqual(['done']);
+            expect(questsOf('weekly')).toEqual([weekly]);
+        });
+
+        test('should not reset when the clock is set back to an earlier period', () => {
+            questSystem.restore([completedQuest('today', 'daily')], { daily: '2026-05-10', weekly: '2026-05-04' }, []);
+
+            expect(questSystem.refreshQuests(new Date(2026, 4, 8, 12, 0))).toEqual([]);
+            expect(questSystem.activeQuests[0].id).toBe('today');
+        });
+
+        test('should emit quest:reset for each reset pool', () => {
+            const events = new EventBus();
+            const resets = [];
+            questSystem.connect(events);
+            events.on(GameEvents.QUESTS_RESET, payload => resets.push(payload));
+            questSystem.restore([completedQuest('done', 'daily')], { daily: '2026-05-09', weekly: '2026-05-04' }, []);
+
+            questSystem.refreshQuests(sunday);
+
+            expect(resets).toEqual([{ pool: 'daily', period: '2026-05-10', inboxed: [expect.objectContaining({ id: 'done' })] }]);
+        });
+
+        test('should count down to the end of each period', () => {
+            const lateSunday = new Date(2026, 4, 10, 22, 30);
+            questSystem.refreshQuests(lateSunday);
+
+            expect(questSystem.getResetTimers(lateSunday)).toEqual({
+                daily: 90 * 60 * 1000,
+                weekly: 90 * 60 * 1000,
+                event: new Date(2026, 4, 12).getTime() - lateSunday.getTime()
+            });
+        });
+
+        test('should pay inbox rewards once', () => {
+            questSystem.restore([], {}, [completedQuest('done', 'daily')]);
+
+            expect(questSystem.claimInboxReward('done')).toBe(100);
+            expect(questSystem.claimInboxReward('done')).toBe(0);
+            expect(questSystem.inbox).toEqual([]);
+        });
+    });
+
+    describe('rerolls', () => {
+        const pools = [
+            { id: 'daily', title: 'Daily', schedule: { type: 'daily' }, slots: 2, rewardMultiplier: 1 },
+            { id: 'weekly', title: 'Weekly', schedule: { type: 'weekly' }, slots: 1, rewardMultiplier: 3 }
+        ];
+        const template = (id, pool = 'daily') => ({
+            id, pool, type: 'merge', target: 5, weight: 1, minMaxLevel: 0, reward: 100, title: { en: id }, description: { en: id }
+        });
+        const templates = ['d1', 'd2', 'd3', 'd4'].map(id => template(id)).concat(template('w1', 'weekly'));
+        const monday = new Date(2026, 4, 11, 9, 0);
+
+        beforeEach(() => {
+            questSystem = new QuestSystem(new Random(1), pools, templates);
+            questSystem.refreshQuests(monday);
+        });
+
+        const dailyQuest = () => questSystem.activeQuests.find(quest => quest.pool === 'daily');
+
+        test('should only allow unstarted daily quests', () => {
+            const daily = dailyQuest();
+            const weekly = questSystem.activeQuests.find(quest => quest.pool === 'weekly');
+
+            expect(questSystem.canReroll(daily)).toBe(true);
+            expect(questSystem.canReroll(weekly)).toBe(false);
+
+            daily.objective.current = 1;
+            expect(questSystem.canReroll(daily)).toBe(false);
+            expect(questSystem.rerollQuest(daily.id, 1000)).toEqual({
+                success: false, error: 'Only daily quests without progress can be rerolled'
+            });
+        });
+
+        test('should replace the quest in place with one that is not already active', () => {
+            const daily = dailyQuest();
+            const index = questSystem.activeQuests.indexOf(daily);
+
+            const result = questSystem.rerollQuest(daily.id, 0);
+
+            expect(result).toMatchObject({ success: true, replaced: daily, cost: 0 });
+            expect(questSystem.activeQuests[index]).toBe(result.quest);
+            const templateIds = questSystem.activeQuests.map(quest => quest.templateId);
+            expect(new Set(templateIds).size).toBe(templateIds.length);
+            expect(templateIds).not.toContain(daily.templateId);
+        });
+
+        test('should be free once a day, then cost more every time', () => {
+            const costs = [];
+            for (let i = 0; i < 4; i++) {
+                costs.push(questSystem.getRerollCost());
+                // Only two daily templates are left over at any time, so rerolls never run out of candidates
+                expect(questSystem.rerollQuest(dailyQuest().id, 10000).success).toBe(true);
+            }
+
+            expect(costs).toEqual([0, 100, 200, 400]);
+            expect(questSystem.getRerollsRemaining()).toBe(0);
+            expect(questSystem.rerollQuest(dailyQuest().id, 10000)).toEqual({ success: false, error: 'No rerolls left today' });
+        });
+
+        test('should refuse a paid reroll the player cannot afford', () => {
+            questSystem.rerollQuest(dailyQuest().id, 0);
+            const quests = questSystem.activeQuests;
+
+            expect(questSystem.rerollQuest(dailyQuest().id, 99)).toEqual({ success: false, error: 'Insufficient gold (need 100G)' });
+            expect(questSystem.activeQuests).toBe(quests);
+            expect(questSystem.rerollsUsed).toBe(1);
+        });
+
+        test('should fail when every other template is already active', () => {
+            questSystem = new QuestSystem(new Random(1), pools, [template('d1'), template('d2')]);
+            questSystem.refreshQuests(monday);
+
+            expect(questSystem.rerollQuest(dailyQuest().id, 0)).toEqual({ success: false, error: 'No other quests available' });
+            expect(questSystem.rerollsUsed).toBe(0);
+        });
+
+        test('should give the rerolls back at the daily reset', () => {
+            questSystem.rerollQuest(dailyQuest().id, 0);
+            questSystem.rerollQuest(dailyQuest().id, 100);
+
+            questSystem.refreshQuests(new Date(2026, 4, 12, 0, 0));
+
+            expect(questSystem.rerollsUsed).toBe(0);
+            expect(questSystem.getRerollsRemaining()).toBe(4);
+            expect(questSystem.getRerollCost()).toBe(0);
+        });
+
+        test('should restore the rerolls used from a save', () => {
+            questSystem.restore(questSystem.activeQuests, questSystem.periods, [], 2);
+
+            expect(questSystem.getRerollsRemaining()).toBe(2);
+            expect(questSystem.getRerollCost()).toBe(200);
+        });
+    });
+
+    describe('quest templates', () => {
+        const pools = [{ id: 'daily', title: 'Daily', schedule: { type: 'daily' }, slots: 2, rewardMultiplier: 2 }];
+        const template = (id, fields = {}) => ({
+            id, pool: 'daily', type: 'merge', target: 5, weight: 1, minMaxLevel: 0, reward: 100,
+            title: { en: `${id} title`, ko: `${id} 제목` }, description: { en: `${id} text` }, ...fields
+        });
+        let stats;
+
+        const createSystem = (templates, seed = 1) => {
+            const system = new QuestSystem(new Random(seed), pools, templates);
+            system.connect(new EventBus(), () => ({ inventory: null, stats }));
+            return system;
+        };
+
+        beforeEach(() => {
+            stats = { maxLevel: 0 };
+        });
+
+        test('should record the template a quest came from', () => {
+            const quests = createSystem([template('only')]).generateDailyQuests();
+
+            expect(quests).toEqual([expect.objectContaining({ templateId: 'only', title: 'only title', description: 'only text' })]);
+        });
+
+        test('should only offer templates the player has progressed far enough for', () => {
+            const templates = [template('starter'), template('expert', { minMaxLevel: 5 })];
+
+            expect(createSystem(templates).generateDailyQuests().map(q => q.templateId)).toEqual(['starter']);
+
+            stats.maxLevel = 5;
+            expect(createSystem(templates).generateDailyQuests().map(q => q.templateId).sort()).toEqual(['expert', 'starter']);
+        });
+
+        test('should scale rewards with the best level and the pool multiplier', () => {
+            stats.maxLevel = 4;
+
+            const [quest] = createSystem([template('scaled', { reward: { base: 100, perLevel: 25 } })]).generateDailyQuests();
+
+            expect(quest.reward).toBe((100 + 25 * 4) * 2);
+        });
+
+        test('should draw heavier templates more often', () => {
+            const templates = [template('common', { weight: 9 }), template('rare', { weight: 1 })];
+            const picks = { common: 0, rare: 0 };
+
+            for (let seed = 1; seed <= 200; seed++) {
+                const system = new QuestSystem(new Random(seed), [{ ...pools[0], slots: 1 }], templates);
+                picks[system.generateDailyQuests()[0].templateId]++;
+            }
+
+            expect(picks.common).toBeGreaterThan(picks.rare * 4);
+        });
+
+        test('should copy the reward bundle onto the quest unscaled', () => {
+            const bundle = { swords: [{ level: 4, count: 1 }], gems: 5 };
+
+            const [quest] = createSystem([template('bundled', { bundle })]).generateDailyQuests();
+
+            expect(quest.bundle).toEqual(bundle);
+            expect(quest.reward).toBe(200);
+        });
+
+        test('should use the configured locale', () => {
+            const system = createSystem([template('greeting')]);
+            system.locale = 'ko-KR';
+
+            expect(system.generateDailyQuests()[0].title).toBe('greeting 제목');
+        });
+    });
 });
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for quest template validation
+ */
+
+import { describe, test, expect, jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import {
+    validateQuestTemplates,
+    loadQuestTemplates,
+    resolveReward,
+    localize
+} from '../../js/systems/QuestTemplates.js';
+import { QUEST_POOLS } from '../../js/data/questPools.js';
+import { OBJECTIVE_TYPES } from '../../js/systems/QuestObjectives.js';
+import { QUEST_TEMPLATE_CONTENT } from '../../js/data/questTemplates.js';
+
+const QUEST_TEMPLATE_SCHEMA = JSON.parse(readFileSync(new URL('../../js/data/questTemplates.schema.json', import.meta.url), 'utf8'));
+
+const validTemplate = (fields = {}) => ({
+    id: 'merge_master',
+    pool: 'daily',
+    type: 'merge',
+    target: 10,
+    reward: { base: 100, perLevel: 10 },
+    title: { en: 'Merge Master' },
+    description: { en: 'Merge 10 swords' },
+    ...fields
+});
+
+const errorsFor = (...templates) => validateQuestTemplates({ templates }, QUEST_POOLS).errors;
+
+describe('validateQuestTemplates', () => {
+    test('should accept the shipped content', () => {
+        const { templates, errors } = validateQuestTemplates(QUEST_TEMPLATE_CONTENT, QUEST_POOLS);
+
+        expect(errors).toEqual([]);
+        expect(templates).toHaveLength(QUEST_TEMPLATE_CONTENT.templates.length);
+    });
+
+    test('should give every pool enough starting templates to fill its slots', () => {
+        const { templates } = validateQuestTemplates(QUEST_TEMPLATE_CONTENT, QUEST_POOLS);
+
+        QUEST_POOLS.forEach(pool => {
+            const starters = templates.filter(template => template.pool === pool.id && template.minMaxLevel === 0);
+            expect(starters.length).toBeGreaterThanOrEqual(pool.slots);
+        });
+    });
+
+    test('should list every objective type in the schema', () => {
+        const typeEnum = QUEST_TEMPLATE_SCHEMA.definitions.template.properties.type.enum;
+
+        expect([...typeEnum].sort()).toEqual(Object.keys(OBJECTIVE_TYPES).sort());
+    });
+
+    test('should fill in the default weight and level requirement', () => {
+        const { templates } = validateQuestTemplates({ templates: [validTemplate()] }, QUEST_POOLS);
+
+        expect(templates[0]).toMatchObject({ weight: 1, minMaxLevel: 0 });
+    });
+
+    test('should reject a file without a templates array', () => {
+        expect(validateQuestTemplates({ quests: [] }, QUEST_POOLS)).toEqual({
+            templates: [],
+            errors: ['Quest templates: the content file must have a "templates" array']
+        });
+    });
+
+    test('should name the entry and every problem it has', () => {
+        expect(errorsFor(validTemplate(), validTemplate({ id: 'broken', target: 0, weight: -1 }))).toEqual([
+            'Quest template 1 ("broken") rejected: target must be a positive number; weight must be a positive number'
+        ]);
+    });
+
+    test('should keep the valid templates of a file with invalid ones', () => {
+        const { templates } = validateQuestTemplates({ templates: [validTemplate({ pool: 'monthly' }), validTemplate()] }, QUEST_POOLS);
+
+        expect(templates.map(template => template.id)).toEqual(['merge_master']);
+    });
+
+    test.each([
+        [{ id: 'Merge Master' }, 'id must be lowercase letters, digits and underscores'],
+        [{ pool: 'monthly' }, 'pool "monthly" is not a known quest pool'],
+        [{ type: 'dance' }, 'type "dance" is not a known objective type'],
+        [{ minMaxLevel: 2.5 }, 'minMaxLevel must be a non-negative integer'],
+        [{ reward: -5 }, 'reward must be a positive number or { base, perLevel }'],
+        [{ reward: { base: 100, perLevle: 5 } }, 'reward.perLevle is not a reward field'],
+        [{ reward: { perLevel: 5 } }, 'reward.base must be a positive number'],
+        [{ title: 'Merge Master' }, 'title must be an object of texts by locale'],
+        [{ title: { ko: '합성' } }, 'title needs an "en" text'],
+        [{ description: { en: 'Merge', ko: '' } }, 'description "ko" must be a non-empty string'],
+        [{ rewrad: 100 }, '"rewrad" is not a template field'],
+        [{ bundle: [] }, 'bundle must be an object'],
+        [{ bundle: { swords: [{ level: 0, count: 1 }] } }, 'bundle.swords must be a list of { level, count } with positive integers'],
+        [{ bundle: { luckyBoxes: 1.5 } }, 'bundle.luckyBoxes must be a positive integer'],
+        [{ bundle: { diamonds: 5 } }, 'bundle.diamonds is not a bundle field']
+    ])('should reject %j', (fields, problem) => {
+        expect(errorsFor(validTemplate(fields))).toEqual([expect.stringContaining(problem)]);
+    });
+
+    test('should accept a reward bundle', () => {
+        const bundle = { swords: [{ level: 5, count: 2 }], luckyBoxes: 1, protections: 1, gems: 10 };
+
+        const { templates, errors } = validateQuestTemplates({ templates: [validTemplate({ bundle })] }, QUEST_POOLS);
+
+        expect(errors).toEqual([]);
+        expect(templates[0].bundle).toEqual(bundle);
+    });
+
+    test('should reject entries that are not objects', () => {
+        expect(errorsFor(null)).toEqual(['Quest template 0 rejected: must be an object']);
+    });
+
+    test('should reject a reused ID', () => {
+        expect(errorsFor(validTemplate(), validTemplate())).toEqual([
+            'Quest template 1 ("merge_master") rejected: id is already used by an earlier template'
+        ]);
+    });
+});
+
+describe('loadQuestTemplates', () => {
+    test('should report rejected templates on the console', () => {
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const templates = loadQuestTemplates({ templates: [validTemplate({ target: 'ten' })] }, QUEST_POOLS);
+
+        expect(templates).toEqual([]);
+        expect(error).toHaveBeenCalledWith('Quest template 0 ("merge_master") rejected: target must be a positive number');
+        error.mockRestore();
+    });
+});
+
+describe('resolveReward', () => {
+    test('should add the per-level bonus for the best level', () => {
+        expect(resolveReward(validTemplate(), 0)).toBe(100);
+        expect(resolveReward(validTemplate(), 6)).toBe(160);
+    });
+
+    test('should keep fixed rewards fixed', () => {
+        expect(resolveReward(validTemplate({ reward: 75 }), 9)).toBe(75);
+    });
+});
+
+describe('localize', () => {
+    const text = { en: 'Merge', pt: 'Fundir', 'pt-BR': 'Mesclar' };
+
+    test('should prefer the exact locale, then its language, then English', () => {
+        expect(localize(text, 'pt-BR')).toBe('Mesclar');
+        expect(localize(text, 'pt-PT')).toBe('Fundir');
+        expect(localize(text, 'de')).toBe('Merge');
+    });
+});
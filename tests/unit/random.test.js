@@ -0,0 +1,103 @@
+/**
+ * Unit tests for the seedable Random service
+ */
+
+import { Random } from '../../js/Random.js';
+
+describe('Random', () => {
+    test('should return numbers in [0, 1)', () => {
+        const random = new Random(42);
+
+        for (let i = 0; i < 1000; i++) {
+            const value = random.next();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+
+    test('should produce the same sequence for the same seed', () => {
+        const a = new Random(1234);
+        const b = new Random(1234);
+
+        for (let i = 0; i < 20; i++) {
+            expect(a.next()).toBe(b.next());
+        }
+    });
+
+    test('should produce different sequences for different seeds', () => {
+        const a = new Random(1);
+        const b = new Random(2);
+
+        expect(a.next()).not.toBe(b.next());
+    });
+
+    test('should resume exactly from a saved state', () => {
+        const random = new Random(99);
+        random.next();
+        random.next();
+        const saved = random.getState();
+        const expected = [random.next(), random.next()];
+
+        const restored = new Random(1);
+        expect(restored.setState(JSON.parse(JSON.stringify(saved)))).toBe(true);
+
+        expect([restored.next(), restored.next()]).toEqual(expected);
+        expect(restored.seed).toBe(99);
+    });
+
+    test('should reject malformed saved state', () => {
+        const random = new Random(5);
+
+        expect(random.setState(null)).toBe(false);
+        expect(random.setState({ seed: 'x', state: 1 })).toBe(false);
+        expect(random.getState()).toEqual({ seed: 5, state: 5 });
+    });
+
+    test('should restart the sequence on reseed', () => {
+        const random = new Random(7);
+        const first = random.next();
+        random.next();
+
+        random.reseed(7);
+
+        expect(random.next()).toBe(first);
+    });
+
+    test('should return integers below the bound from nextInt', () => {
+        const random = new Random(3);
+
+        for (let i = 0; i < 1000; i++) {
+            const value = random.nextInt(6);
+            expect(Number.isInteger(value)).toBe(true);
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(6);
+        }
+    });
+
+    describe('shuffle', () => {
+        test('should return a permutation without modifying the input', () => {
+            const random = new Random(11);
+            const input = [1, 2, 3, 4, 5];
+
+            const shuffled = random.shuffle(input);
+
+            expect(input).toEqual([1, 2, 3, 4, 5]);
+            expect([...shuffled].sort()).toEqual([1, 2, 3, 4, 5]);
+        });
+
+        test('should place every element in every position about equally often', () => {
+            const random = new Random(2024);
+            const counts = [0, 0, 0, 0];
+            const iterations = 8000;
+
+            for (let i = 0; i < iterations; i++) {
+                counts[random.shuffle([0, 1, 2, 3]).indexOf(0)]++;
+            }
+
+            counts.forEach(count => {
+                expect(count).toBeGreaterThan(iterations / 4 * 0.9);
+                expect(count).toBeLessThan(iterations / 4 * 1.1);
+            });
+        });
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for RewardSystem
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { RewardSystem, describeBundle } from '../../js/systems/RewardSystem.js';
+import { InventoryManager } from '../../js/systems/InventoryManager.js';
+import { createSword } from '../../js/models/Sword.js';
+
+describe('RewardSystem', () => {
+    let rewards;
+    let inventory;
+    let player;
+
+    const fillInventory = (free = 0) => {
+        for (let i = 0; i < 25 - free; i++) {
+            inventory.addSword(createSword(1, 0), i);
+        }
+    };
+
+    beforeEach(() => {
+        rewards = new RewardSystem();
+        inventory = new InventoryManager();
+        player = { gold: 100, luckyBoxes: 0, protections: 0, gems: 0 };
+    });
+
+    describe('grant()', () => {
+        test('should add items to the player', () => {
+            rewards.grant({ luckyBoxes: 2, protections: 1, gems: 10 }, inventory, player, 'Quest');
+
+            expect(player).toEqual({ gold: 100, luckyBoxes: 2, protections: 1, gems: 10 });
+        });
+
+        test('should start counters missing from older player states', () => {
+            const oldPlayer = { gold: 100 };
+
+            rewards.grant({ gems: 5 }, inventory, oldPlayer, 'Quest');
+
+            expect(oldPlayer.gems).toBe(5);
+        });
+
+        test('should place reward swords in the inventory', () => {
+            const { swords, pending } = rewards.grant({ swords: [{ level: 5, count: 2 }] }, inventory, player, 'Quest');
+
+            expect(swords.map(sword => [sword.level, sword.enhancement])).toEqual([[5, 0], [5, 0]]);
+            expect(inventory.countSwords()).toBe(2);
+            expect(pending).toEqual([]);
+        });
+
+        test('should keep swords that do not fit in the pending-rewards inbox', () => {
+            fillInventory(1);
+
+            const { swords, pending } = rewards.grant({ swords: [{ level: 6, count: 3 }] }, inventory, player, 'Forge Week');
+
+            expect(swords).toHaveLength(1);
+            expect(pending).toEqual([
+                { id: expect.any(String), level: 6, source: 'Forge Week' },
+                { id: expect.any(String), level: 6, source: 'Forge Week' }
+            ]);
+            expect(rewards.pending).toEqual(pending);
+        });
+
+        test('should do nothing without a bundle', () => {
+            expect(rewards.grant(undefined, inventory, player, 'Quest')).toEqual({ swords: [], pending: [] });
+            expect(player).toEqual({ gold: 100, luckyBoxes: 0, protections: 0, gems: 0 });
+        });
+    });
+
+    describe('collectPending()', () => {
+        test('should move a pending sword into the inventory once there is room', () => {
+            fillInventory();
+            const [reward] = rewards.grant({ swords: [{ level: 4, count: 1 }] }, inventory, player, 'Quest').pending;
+
+            expect(rewards.collectPending(reward.id, inventory)).toEqual({
+                success: false, error: 'Inventory is full. Sell or merge swords to make space.'
+            });
+
+            inventory.removeSword(0);
+            const result = rewards.collectPending(reward.id, inventory);
+
+            expect(result.success).toBe(true);
+            expect(inventory.getSword(0)).toBe(result.sword);
+            expect(result.sword.level).toBe(4);
+            expect(rewards.pending).toEqual([]);
+        });
+
+        test('should fail for an unknown reward', () => {
+            expect(rewards.collectPending('missing', inventory)).toEqual({ success: false, error: 'Reward not found' });
+        });
+    });
+
+    describe('describeBundle()', () => {
+        test('should list every entry', () => {
+            expect(describeBundle({ swords: [{ level: 5, count: 1 }, { level: 3, count: 2 }], luckyBoxes: 1, protections: 2, gems: 10 }))
+                .toEqual(['Lv.5 sword', 'Lv.3 sword x2', '1 lucky box', '2 protections', '10 gems']);
+        });
+
+        test('should list nothing for a quest without a bundle', () => {
+            expect(describeBundle(undefined)).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for save signatures and semantic integrity checks
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { signState, checkSignature, findSemanticIssues } from '../../js/systems/SaveIntegrity.js';
+import { StorageManager } from '../../js/systems/StorageManager.js';
+import { createSword } from '../../js/models/Sword.js';
+
+const createState = () => new StorageManager().createNewGameState();
+
+describe('signState / checkSignature', () => {
+    test('should accept an unchanged signed save and strip the signature', () => {
+        const state = createState();
+
+        const { state: unsigned, issues } = checkSignature(JSON.parse(signState(state)));
+
+        expect(issues).toEqual([]);
+        expect(unsigned.signature).toBeUndefined();
+        expect(unsigned.player.gold).toBe(100);
+    });
+
+    test('should replace an existing signature when signing again', () => {
+        const parsed = JSON.parse(signState(createState()));
+        parsed.player.gold = 5;
+
+        expect(checkSignature(JSON.parse(signState(parsed))).issues).toEqual([]);
+    });
+
+    test('should detect an edited value', () => {
+        const parsed = JSON.parse(signState(createState()));
+        parsed.player.gold = 1e15;
+
+        expect(checkSignature(parsed).issues).toEqual(['Signature does not match the save contents']);
+    });
+
+    test('should detect a removed signature on a signed save version', () => {
+        const { signature, ...unsigned } = JSON.parse(signState(createState()));
+
+        expect(checkSignature(unsigned).issues).toEqual(['Signature is missing']);
+    });
+
+    test('should accept unsigned saves from before signing existed', () => {
+        expect(checkSignature({ version: '1.0.0' }).issues).toEqual([]);
+        expect(checkSignature({ version: '1.1.0' }).issues).toEqual([]);
+    });
+});
+
+describe('findSemanticIssues', () => {
+    test('should accept a normal game', () => {
+        const state = createState();
+        state.inventory[0].sword = createSword(3, 1);
+        state.inventory[1].sword = createSword(2, 0);
+        state.stats.maxLevel = 3;
+
+        expect(findSemanticIssues(state)).toEqual([]);
+    });
+
+    test('should flag negative or non-finite gold', () => {
+        const state = createState();
+        state.player.gold = -1;
+
+        expect(findSemanticIssues(state)).toEqual(['Gold is -1']);
+    });
+
+    test('should flag negative stats', () => {
+        const state = createState();
+        state.stats.totalMerges = -4;
+
+        expect(findSemanticIssues(state)).toEqual(['Stat totalMerges is -4']);
+    });
+
+    test('should flag duplicated sword IDs', () => {
+        const state = createState();
+        const sword = createSword(1, 0);
+        state.inventory[0].sword = sword;
+        state.inventory[1].sword = { ...sword };
+        state.stats.maxLevel = 1;
+
+        expect(findSemanticIssues(state)).toEqual([`Sword ID ${sword.id} is used more than once`]);
+    });
+
+    test('should leave stale gold values and best level to the repair step', () => {
+        const state = createState();
+        const sword = createSword(2, 0);
+        sword.goldValue = 1000000;
+        state.inventory[0].sword = sword;
+        state.stats.maxLevel = 1;
+
+        expect(findSemanticIssues(state)).toEqual([]);
+    });
+
+    test('should flag a gold value that does not match the formula in strict mode', () => {
+        const state = createState();
+        const sword = createSword(2, 0);
+        sword.goldValue = 1000000;
+        state.inventory[0].sword = sword;
+        state.stats.maxLevel = 2;
+
+        expect(findSemanticIssues(state, { strict: true })).toEqual([`Sword ${sword.id} is worth 1000000G instead of 20G`]);
+    });
+
+    test('should flag a best level below a sword in the inventory in strict mode', () => {
+        const state = createState();
+        state.inventory[4].sword = createSword(7, 0);
+        state.stats.maxLevel = 3;
+
+        expect(findSemanticIssues(state, { strict: true })).toEqual(['Best level 3 is below the Lv.7 sword in the inventory']);
+    });
+
+    test('should flag impossible levels', () => {
+        const state = createState();
+        const sword = createSword(2, 0);
+        sword.level = 2.5;
+        state.inventory[0].sword = sword;
+
+        expect(findSemanticIssues(state)).toEqual([`Sword ${sword.id} has level 2.5 +0`]);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for automatic save repairs
+ * Requirements: 12.2, 12.3
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { repairSaveState, RepairType } from '../../js/systems/SaveRepairs.js';
+import { StorageManager } from '../../js/systems/StorageManager.js';
+import { createSword } from '../../js/models/Sword.js';
+
+const createState = () => new StorageManager().createNewGameState();
+
+describe('repairSaveState', () => {
+    test('should leave a consistent save untouched', () => {
+        const state = createState();
+        state.inventory[0].sword = createSword(3, 1);
+        state.stats.maxLevel = 3;
+        const before = JSON.stringify(state);
+
+        expect(repairSaveState(state)).toEqual({ repaired: false, entries: [] });
+        expect(JSON.stringify(state)).toBe(before);
+    });
+
+    test('should renumber slots whose position does not match their index', () => {
+        const state = createState();
+        state.inventory[3].position = 7;
+
+        const { entries } = repairSaveState(state);
+
+        expect(state.inventory[3].position).toBe(3);
+        expect(entries).toEqual([{
+            type: RepairType.SLOT_POSITION,
+            path: 'inventory[3].position',
+            before: 7,
+            after: 3,
+            message: 'Slot 3 was stored as position 7'
+        }]);
+    });
+
+    test('should recompute stale gold values', () => {
+        const state = createState();
+        state.inventory[0].sword = { ...createSword(2, 2), goldValue: 15 };
+        state.stats.maxLevel = 2;
+
+        const { entries } = repairSaveState(state);
+
+        expect(state.inventory[0].sword.goldValue).toBe(40);
+        expect(entries.map(entry => [entry.type, entry.before, entry.after])).toEqual([[RepairType.GOLD_VALUE, 15, 40]]);
+    });
+
+    test('should give duplicated swords a new ID', () => {
+        const state = createState();
+        const sword = createSword(1, 0);
+        state.inventory[0].sword = sword;
+        state.inventory[1].sword = { ...sword };
+        state.stats.maxLevel = 1;
+
+        const { entries } = repairSaveState(state);
+
+        expect(state.inventory[1].sword.id).not.toBe(sword.id);
+        expect(entries[0]).toMatchObject({ type: RepairType.DUPLICATE_SWORD_ID, before: sword.id, after: state.inventory[1].sword.id });
+    });
+
+    test('should complete quests whose objective was reached', () => {
+        const state = createState();
+        state.quests = [
+            { id: 'q1', title: 'Merge 10', objective: { type: 'merge', target: 10, current: 12 }, reward: 100, completed: false, claimed: false },
+            { id: 'q2', title: 'Sell 5', objective: { type: 'sell', target: 5, current: 2 }, reward: 50, completed: false, claimed: false }
+        ];
+
+        const { entries } = repairSaveState(state);
+
+        expect(state.quests.map(quest => quest.completed)).toEqual([true, false]);
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({ type: RepairType.QUEST_COMPLETED, path: 'quests[0].completed' });
+    });
+
+    test('should raise the best level to the highest sword held', () => {
+        const state = createState();
+        state.inventory[4].sword = createSword(7, 0);
+        state.stats.maxLevel = 3;
+
+        const { entries } = repairSaveState(state);
+
+        expect(state.stats.maxLevel).toBe(7);
+        expect(entries).toEqual([expect.objectContaining({ type: RepairType.MAX_LEVEL, path: 'stats.maxLevel', before: 3, after: 7 })]);
+    });
+});
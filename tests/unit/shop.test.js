@@ -5,6 +5,7 @@
 
 import { ShopSystem } from '../../js/systems/ShopSystem.js';
 import { InventoryManager } from '../../js/systems/InventoryManager.js';
+import { Random } from '../../js/Random.js';
 
 describe('ShopSystem - Task 7.1', () => {
     let shop;
@@ -123,7 +124,44 @@ describe('ShopSystem - Task 7.1', () => {
         });
     });
 
+    describe('openLuckyBox()', () => {
+        test('should open a box without gold', () => {
+            const result = shop.openLuckyBox(inventory);
+
+            expect(result.success).toBe(true);
+            expect(result.sword.level).toBeGreaterThanOrEqual(1);
+            expect(result.sword.level).toBeLessThanOrEqual(5);
+            expect(inventory.getSword(0)).toBe(result.sword);
+        });
+
+        test('should fail when inventory is full', () => {
+            for (let i = 0; i < 25; i++) {
+                inventory.addSword({ id: `sword${i}`, level: 1, enhancement: 0, goldValue: 10 }, i);
+            }
+
+            const result = shop.openLuckyBox(inventory);
+
+            expect(result.success).toBe(false);
+            expect(result.error).toContain('Inventory is full');
+        });
+    });
+
     describe('rollLuckyBoxLevel()', () => {
+        test('should roll from the injected RNG', () => {
+            shop.random = { next: () => 0.95 };
+
+            expect(shop.rollLuckyBoxLevel()).toBe(4);
+        });
+
+        test('should be reproducible with the same seed', () => {
+            const a = new ShopSystem(new Random(77));
+            const b = new ShopSystem(new Random(77));
+
+            for (let i = 0; i < 20; i++) {
+                expect(a.rollLuckyBoxLevel()).toBe(b.rollLuckyBoxLevel());
+            }
+        });
+
         test('should return level between 1 and 5', () => {
             for (let i = 0; i < 100; i++) {
                 const level = shop.rollLuckyBoxLevel();
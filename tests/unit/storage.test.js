@@ -0,0 +1,753 @@
+/**
+ * Unit tests for StorageManager
+ * Requirements: 10.2, 10.3, 10.4, 12.2, 12.3
+ */
+
+import { jest } from '@jest/globals';
+import { StorageManager, SAVE_CODE_PREFIX, SAVE_FILE_FORMAT, DEFAULT_SLOT_ID, MAX_SLOT_NAME_LENGTH } from '../../js/systems/StorageManager.js';
+import { MemoryStorageAdapter, MirroredStorageAdapter } from '../../js/systems/StorageAdapters.js';
+import { EventBus, GameEvents } from '../../js/EventBus.js';
+import { GAME_CONFIG } from '../../js/config.js';
+import { createSword } from '../../js/models/Sword.js';
+import { signState } from '../../js/systems/SaveIntegrity.js';
+import { hashString } from '../../js/utils.js';
+
+describe('StorageManager', () => {
+    let storage;
+
+    beforeEach(() => {
+        localStorage.clear();
+        storage = new StorageManager();
+    });
+
+    /**
+     * Build a save as written by version 1.0.0 of the game
+     */
+    const createV1Save = () => {
+        const state = storage.createNewGameState();
+        delete state.config;
+        state.version = '1.0.0';
+        state.player.gold = 4321;
+        return state;
+    };
+
+    describe('saveGame() / loadGame()', () => {
+        test('should round-trip a new game state', async () => {
+            const state = storage.createNewGameState();
+
+            expect(await storage.saveGame(state)).toBe(true);
+            const loaded = await storage.loadGame();
+
+            expect(loaded.version).toBe(storage.CURRENT_VERSION);
+            expect(loaded.player.gold).toBe(100);
+            expect(storage.lastLoadReport.migrations).toEqual([]);
+        });
+
+        test('should return null when there is no save', async () => {
+            expect(await storage.loadGame()).toBeNull();
+        });
+
+        test('should not write anything when loading read-only', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            localStorage.setItem(storage.STORAGE_KEY, JSON.stringify(createV1Save()));
+            const setItem = jest.spyOn(storage.storage, 'setItem');
+
+            const loaded = await storage.loadGame({ readOnly: true });
+            localStorage.setItem(storage.STORAGE_KEY, '{ not json');
+            await storage.loadGame({ readOnly: true });
+
+            expect(loaded.player.gold).toBe(4321);
+            expect(storage.lastLoadReport.corrupted).toBe(true);
+            expect(setItem).not.toHaveBeenCalled();
+            console.error.mockRestore();
+        });
+    });
+
+    describe('tamper evidence', () => {
+        test('should sign saves and load them without issues', async () => {
+            await storage.saveGame(storage.createNewGameState());
+
+            expect(typeof JSON.parse(localStorage.getItem(storage.STORAGE_KEY)).signature).toBe('string');
+            const loaded = await storage.loadGame();
+
+            expect(loaded.signature).toBeUndefined();
+            expect(loaded.stats.modded).toBe(false);
+            expect(storage.lastLoadReport.integrityIssues).toEqual([]);
+        });
+
+        test('should keep an edited save but mark it as modded', async () => {
+            await storage.saveGame(storage.createNewGameState());
+            const edited = JSON.parse(localStorage.getItem(storage.STORAGE_KEY));
+            edited.player.gold = 1e15;
+            localStorage.setItem(storage.STORAGE_KEY, JSON.stringify(edited));
+
+            const loaded = await storage.loadGame();
+
+            expect(loaded.player.gold).toBe(1e15);
+            expect(loaded.stats.modded).toBe(true);
+            expect(storage.lastLoadReport.integrityIssues).toEqual(['Signature does not match the save contents']);
+        });
+
+        test('should keep the modded flag after the save is signed again', async () => {
+            const edited = storage.createNewGameState();
+            edited.player.gold = -10;
+            localStorage.setItem(storage.STORAGE_KEY, JSON.stringify(edited));
+
+            await storage.saveGame(await storage.loadGame());
+            const reloaded = await storage.loadGame();
+
+            expect(reloaded.stats.modded).toBe(true);
+            expect(storage.lastLoadReport.integrityIssues).toEqual(['Gold is -10']);
+        });
+
+        test('should not flag saves from before signing existed', async () => {
+            localStorage.setItem(storage.STORAGE_KEY, JSON.stringify(createV1Save()));
+
+            const loaded = await storage.loadGame();
+
+            expect(loaded.stats.modded).toBe(false);
+            expect(storage.lastLoadReport.integrityIssues).toEqual([]);
+        });
+
+        test('should report tampering on import', () => {
+            const exported = JSON.parse(storage.exportFile(storage.createNewGameState()).contents);
+            exported.save.inventory[0].sword = { ...createSword(2, 0), level: 500 };
+            const json = JSON.stringify(exported.save);
+            const code = `${SAVE_CODE_PREFIX}.${storage.encodeBase64(json)}.${hashString(json)}`;
+
+            const preview = storage.importSave(code);
+
+            expect(preview.success).toBe(true);
+            expect(preview.state.stats.modded).toBe(true);
+            expect(preview.integrityIssues).toEqual(expect.arrayContaining(['Signature does not match the save contents']));
+        });
+    });
+
+    describe('repairs on load', () => {
+        test('should fix inconsistencies of an older save and report them without flagging it', async () => {
+            const state = storage.createNewGameState();
+            state.inventory[0].sword = { ...createSword(4, 0), goldValue: 1 };
+            state.version = '1.7.0';
+            localStorage.setItem(storage.STORAGE_KEY, signState(state));
+
+            const loaded = await storage.loadGame();
+
+            expect(loaded.inventory[0].sword.goldValue).toBe(80);
+            expect(loaded.stats.maxLevel).toBe(4);
+            expect(loaded.stats.modded).toBe(false);
+            expect(storage.lastLoadReport.repairs.entries.map(entry => entry.path)).toEqual([
+                'inventory[0].sword.goldValue',
+                'stats.maxLevel'
+            ]);
+        });
+
+        test('should flag the same inconsistencies in a save signed by this version and still fix them', async () => {
+            const state = storage.createNewGameState();
+            const sword = { ...createSword(4, 0), goldValue: 1 };
+            state.inventory[0].sword = sword;
+            await storage.saveGame(state);
+
+            const loaded = await storage.loadGame();
+
+            expect(loaded.stats.modded).toBe(true);
+            expect(storage.lastLoadReport.integrityIssues).toEqual([
+                `Sword ${sword.id} is worth 1G instead of 80G`,
+                'Best level 0 is below the Lv.4 sword in the inventory'
+            ]);
+            expect(loaded.inventory[0].sword.goldValue).toBe(80);
+            expect(loaded.stats.maxLevel).toBe(4);
+        });
+
+        test('should report repairs in the import preview', () => {
+            const state = storage.createNewGameState();
+            state.inventory[6].position = 0;
+
+            const preview = storage.importSave(storage.exportCode(state));
+
+            expect(preview.state.inventory[6].position).toBe(6);
+            expect(preview.repairs.repaired).toBe(true);
+        });
+    });
+
+    describe('save generations', () => {
+        test('should increment the generation on every save', async () => {
+            const state = storage.createNewGameState();
+
+            await storage.saveGame(state);
+            await storage.saveGame(state);
+
+            expect(JSON.parse(localStorage.getItem(storage.STORAGE_KEY)).generation).toBe(2);
+            expect((await storage.loadGame()).generation).toBe(2);
+        });
+
+        test('should refuse to overwrite a save written by another tab since loading', async () => {
+            const events = new EventBus();
+            const conflict = jest.fn();
+            events.on(GameEvents.SAVE_CONFLICT, conflict);
+            storage.connect(events);
+            const otherTab = new StorageManager();
+            await storage.loadGame();
+            await otherTab.loadGame();
+
+            const newer = otherTab.createNewGameState();
+            newer.player.gold = 999;
+            expect(await otherTab.saveGame(newer)).toBe(true);
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            expect(await storage.saveGame(storage.createNewGameState())).toBe(false);
+            // Later saves stay blocked even once their generation would be higher
+            expect(await storage.saveGame(storage.createNewGameState())).toBe(false);
+            expect(await storage.saveGame(storage.createNewGameState())).toBe(false);
+
+            expect(conflict).toHaveBeenCalledWith({ generation: 0, storedGeneration: 1 });
+            expect(JSON.parse(localStorage.getItem(storage.STORAGE_KEY)).player.gold).toBe(999);
+        });
+
+        test('should save again after reloading the newer save', async () => {
+            const otherTab = new StorageManager();
+            await otherTab.saveGame(otherTab.createNewGameState());
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            expect(await storage.saveGame(storage.createNewGameState())).toBe(false);
+
+            const loaded = await storage.loadGame();
+
+            expect(await storage.saveGame(loaded)).toBe(true);
+            expect(JSON.parse(localStorage.getItem(storage.STORAGE_KEY)).generation).toBe(2);
+        });
+
+        test('should reject a save with an invalid generation', () => {
+            const state = storage.createNewGameState();
+            state.generation = -1;
+
+            expect(storage.validateState(state)).toBe(false);
+        });
+    });
+
+    describe('migrations on load', () => {
+        test('should upgrade an old save before validating it', async () => {
+            localStorage.setItem(storage.STORAGE_KEY, JSON.stringify(createV1Save()));
+
+            const loaded = await storage.loadGame();
+
+            expect(loaded.version).toBe(storage.CURRENT_VERSION);
+            expect(loaded.player.gold).toBe(4321);
+            expect(loaded.config.enhancementTable).toBe('classic');
+        });
+
+        test('should report the migrations that ran', async () => {
+            localStorage.setItem(storage.STORAGE_KEY, JSON.stringify(createV1Save()));
+
+            await storage.loadGame();
+
+            expect(storage.lastLoadReport.migrations).toEqual([
+                expect.objectContaining({ from: '1.0.0', to: '1.1.0' }),
+                expect.objectContaining({ from: '1.1.0', to: '1.2.0' }),
+                expect.objectContaining({ from: '1.2.0', to: '1.3.0' }),
+                expect.objectContaining({ from: '1.3.0', to: '1.4.0' }),
+                expect.objectContaining({ from: '1.4.0', to: '1.5.0' }),
+                expect.objectContaining({ from: '1.5.0', to: '1.6.0' }),
+                expect.objectContaining({ from: '1.6.0', to: '1.7.0' }),
+                expect.objectContaining({ from: '1.7.0', to: '1.8.0' })
+            ]);
+        });
+
+        test('should keep the original save as a backup', async () => {
+            const original = JSON.stringify(createV1Save());
+            localStorage.setItem(storage.STORAGE_KEY, original);
+
+            await storage.loadGame();
+
+            expect(storage.lastLoadReport.backupKey).toBe(`${storage.STORAGE_KEY}_backup_v1.0.0`);
+            expect(localStorage.getItem(storage.lastLoadReport.backupKey)).toBe(original);
+        });
+
+        test('should refuse saves from an unknown newer version', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const state = storage.createNewGameState();
+            state.version = '9.0.0';
+            localStorage.setItem(storage.STORAGE_KEY, JSON.stringify(state));
+
+            expect(await storage.loadGame()).toBeNull();
+
+            console.error.mockRestore();
+        });
+    });
+
+    describe('rotating backups', () => {
+        test('should back up the first save', async () => {
+            await storage.saveGame(storage.createNewGameState());
+
+            expect(await storage.listBackups()).toHaveLength(1);
+        });
+
+        test('should take at most one backup per interval', async () => {
+            await storage.saveGame(storage.createNewGameState());
+            await storage.saveGame(storage.createNewGameState());
+
+            expect(await storage.listBackups()).toHaveLength(1);
+        });
+
+        test('should keep the newest saves and reuse the oldest slot', async () => {
+            const nowSpy = jest.spyOn(Date, 'now');
+            const interval = GAME_CONFIG.saveBackupIntervalMs;
+
+            for (let i = 0; i < GAME_CONFIG.saveBackupCount + 2; i++) {
+                nowSpy.mockReturnValue(1000000 + i * interval);
+                const state = storage.createNewGameState();
+                state.player.gold = i;
+                await storage.saveGame(state);
+            }
+            nowSpy.mockRestore();
+
+            const golds = (await storage.listBackups()).map(backup => backup.state.player.gold);
+            expect(golds).toEqual([4, 3, 2]);
+        });
+    });
+
+    describe('corrupted saves', () => {
+        test('should report and preserve an unreadable save', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            localStorage.setItem(storage.STORAGE_KEY, '{ not json');
+
+            expect(await storage.loadGame()).toBeNull();
+
+            expect(storage.lastLoadReport.corrupted).toBe(true);
+            expect(localStorage.getItem(storage.lastLoadReport.corruptedKey)).toBe('{ not json');
+            console.error.mockRestore();
+        });
+
+        test('should not report a missing save as corrupted', async () => {
+            await storage.loadGame();
+
+            expect(storage.lastLoadReport.corrupted).toBe(false);
+        });
+
+        test('should offer backups newest first, then a repaired copy', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            await storage.saveGame(storage.createNewGameState());
+            const broken = storage.createNewGameState();
+            broken.player.gold = 999;
+            broken.inventory[3].sword = { id: 'x', level: 'high' };
+            localStorage.setItem(storage.STORAGE_KEY, JSON.stringify(broken));
+
+            await storage.loadGame();
+            const options = await storage.getRecoveryOptions();
+
+            expect(options.map(option => option.type)).toEqual(['backup', 'repair']);
+            expect(options[0].summary.gold).toBe(100);
+            expect(options[1].summary.gold).toBe(999);
+            console.error.mockRestore();
+        });
+    });
+
+    describe('repairState()', () => {
+        test('should keep gold, stats and valid swords while dropping broken swords', () => {
+            const broken = storage.createNewGameState();
+            broken.player.gold = 5000;
+            broken.stats.totalMerges = 42;
+            broken.inventory[0].sword = createSword(3, 1);
+            broken.inventory[1].sword = { id: 7, level: null };
+            broken.quests = 'garbage';
+
+            const { state, dropped } = storage.repairState(JSON.stringify(broken));
+
+            expect(state.player.gold).toBe(5000);
+            expect(state.stats.totalMerges).toBe(42);
+            expect(state.inventory[0].sword.level).toBe(3);
+            expect(state.inventory[1].sword).toBeNull();
+            expect(state.quests).toEqual([]);
+            expect(dropped).toContain('1 sword(s)');
+            expect(storage.validateState(state)).toBe(true);
+        });
+
+        test('should keep reward items and valid pending rewards', () => {
+            const broken = storage.createNewGameState();
+            broken.player.gems = 12;
+            broken.player.protections = -1;
+            broken.pendingRewards = [{ id: 'r1', level: 5, source: 'Forge Week' }, { id: 'r2', level: 'five', source: '' }];
+
+            const { state } = storage.repairState(JSON.stringify(broken));
+
+            expect(state.player).toMatchObject({ gems: 12, protections: 0 });
+            expect(state.pendingRewards).toEqual([{ id: 'r1', level: 5, source: 'Forge Week' }]);
+            expect(storage.validateState(state)).toBe(true);
+        });
+
+        test('should drop malformed achievements and an unknown enhancement table', () => {
+            const broken = storage.createNewGameState();
+            broken.player.gold = 700;
+            broken.achievements = [{ id: 'first_merge', unlocked: true }, { id: 'first_sale', unlocked: 1 }, null];
+            broken.config = { enhancementTable: 'rigged' };
+
+            const { state, dropped } = storage.repairState(JSON.stringify(broken));
+
+            expect(state.achievements).toEqual([{ id: 'first_merge', unlocked: true }]);
+            expect(state.config.enhancementTable).toBe('classic');
+            expect(dropped).toContain('config');
+            expect(storage.validateState(state)).toBe(true);
+        });
+
+        test('should drop negative gold', () => {
+            const broken = storage.createNewGameState();
+            broken.player.gold = -50;
+
+            const { state, dropped } = storage.repairState(JSON.stringify(broken));
+
+            expect(state.player.gold).toBe(100);
+            expect(dropped).toContain('gold');
+        });
+
+        test('should give up on data that is not JSON', () => {
+            expect(storage.repairState('%%%')).toBeNull();
+        });
+
+        test('should give up when nothing can be rescued', () => {
+            expect(storage.repairState(JSON.stringify({ hello: 'world' }))).toBeNull();
+        });
+    });
+
+
+    describe('export and import', () => {
+        const createState = () => {
+            const state = storage.createNewGameState();
+            state.player.gold = 4321;
+            state.inventory[2].sword = createSword(5, 2);
+            state.stats.maxLevel = 5;
+            state.achievements = [{ id: 'first', title: 'Première épée ⚔', unlocked: true }];
+            return state;
+        };
+
+        test('should round-trip a save code', () => {
+            const state = createState();
+
+            const preview = storage.importSave(storage.exportCode(state));
+
+            expect(preview.success).toBe(true);
+            expect(preview.state.player.gold).toBe(4321);
+            expect(preview.state.inventory[2].sword).toEqual(state.inventory[2].sword);
+            expect(preview.state.achievements[0].title).toBe('Première épée ⚔');
+            expect(preview.summary).toEqual({ gold: 4321, maxLevel: 5, swordCount: 1 });
+        });
+
+        test('should produce a code that survives copy and paste', () => {
+            const code = storage.exportCode(createState());
+
+            expect(code).toMatch(new RegExp(`^${SAVE_CODE_PREFIX}\\.[A-Za-z0-9_-]+\\.[0-9a-f]{8}$`));
+            expect(storage.importSave(`  ${code}\n`).success).toBe(true);
+        });
+
+        test('should round-trip a save file', () => {
+            const file = storage.exportFile(createState(), new Date('2024-03-05T12:00:00Z'));
+
+            expect(file.filename).toBe('sword-merge-save-2024-03-05.json');
+            expect(JSON.parse(file.contents).format).toBe(SAVE_FILE_FORMAT);
+
+            const preview = storage.importSave(file.contents);
+            expect(preview.success).toBe(true);
+            expect(preview.state.player.gold).toBe(4321);
+        });
+
+        test('should reject an edited save file', () => {
+            const file = JSON.parse(storage.exportFile(createState()).contents);
+            file.save.player.gold = 99999999;
+
+            const preview = storage.importSave(JSON.stringify(file));
+
+            expect(preview.success).toBe(false);
+            expect(preview.error).toMatch(/checksum/i);
+        });
+
+        test('should reject a damaged save code', () => {
+            const code = storage.exportCode(createState());
+            const [prefix, body, checksum] = code.split('.');
+            const damaged = [prefix, body.slice(0, 20) + (body[20] === 'A' ? 'B' : 'A') + body.slice(21), checksum].join('.');
+
+            expect(storage.importSave(damaged).success).toBe(false);
+        });
+
+        test('should reject text that is not a save', () => {
+            expect(storage.importSave('hello').error).toMatch(/not a sword merge save code/i);
+            expect(storage.importSave('{"foo": 1}').error).toMatch(/not a sword merge save file/i);
+            expect(storage.importSave('{ broken').error).toMatch(/not valid json/i);
+        });
+
+        test('should migrate old saves on import', () => {
+            const old = createState();
+            old.version = '1.0.0';
+            delete old.config;
+
+            const preview = storage.importSave(storage.exportCode(old));
+
+            expect(preview.success).toBe(true);
+            expect(preview.state.version).toBe(storage.CURRENT_VERSION);
+            expect(preview.migrations.map(m => m.from)).toEqual(['1.0.0', '1.1.0', '1.2.0', '1.3.0', '1.4.0', '1.5.0', '1.6.0', '1.7.0']);
+        });
+
+        test('should reject saves from a newer version', () => {
+            const future = createState();
+            future.version = '9.0.0';
+
+            const preview = storage.importSave(storage.exportCode(future));
+
+            expect(preview.success).toBe(false);
+            expect(preview.error).toMatch(/9\.0\.0/);
+        });
+
+        test('should reject a checksummed save that fails validation', () => {
+            const broken = createState();
+            broken.inventory = [];
+
+            expect(storage.importSave(storage.exportCode(broken)).error).toMatch(/invalid/i);
+        });
+
+        test.each([
+            ['a quest title that is not text', state => { state.quests[0].title = { html: '<img>' }; }],
+            ['a quest without progress numbers', state => { state.quests[0].objective.current = '5'; }],
+            ['an inbox entry that is not a quest', state => { state.questInbox = [{ id: 'q', title: 'Merge' }]; }],
+            ['a pending reward without a source', state => { state.pendingRewards = [{ id: 'r', level: 3 }]; }],
+            ['an achievement without an unlocked flag', state => { state.achievements = [{ id: 'first', unlocked: 'yes' }]; }],
+            ['an achievement without an ID', state => { state.achievements = [{ unlocked: true }]; }],
+            ['an unknown enhancement table', state => { state.config = { enhancementTable: 'rigged' }; }]
+        ])('should reject %s', (_, edit) => {
+            const state = createState();
+            state.quests = [{
+                id: 'q1', pool: 'daily', templateId: 'merge_master', title: 'Merge Master', description: 'Merge 10 swords',
+                objective: { type: 'merge', target: 10, current: 2 }, reward: 100, completed: false, claimed: false
+            }];
+            expect(storage.importSave(storage.exportCode(state)).success).toBe(true);
+
+            edit(state);
+
+            expect(storage.importSave(storage.exportCode(state)).success).toBe(false);
+        });
+
+        test('should not touch storage while previewing', () => {
+            storage.importSave(storage.exportCode(createState()));
+
+            expect(localStorage.getItem(storage.STORAGE_KEY)).toBeNull();
+        });
+    });
+
+
+    describe('save slots', () => {
+        test('should start with a single main slot on the original save key', async () => {
+            const slots = await storage.listSlots();
+
+            expect(slots).toHaveLength(1);
+            expect(slots[0]).toMatchObject({ id: DEFAULT_SLOT_ID, name: 'Main', lastPlayedAt: null });
+            expect(storage.STORAGE_KEY).toBe('sword_merge_game_save');
+        });
+
+        test('should keep loading a save written before slots existed', async () => {
+            const state = storage.createNewGameState();
+            state.player.gold = 777;
+            localStorage.setItem('sword_merge_game_save', JSON.stringify(state));
+
+            expect((await new StorageManager().loadGame()).player.gold).toBe(777);
+        });
+
+        test('should record gold, max level and play time on save', async () => {
+            const state = storage.createNewGameState();
+            state.player.gold = 2500;
+            state.stats.maxLevel = 6;
+
+            await storage.saveGame(state);
+
+            const [slot] = await storage.listSlots();
+            expect(slot.gold).toBe(2500);
+            expect(slot.maxLevel).toBe(6);
+            expect(slot.lastPlayedAt).toBeLessThanOrEqual(Date.now());
+        });
+
+        test('should create slots with trimmed names and reject invalid names', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const slot = await storage.createSlot('  Experiment  ');
+
+            expect(slot.name).toBe('Experiment');
+            expect(await storage.createSlot('   ')).toBeNull();
+            expect(await storage.createSlot('x'.repeat(MAX_SLOT_NAME_LENGTH + 1))).toBeNull();
+            expect((await storage.listSlots()).map(s => s.name)).toEqual(['Main', 'Experiment']);
+            console.error.mockRestore();
+        });
+
+        test('should keep saves of different slots apart', async () => {
+            const experiment = await storage.createSlot('Experiment');
+            const main = storage.createNewGameState();
+            main.player.gold = 1000;
+            await storage.saveGame(main);
+
+            await storage.setActiveSlot(experiment.id);
+            expect(await storage.loadGame()).toBeNull();
+
+            const other = storage.createNewGameState();
+            other.player.gold = 5;
+            await storage.saveGame(other);
+
+            await storage.setActiveSlot(DEFAULT_SLOT_ID);
+            expect((await storage.loadGame()).player.gold).toBe(1000);
+        });
+
+        test('should remember the active slot across restarts', async () => {
+            const experiment = await storage.createSlot('Experiment');
+            await storage.setActiveSlot(experiment.id);
+
+            const restarted = new StorageManager();
+            await restarted.open();
+
+            expect(restarted.activeSlotId).toBe(experiment.id);
+            expect(restarted.STORAGE_KEY).toBe(storage.STORAGE_KEY);
+        });
+
+        test('should rename a slot', async () => {
+            expect(await storage.renameSlot(DEFAULT_SLOT_ID, 'Main run')).toBe(true);
+            expect((await storage.listSlots())[0].name).toBe('Main run');
+            expect(await storage.renameSlot('missing', 'Nope')).toBe(false);
+        });
+
+        test('should duplicate a slot with its save', async () => {
+            const state = storage.createNewGameState();
+            state.player.gold = 3000;
+            await storage.saveGame(state);
+
+            const copy = await storage.duplicateSlot(DEFAULT_SLOT_ID, 'Copy');
+            await storage.setActiveSlot(copy.id);
+
+            expect(copy.gold).toBe(3000);
+            expect((await storage.loadGame()).player.gold).toBe(3000);
+        });
+
+        test('should delete a slot with its save and backups', async () => {
+            const experiment = await storage.createSlot('Experiment');
+            await storage.setActiveSlot(experiment.id);
+            await storage.saveGame(storage.createNewGameState());
+            const experimentKey = storage.STORAGE_KEY;
+            await storage.setActiveSlot(DEFAULT_SLOT_ID);
+            await storage.saveGame(storage.createNewGameState());
+
+            expect(await storage.deleteSlot(experiment.id)).toBe(true);
+
+            expect(await storage.hasSlot(experiment.id)).toBe(false);
+            expect(Object.keys(localStorage).filter(key => key.startsWith(experimentKey))).toEqual([]);
+            expect(localStorage.getItem('sword_merge_game_save')).not.toBeNull();
+            expect(await storage.listBackups()).toHaveLength(1);
+        });
+
+        test('should not delete the active slot', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(await storage.deleteSlot(DEFAULT_SLOT_ID)).toBe(false);
+            expect(await storage.hasSlot(DEFAULT_SLOT_ID)).toBe(true);
+            console.error.mockRestore();
+        });
+
+        test('should refuse to switch to an unknown slot', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(await storage.setActiveSlot('missing')).toBe(false);
+            expect(storage.activeSlotId).toBe(DEFAULT_SLOT_ID);
+            console.error.mockRestore();
+        });
+    });
+
+
+    describe('storage backends', () => {
+        test('should save and load through any adapter', async () => {
+            const memory = new MemoryStorageAdapter();
+            const manager = new StorageManager(memory);
+            const state = manager.createNewGameState();
+            state.player.gold = 640;
+
+            expect(await manager.saveGame(state)).toBe(true);
+
+            expect((await manager.loadGame()).player.gold).toBe(640);
+            expect(localStorage.getItem(manager.STORAGE_KEY)).toBeNull();
+        });
+
+        test('should keep saves in call order even when not awaited', async () => {
+            const state = storage.createNewGameState();
+
+            state.player.gold = 1;
+            storage.saveGame(state);
+            state.player.gold = 2;
+            storage.saveGame(state);
+            await storage.whenIdle();
+
+            expect((await storage.loadGame()).player.gold).toBe(2);
+        });
+
+        test('should report a full backend as a quota failure', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const events = new EventBus();
+            const failed = jest.fn();
+            events.on(GameEvents.SAVE_FAILED, failed);
+            const manager = new StorageManager(new MemoryStorageAdapter(100));
+            manager.connect(events);
+
+            expect(await manager.saveGame(manager.createNewGameState())).toBe(false);
+
+            expect(failed).toHaveBeenCalledWith(expect.objectContaining({ quotaExceeded: true }));
+            console.error.mockRestore();
+        });
+
+        test('should keep a save that reached one mirror and warn about the other', async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const events = new EventBus();
+            const warned = jest.fn();
+            events.on(GameEvents.STORAGE_WARNING, warned);
+            const primary = new MemoryStorageAdapter();
+            const manager = new StorageManager(new MirroredStorageAdapter([primary, new MemoryStorageAdapter(100)]));
+            manager.connect(events);
+
+            expect(await manager.saveGame(manager.createNewGameState())).toBe(true);
+
+            expect(await primary.getItem(manager.STORAGE_KEY)).not.toBeNull();
+            expect(warned).toHaveBeenCalledWith({ reason: 'quota', message: 'Storage is full on memory, the backup copy in memory is out of date' });
+            console.warn.mockRestore();
+        });
+
+        test('should load the latest save after only the primary backend failed to take it', async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const events = new EventBus();
+            const warned = jest.fn();
+            events.on(GameEvents.STORAGE_WARNING, warned);
+            const indexedDB = Object.assign(new MemoryStorageAdapter(), { name: 'IndexedDB' });
+            const local = Object.assign(new MemoryStorageAdapter(), { name: 'localStorage' });
+            const manager = new StorageManager(new MirroredStorageAdapter([indexedDB, local]));
+            manager.connect(events);
+            const state = manager.createNewGameState();
+            await manager.saveGame(state);
+
+            jest.spyOn(indexedDB, 'setItem').mockRejectedValue(Object.assign(new Error('full'), { name: 'QuotaExceededError' }));
+            state.player.gold = 5000;
+            expect(await manager.saveGame(state)).toBe(true);
+
+            expect(warned).toHaveBeenCalledWith({ reason: 'quota', message: 'Storage is full on IndexedDB, your game is saved in localStorage only' });
+
+            const reloaded = new StorageManager(new MirroredStorageAdapter([indexedDB, local]));
+            expect((await reloaded.loadGame()).player.gold).toBe(5000);
+            console.warn.mockRestore();
+        });
+
+        test('should warn when the storage estimate is nearly full', async () => {
+            const events = new EventBus();
+            const warned = jest.fn();
+            events.on(GameEvents.STORAGE_WARNING, warned);
+            storage.connect(events);
+            Object.defineProperty(navigator, 'storage', {
+                value: { estimate: async () => ({ usage: 95, quota: 100 }) },
+                configurable: true
+            });
+
+            const estimate = await storage.checkQuota();
+            delete navigator.storage;
+
+            expect(estimate.ratio).toBeCloseTo(0.95);
+            expect(warned).toHaveBeenCalledWith(expect.objectContaining({ reason: 'low' }));
+        });
+
+        test('should skip the quota check when the Storage API is missing', async () => {
+            expect(await storage.checkQuota()).toBeNull();
+        });
+    });
+});
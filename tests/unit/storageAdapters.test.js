@@ -0,0 +1,189 @@
+/**
+ * Unit tests for the storage adapters
+ */
+
+import { jest } from '@jest/globals';
+import {
+    LocalStorageAdapter,
+    IndexedDBAdapter,
+    MemoryStorageAdapter,
+    MirroredStorageAdapter,
+    createDefaultStorageAdapter,
+    isQuotaError
+} from '../../js/systems/StorageAdapters.js';
+
+/**
+ * Adapter whose writes always fail with the given error name
+ */
+const createFailingAdapter = (errorName) => ({
+    name: `failing-${errorName}`,
+    getItem: async () => {
+        throw new Error('read failed');
+    },
+    setItem: async () => {
+        const error = new Error(errorName);
+        error.name = errorName;
+        throw error;
+    },
+    removeItem: async () => {},
+    keys: async () => []
+});
+
+describe('isQuotaError', () => {
+    test('should recognise the quota error names browsers use', () => {
+        expect(isQuotaError({ name: 'QuotaExceededError' })).toBe(true);
+        expect(isQuotaError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' })).toBe(true);
+        expect(isQuotaError({ name: 'Error', code: 22 })).toBe(true);
+    });
+
+    test('should not treat other errors as quota errors', () => {
+        expect(isQuotaError(new Error('boom'))).toBe(false);
+        expect(isQuotaError(null)).toBe(false);
+    });
+});
+
+describe('LocalStorageAdapter', () => {
+    let adapter;
+
+    beforeEach(() => {
+        localStorage.clear();
+        adapter = new LocalStorageAdapter();
+    });
+
+    test('should store, read and remove values', async () => {
+        await adapter.setItem('a', '1');
+
+        expect(await adapter.getItem('a')).toBe('1');
+        expect(localStorage.getItem('a')).toBe('1');
+
+        await adapter.removeItem('a');
+        expect(await adapter.getItem('a')).toBeNull();
+    });
+
+    test('should list keys', async () => {
+        await adapter.setItem('a', '1');
+        await adapter.setItem('b', '2');
+
+        expect((await adapter.keys()).sort()).toEqual(['a', 'b']);
+    });
+});
+
+describe('MemoryStorageAdapter', () => {
+    test('should return null for missing keys', async () => {
+        expect(await new MemoryStorageAdapter().getItem('missing')).toBeNull();
+    });
+
+    test('should reject writes beyond the quota with a QuotaExceededError', async () => {
+        const adapter = new MemoryStorageAdapter(10);
+        await adapter.setItem('k', '12345');
+
+        await expect(adapter.setItem('j', '123456789')).rejects.toMatchObject({ name: 'QuotaExceededError' });
+        expect(await adapter.getItem('j')).toBeNull();
+    });
+
+    test('should not count the value being replaced against the quota', async () => {
+        const adapter = new MemoryStorageAdapter(10);
+        await adapter.setItem('k', '12345678');
+
+        await expect(adapter.setItem('k', '87654321')).resolves.toBeUndefined();
+    });
+});
+
+describe('MirroredStorageAdapter', () => {
+    test('should write to every backend', async () => {
+        const first = new MemoryStorageAdapter();
+        const second = new MemoryStorageAdapter();
+        const mirrored = new MirroredStorageAdapter([first, second]);
+
+        await mirrored.setItem('a', '1');
+
+        expect(await first.getItem('a')).toBe('1');
+        expect(await second.getItem('a')).toBe('1');
+    });
+
+    test('should read from the first backend that has the key', async () => {
+        const first = new MemoryStorageAdapter();
+        const second = new MemoryStorageAdapter();
+        await second.setItem('legacy', 'old save');
+
+        expect(await new MirroredStorageAdapter([first, second]).getItem('legacy')).toBe('old save');
+    });
+
+    test('should fall back to the next backend when a read fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const backup = new MemoryStorageAdapter();
+        await backup.setItem('a', '1');
+
+        expect(await new MirroredStorageAdapter([createFailingAdapter('Error'), backup]).getItem('a')).toBe('1');
+        console.error.mockRestore();
+    });
+
+    test('should report a partial write as saved with the individual errors', async () => {
+        const working = new MemoryStorageAdapter();
+        const mirrored = new MirroredStorageAdapter([working, createFailingAdapter('QuotaExceededError')]);
+
+        const error = await mirrored.setItem('a', '1').catch(e => e);
+
+        expect(error.name).toBe('MirrorWriteError');
+        expect(error.saved).toBe(true);
+        expect(error.errors).toHaveLength(1);
+        expect(isQuotaError(error.errors[0].error)).toBe(true);
+        expect(await working.getItem('a')).toBe('1');
+    });
+
+    test('should throw the first error when every backend failed', async () => {
+        const mirrored = new MirroredStorageAdapter([
+            createFailingAdapter('QuotaExceededError'),
+            createFailingAdapter('Error')
+        ]);
+
+        await expect(mirrored.setItem('a', '1')).rejects.toMatchObject({ name: 'QuotaExceededError' });
+    });
+
+    test('should merge the keys of all backends', async () => {
+        const first = new MemoryStorageAdapter();
+        const second = new MemoryStorageAdapter();
+        await first.setItem('a', '1');
+        await second.setItem('a', '1');
+        await second.setItem('b', '2');
+
+        expect((await new MirroredStorageAdapter([first, second]).keys()).sort()).toEqual(['a', 'b']);
+    });
+
+    test('should read the new value after the first backend missed a write', async () => {
+        const first = new MemoryStorageAdapter(20);
+        const second = new MemoryStorageAdapter();
+        await new MirroredStorageAdapter([first, second]).setItem('save', 'old');
+
+        const error = await new MirroredStorageAdapter([first, second]).setItem('save', 'new progress that does not fit').catch(e => e);
+
+        expect(error.saved).toBe(true);
+        expect(error.errors[0]).toMatchObject({ adapter: 'memory', primary: true });
+        expect(await first.getItem('save')).toBeNull();
+        expect(await new MirroredStorageAdapter([first, second]).getItem('save')).toBe('new progress that does not fit');
+    });
+
+        test('should need at least one backend', () => {
+        expect(() => new MirroredStorageAdapter([])).toThrow();
+    });
+});
+
+describe('createDefaultStorageAdapter', () => {
+    afterEach(() => {
+        delete globalThis.indexedDB;
+    });
+
+    test('should use localStorage when IndexedDB is not available', () => {
+        expect(createDefaultStorageAdapter()).toBeInstanceOf(LocalStorageAdapter);
+    });
+
+    test('should prefer IndexedDB and mirror to localStorage when available', () => {
+        globalThis.indexedDB = { open: () => ({}) };
+
+        const adapter = createDefaultStorageAdapter();
+
+        expect(adapter).toBeInstanceOf(MirroredStorageAdapter);
+        expect(adapter.adapters[0]).toBeInstanceOf(IndexedDBAdapter);
+        expect(adapter.adapters[1]).toBeInstanceOf(LocalStorageAdapter);
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit tests for TabCoordinator
+ */
+
+import { jest } from '@jest/globals';
+import { TabCoordinator } from '../../js/systems/TabCoordinator.js';
+
+/**
+ * Storage shared by several simulated tabs
+ * Like localStorage, a write fires a `storage` event in every tab except the one that wrote.
+ */
+class SharedStorage {
+    constructor() {
+        this.data = new Map();
+        this.tabs = [];
+    }
+
+    /**
+     * Create the storage view and event target of one tab
+     */
+    openTab() {
+        const target = new EventTarget();
+        this.tabs.push(target);
+
+        const notify = (key) => {
+            this.tabs.filter(tab => tab !== target).forEach(tab => {
+                const event = new Event('storage');
+                event.key = key;
+                tab.dispatchEvent(event);
+            });
+        };
+
+        const storage = {
+            getItem: key => (this.data.has(key) ? this.data.get(key) : null),
+            setItem: (key, value) => {
+                this.data.set(key, String(value));
+                notify(key);
+            },
+            removeItem: key => {
+                this.data.delete(key);
+                notify(key);
+            }
+        };
+        return { storage, eventTarget: target };
+    }
+}
+
+describe('TabCoordinator', () => {
+    let shared;
+    let tabs;
+
+    const openTab = (tabId) => {
+        const tab = new TabCoordinator({
+            ...shared.openTab(),
+            tabId,
+            heartbeatMs: 1000,
+            leaseTimeoutMs: 3000,
+            takeoverTimeoutMs: 500
+        });
+        tabs.push(tab);
+        return tab;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        shared = new SharedStorage();
+        tabs = [];
+    });
+
+    afterEach(() => {
+        tabs.forEach(tab => tab.dispose());
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+    });
+
+    test('should let the first tab write and keep the second read-only', () => {
+        const first = openTab('a');
+        const second = openTab('b');
+
+        expect(first.acquire('main')).toBe(true);
+        expect(second.acquire('main')).toBe(false);
+        expect(first.holds('main')).toBe(true);
+        expect(second.holds('main')).toBe(false);
+    });
+
+    test('should let tabs write different slots at the same time', () => {
+        const first = openTab('a');
+        const second = openTab('b');
+
+        expect(first.acquire('main')).toBe(true);
+        expect(second.acquire('other')).toBe(true);
+    });
+
+    test('should free the slot when the writer releases it', () => {
+        const first = openTab('a');
+        const second = openTab('b');
+        first.acquire('main');
+
+        first.release();
+
+        expect(second.acquire('main')).toBe(true);
+    });
+
+    test('should keep the lease alive with a heartbeat', () => {
+        const first = openTab('a');
+        const second = openTab('b');
+        first.acquire('main');
+
+        jest.advanceTimersByTime(10000);
+
+        expect(second.acquire('main')).toBe(false);
+    });
+
+    test('should let a tab claim a lease that was not refreshed in time', () => {
+        const first = openTab('a');
+        const second = openTab('b');
+        first.acquire('main');
+        // A crashed tab stops its heartbeat
+        first.stopHeartbeat();
+
+        jest.advanceTimersByTime(3000);
+
+        expect(second.acquire('main')).toBe(true);
+    });
+
+    test('should tell the old writer when its expired lease was claimed', () => {
+        const first = openTab('a');
+        const second = openTab('b');
+        const lost = jest.fn();
+        first.onLost(lost);
+        first.acquire('main');
+        first.stopHeartbeat();
+        jest.advanceTimersByTime(3000);
+
+        second.acquire('main');
+
+        expect(lost).toHaveBeenCalledTimes(1);
+        expect(first.holds('main')).toBe(false);
+    });
+
+    test('should hand the slot over after the writer has saved', async () => {
+        const first = openTab('a');
+        const second = openTab('b');
+        const steps = [];
+        first.onTakeoverRequested(async () => {
+            steps.push('saved');
+        });
+        first.acquire('main');
+
+        expect(await second.takeOver('main')).toBe(true);
+        steps.push('taken over');
+
+        expect(steps).toEqual(['saved', 'taken over']);
+        expect(second.holds('main')).toBe(true);
+        expect(first.holds('main')).toBe(false);
+        expect(openTab('c').acquire('main')).toBe(false);
+    });
+
+    test('should hand the slot over even if the writer fails to save', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const first = openTab('a');
+        const second = openTab('b');
+        first.onTakeoverRequested(async () => {
+            throw new Error('Storage is full');
+        });
+        first.acquire('main');
+
+        await second.takeOver('main');
+
+        expect(second.holds('main')).toBe(true);
+        expect(first.holds('main')).toBe(false);
+        expect(console.error).toHaveBeenCalledWith('Failed to save before handing the slot over:', expect.any(Error));
+    });
+
+        test('should take the slot anyway if the writer does not answer', async () => {
+        const first = openTab('a');
+        const second = openTab('b');
+        first.acquire('main');
+        // A frozen tab receives no storage events
+        first.eventTarget.removeEventListener('storage', first.onStorage);
+
+        const takeover = second.takeOver('main');
+        jest.advanceTimersByTime(500);
+        expect(await takeover).toBe(false);
+
+        expect(second.holds('main')).toBe(true);
+    });
+
+    test('should work without storage by always allowing writes', () => {
+        const tab = new TabCoordinator({ storage: null, eventTarget: null });
+
+        expect(tab.acquire('main')).toBe(true);
+        expect(tab.holds('main')).toBe(true);
+        tab.dispose();
+    });
+});
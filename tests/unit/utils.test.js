@@ -3,7 +3,7 @@
  */
 
 import { describe, test, expect } from '@jest/globals';
-import { generateUUID, calculateGoldValue } from '../../js/utils.js';
+import { generateUUID, calculateGoldValue, calculateGoldPerSecond, hashString, getLocalDayKey, getNextDayStart } from '../../js/utils.js';
 
 describe('generateUUID', () => {
     test('should generate a valid UUID format', () => {
@@ -21,6 +21,21 @@ describe('generateUUID', () => {
         expect(uuid1).not.toBe(uuid2);
     });
     
+    test('should generate valid, unique UUIDs without crypto.randomUUID', () => {
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+        const randomUUID = crypto.randomUUID;
+        crypto.randomUUID = undefined;
+
+        try {
+            const uuid = generateUUID();
+
+            expect(uuid).toMatch(uuidRegex);
+            expect(generateUUID()).not.toBe(uuid);
+        } finally {
+            crypto.randomUUID = randomUUID;
+        }
+    });
+    
     test('should generate UUIDs of correct length', () => {
         const uuid = generateUUID();
         
@@ -78,3 +93,56 @@ describe('calculateGoldValue', () => {
         expect(value3).toBe(value2 * 2);
     });
 });
+
+describe('calculateGoldPerSecond', () => {
+    test('should give 0.1 G/s for level 1, enhancement 0', () => {
+        expect(calculateGoldPerSecond(1, 0)).toBeCloseTo(0.1);
+    });
+
+    test('should follow the PRD level table', () => {
+        expect(calculateGoldPerSecond(4, 0)).toBeCloseTo(10);
+        expect(calculateGoldPerSecond(7, 0)).toBeCloseTo(1000);
+        expect(calculateGoldPerSecond(10, 0)).toBeCloseTo(100000);
+    });
+
+    test('should add 20% per enhancement level, compounding', () => {
+        // PRD example: Lv.5 +3 = 46.4 * 1.2^3 = 80.2
+        expect(calculateGoldPerSecond(5, 3)).toBeCloseTo(46.416 * 1.728, 1);
+        expect(calculateGoldPerSecond(2, 1) / calculateGoldPerSecond(2, 0)).toBeCloseTo(1.2);
+    });
+});
+
+describe('hashString', () => {
+    test('should return 8 hex digits', () => {
+        expect(hashString('sword')).toMatch(/^[0-9a-f]{8}$/);
+    });
+
+    test('should be stable for the same input', () => {
+        expect(hashString('{"gold":100}')).toBe(hashString('{"gold":100}'));
+    });
+
+    test('should change when a single character changes', () => {
+        expect(hashString('{"gold":100}')).not.toBe(hashString('{"gold":900}'));
+    });
+
+    test('should match the FNV-1a reference values', () => {
+        expect(hashString('')).toBe('811c9dc5');
+        expect(hashString('a')).toBe('e40c292c');
+    });
+});
+
+describe('getLocalDayKey / getNextDayStart', () => {
+    test('should use the local calendar date', () => {
+        expect(getLocalDayKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+        expect(getLocalDayKey(new Date(2026, 0, 6, 0, 0))).toBe('2026-01-06');
+    });
+
+    test('should sort chronologically as strings', () => {
+        expect(getLocalDayKey(new Date(2026, 8, 30)) < getLocalDayKey(new Date(2026, 9, 1))).toBe(true);
+    });
+
+    test('should end a day at the next local midnight', () => {
+        expect(getNextDayStart('2026-01-05')).toEqual(new Date(2026, 0, 6));
+        expect(getNextDayStart('2026-12-31')).toEqual(new Date(2027, 0, 1));
+    });
+});